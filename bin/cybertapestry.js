@@ -0,0 +1,427 @@
+#!/usr/bin/env node
+import { readFileSync, writeFileSync } from "node:fs";
+import { createHash } from "node:crypto";
+import {
+    renderTapestry,
+    renderAnimation,
+    parseAnimation,
+    upscaleNearest,
+    exportFileName,
+    exportMetadata,
+    parseExportMetadata,
+} from "../js/render.js";
+import { encodePNG, encodeAPNG, readPNGText } from "../js/png.js";
+import { compositeParam } from "../js/composite.js";
+import { encodeGIF } from "../js/gif.js";
+import { renderSVG } from "../js/svg.js";
+import { resolveSeed } from "../js/seed.js";
+import { MODE_CATEGORIES, listModes, paramsParam } from "../js/modes.js";
+import { gallerySeeds } from "../js/gallery.js";
+import { posterLayout, encodePoster } from "../js/poster.js";
+import { PAPER_SIZES } from "../js/constants.js";
+
+const FORMATS = ["png", "svg", "gif", "apng", "pdf"];
+
+// Duplicate groups listed by the collisions command
+const COLLISIONS_SHOWN = 20;
+
+const USAGE = `Usage: cybertapestry render <seed> [options]
+       cybertapestry modes
+       cybertapestry info <file.png>
+       cybertapestry collisions [hex prefix] [options]
+
+Options:
+  -o, --output <file>   Output path (default: entropy-<seed>-<mode>-WxH.<format>)
+  -f, --format <fmt>    png, svg, gif, apng or pdf (default: from the
+                        output extension, else png)
+  -s, --scale <n>       Integer upscale factor, nearest-neighbour (default: 4)
+      --samples <n>     Render natively at the scaled size instead, with n x n
+                        anti-aliasing samples per pixel (1..8); gif frames
+                        take each pixel's most common sample
+  -i, --input <fmt>     Seed format: auto, hex, text, base64, uuid, ssh or
+                        colon-hex (default: auto)
+  -g, --generator <v>   Generator version (default: 1, so output stays the
+                        same across releases); pass the link's ?v= to
+                        reproduce shared art exactly
+      --mode <name>     Force a pattern mode instead of the seed-derived one
+                        (see the modes command)
+      --param <k=v>     Set a mode param, e.g. spokes=12; repeatable
+      --block <px>      Force a block size (1, 2, 4, 8 or 16)
+      --rot <n>         Force a palette rotation (0..palette length-1)
+      --palette <p>     Preset name or 2-16 hex colours (0b132b,1c2541,...)
+      --composite <c>   Mask one mode over two: "auto" (from the seed) or
+                        inside,mask,outside (e.g. voronoi,rings,weave)
+      --tileable        Repeat seamlessly across the edges (tileable modes
+                        only, see the modes command)
+      --width <px>      Canvas width before scaling (default: 128)
+      --height <px>     Canvas height before scaling (default: 128)
+      --frames <n>      Animation frames per loop, gif/apng only (default: 24)
+      --fps <n>         Animation frame rate, gif/apng only (default: 12)
+      --paper <size>    Poster paper, pdf only: A0-A5, Letter, Legal or
+                        Tabloid (default: A3)
+      --landscape       Turn the poster paper sideways
+      --dpi <n>         Poster print resolution, 72..600 (default: 150); the
+                        art is rendered natively to reach it
+      --bleed <mm>      Poster bleed past the trim edge, 0..10 (default: 3)
+      --crop-marks      Add crop marks outside the bleed
+  -n, --count <n>       Seeds the collisions command renders (default: 1000):
+                        random ones, or <prefix>000, <prefix>001, ...
+  -h, --help            Show this help`;
+
+/**
+ * Parse command-line arguments into a command, positionals and flags.
+ *
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {{command: string, args: string[], opts: Object}} Parsed arguments.
+ */
+function parseArgs(argv) {
+    // `cybertapestry --help` names no command
+    const help = argv[0] === "-h" || argv[0] === "--help";
+    const [command = "", ...rest] = help ? ["", ...argv] : argv;
+    const args = [];
+    const opts = {};
+    for (let i = 0; i < rest.length; i++) {
+        const a = rest[i];
+        if (a === "-h" || a === "--help") opts.help = true;
+        else if (a === "-o" || a === "--output") opts.output = rest[++i];
+        else if (a === "-f" || a === "--format") opts.format = rest[++i];
+        else if (a === "-s" || a === "--scale") opts.scale = rest[++i];
+        else if (a === "--samples") opts.samples = rest[++i];
+        else if (a === "-i" || a === "--input") opts.input = rest[++i];
+        else if (a === "-g" || a === "--generator") opts.version = rest[++i];
+        else if (a === "--mode") opts.mode = rest[++i];
+        else if (a === "--param") (opts.param ??= []).push(rest[++i]);
+        else if (a === "--block") opts.block = rest[++i];
+        else if (a === "--rot") opts.rot = rest[++i];
+        else if (a === "--palette") opts.palette = rest[++i];
+        else if (a === "--composite") opts.composite = rest[++i];
+        else if (a === "--tileable") opts.tileable = true;
+        else if (a === "--width") opts.width = rest[++i];
+        else if (a === "--height") opts.height = rest[++i];
+        else if (a === "--frames") opts.frames = rest[++i];
+        else if (a === "--fps") opts.fps = rest[++i];
+        else if (a === "--paper") opts.paper = rest[++i];
+        else if (a === "--landscape") opts.landscape = true;
+        else if (a === "--dpi") opts.dpi = rest[++i];
+        else if (a === "--bleed") opts.bleed = rest[++i];
+        else if (a === "--crop-marks") opts.cropMarks = true;
+        else if (a === "-n" || a === "--count") opts.count = rest[++i];
+        else if (a.startsWith("-")) throw new Error(`unknown option: ${a}`);
+        else args.push(a);
+    }
+    return { command, args, opts };
+}
+
+/**
+ * Pick the output format from --format or the output file extension.
+ */
+function outputFormat(opts) {
+    const ext = /\.(svg|gif|apng|pdf)$/i.exec(opts.output || "");
+    const format = (opts.format || (ext ? ext[1] : "png")).toLowerCase();
+    if (!FORMATS.includes(format))
+        throw new Error(`unknown format: ${opts.format}`);
+    return format;
+}
+
+/**
+ * Validate --frames/--fps; unlike the UI, bad values are an error here.
+ */
+function animationOptions(opts) {
+    const anim = parseAnimation(opts);
+    for (const key of ["frames", "fps"])
+        if (opts[key] !== undefined && String(anim[key]) !== opts[key])
+            throw new Error(`invalid ${key}: ${opts[key]}`);
+    return anim;
+}
+
+/**
+ * Turn repeated --param key=value flags into a params object.
+ */
+function modeParams(opts) {
+    if (!opts.param) return null;
+    const params = {};
+    for (const kv of opts.param) {
+        const m = /^([\w-]+)=(.+)$/.exec(kv ?? "");
+        if (!m) throw new Error(`invalid param: ${kv}`);
+        params[m[1]] = m[2];
+    }
+    return params;
+}
+
+/**
+ * The renderTapestry options the flags ask for.
+ */
+function renderOptions(opts) {
+    return {
+        version: opts.version,
+        mode: opts.mode,
+        block: opts.block,
+        rot: opts.rot,
+        palette: opts.palette,
+        width: opts.width,
+        height: opts.height,
+        composite: opts.composite,
+        tileable: opts.tileable,
+        params: modeParams(opts),
+    };
+}
+
+/**
+ * `render -f pdf`: write a print-ready poster (see poster.js), the art
+ * rendered natively for the paper and DPI; --scale and --samples do not
+ * apply.
+ */
+function renderPoster(seed, raw, opts) {
+    const options = renderOptions(opts);
+    const paper = Object.keys(PAPER_SIZES).find(
+        (k) => k.toLowerCase() === opts.paper?.toLowerCase()
+    );
+    if (opts.paper !== undefined && !paper)
+        throw new Error(`unknown paper: ${opts.paper}`);
+    const layout = posterLayout(renderTapestry(seed.hex, options), {
+        paper,
+        landscape: opts.landscape,
+        dpi: opts.dpi === undefined ? undefined : Number(opts.dpi),
+        bleed: opts.bleed === undefined ? undefined : Number(opts.bleed),
+        cropMarks: opts.cropMarks,
+    });
+    const result = renderTapestry(seed.hex, {
+        ...options,
+        scale: layout.scale,
+    });
+    const file =
+        opts.output ||
+        exportFileName(result, result.width, result.height, "pdf");
+    const input = seed.format === "hex" ? null : { raw, format: seed.format };
+    writeFileSync(file, encodePoster(result, layout, { input }));
+
+    console.log(
+        `${file}: v${result.version}, seed ${result.seedHex || "(empty)"} (${
+            seed.format
+        }), mode ${result.modeName}, ${layout.paper}${
+            layout.landscape ? " landscape" : ""
+        }, art ${result.width}x${result.height} at ${layout.printDpi} dpi`
+    );
+}
+
+/**
+ * `render` command: render a seed and write it out as PNG, SVG, a PDF
+ * poster, or an animated GIF/APNG loop.
+ */
+async function cmdRender(args, opts) {
+    if (args.length !== 1) throw new Error("render expects exactly one seed");
+    const scale = opts.scale === undefined ? 4 : Number(opts.scale);
+    if (!Number.isInteger(scale) || scale < 1)
+        throw new Error(`invalid scale: ${opts.scale}`);
+    const samples = opts.samples === undefined ? null : Number(opts.samples);
+    if (samples !== null && !Number.isInteger(samples))
+        throw new Error(`invalid samples: ${opts.samples}`);
+    const format = outputFormat(opts);
+    const { frames, fps } = animationOptions(opts);
+    const seed = await resolveSeed(args[0], opts.input);
+    if (format === "pdf") return renderPoster(seed, args[0], opts);
+
+    const options = renderOptions(opts);
+    // --samples renders at full size; otherwise blocks are upscaled (SVG
+    // is vector either way)
+    const native = samples !== null && format !== "svg";
+    if (native) Object.assign(options, { scale, samples });
+    const up = native ? 1 : scale;
+    const animated = format === "gif" || format === "apng";
+    const loop = animated ? renderAnimation(seed.hex, options, frames) : null;
+    const result = animated ? loop[0] : renderTapestry(seed.hex, options);
+    const w = result.width * up,
+        h = result.height * up;
+    const file =
+        opts.output ||
+        exportFileName(result, w, h, format === "apng" ? "png" : format);
+    const upscale = (r, key) =>
+        upscaleNearest(r[key], result.width, result.height, up);
+    // PNG and APNG carry the settings (see the info command)
+    const text = exportMetadata(
+        native
+            ? {
+                  ...result,
+                  width: result.width / scale,
+                  height: result.height / scale,
+              }
+            : result,
+        {
+            scale,
+            samples: native ? samples : null,
+            animation: animated ? { frames, fps } : null,
+            input:
+                seed.format === "hex"
+                    ? null
+                    : { raw: args[0], format: seed.format },
+        }
+    );
+    if (format === "gif") {
+        const indices = loop.map((r) => upscale(r, "indices"));
+        writeFileSync(file, encodeGIF(indices, w, h, result.palette, { fps }));
+    } else if (format === "apng") {
+        const pixels = loop.map((r) => upscale(r, "data"));
+        writeFileSync(file, encodeAPNG(pixels, w, h, { fps, text }));
+    } else if (format === "svg") {
+        writeFileSync(file, renderSVG(result, { scale }));
+    } else {
+        const pixels = upscaleNearest(
+            result.data,
+            result.width,
+            result.height,
+            up
+        );
+        writeFileSync(file, encodePNG(pixels, w, h, { text }));
+    }
+
+    console.log(
+        `${file}: v${result.version}, seed ${result.seedHex || "(empty)"} (${
+            seed.format
+        }), mode ${result.modeName}, block ${result.blockSize} px, ${w}x${h}${
+            result.tileable ? ", tileable" : ""
+        }${native ? `, ${samples}x${samples} samples` : ""}${
+            animated ? `, ${frames} frames at ${fps} fps` : ""
+        }`
+    );
+}
+
+/**
+ * `modes` command: list the registered pattern modes by category, with
+ * their params and ranges (starred: params with a gene).
+ */
+function cmdModes() {
+    for (const category of MODE_CATEGORIES) {
+        console.log(`${category}:`);
+        for (const mode of listModes({ category })) {
+            const params = Object.entries(mode.params).map(
+                ([k, p]) => `${k} ${p.min}..${p.max}${p.gene ? "*" : ""}`
+            );
+            console.log(
+                `  ${mode.name}${mode.animated ? " (animated)" : ""}${
+                    mode.tileable ? " (tileable)" : ""
+                }${params.length ? `  [${params.join(", ")}]` : ""}`
+            );
+        }
+    }
+    console.log("* drawn from the seed's genome (generator v3+)");
+}
+
+/**
+ * Quote a shell argument when it needs it.
+ */
+function shellArg(s) {
+    return /^[\w.,:@%+=/-]+$/.test(s) ? s : `'${s.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * `info` command: print the seed and settings an exported PNG carries, and
+ * the render command that makes it again.
+ */
+function cmdInfo(args) {
+    if (args.length !== 1) throw new Error("info expects exactly one PNG file");
+    const meta = parseExportMetadata(readPNGText(readFileSync(args[0])));
+    if (!meta) throw new Error(`${args[0]}: no Cyber Tapestry settings found`);
+    const o = meta.overrides;
+    const flags = [
+        ["-g", o.version],
+        ...(o.composite
+            ? [["--composite", compositeParam(o.composite)]]
+            : [["--mode", o.mode]]),
+        ...Object.entries(o.params ?? {}).map(([k, v]) => [
+            "--param",
+            `${k}=${v}`,
+        ]),
+        ["--block", o.block],
+        ["--rot", o.rot],
+        ["--palette", o.palette?.map((c) => c.slice(1)).join(",")],
+        ["--width", o.width],
+        ["--height", o.height],
+        ["-s", meta.scale],
+        ["--samples", meta.samples],
+        ["--frames", meta.animation?.frames],
+        ["--fps", meta.animation?.fps],
+    ].filter(([, v]) => v != null);
+    if (meta.animation) flags.push(["-f", "apng"]);
+    const seed = meta.input
+        ? `${shellArg(meta.input.raw)} -i ${meta.input.format}`
+        : meta.seedHex || "''";
+    console.log(
+        `${args[0]}: v${o.version}, seed ${meta.seedHex || "(empty)"}${
+            meta.input
+                ? ` (${meta.input.format} ${JSON.stringify(meta.input.raw)})`
+                : ""
+        }, ${o.composite ? compositeParam(o.composite) : o.mode}${
+            o.params ? ` (${paramsParam(o.params)})` : ""
+        }, block ${o.block}, rotation ${o.rot}`
+    );
+    console.log(
+        `  cybertapestry render ${seed} ${flags
+            .map(([k, v]) => `${k} ${shellArg(String(v))}`)
+            .join(" ")}${o.tileable ? " --tileable" : ""}`
+    );
+}
+
+/**
+ * `collisions` command: render many seeds with the same options and report
+ * the ones that come out as identical images.
+ */
+function cmdCollisions(args, opts) {
+    if (args.length > 1)
+        throw new Error("collisions expects at most one seed prefix");
+    const count = opts.count === undefined ? 1000 : Number(opts.count);
+    if (!Number.isInteger(count) || count < 2)
+        throw new Error(`invalid count: ${opts.count}`);
+    const options = renderOptions(opts);
+    const seeds = gallerySeeds(
+        args.length ? "prefix" : "random",
+        args[0],
+        count
+    );
+
+    // image digest -> the seeds that rendered it, and what it was
+    const images = new Map();
+    let result;
+    for (const { seedHex } of seeds) {
+        result = renderTapestry(seedHex, options);
+        const digest = createHash("sha256").update(result.data).digest("hex");
+        const image = images.get(digest) ?? {
+            seeds: [],
+            what: `${result.modeName}, block ${result.blockSize}, rotation ${result.rotation}`,
+        };
+        image.seeds.push(result.seedHex || "(empty)");
+        images.set(digest, image);
+    }
+
+    const shared = [...images.values()].filter((im) => im.seeds.length > 1);
+    const seedsShared = shared.reduce((n, im) => n + im.seeds.length, 0);
+    console.log(
+        `${count} seeds (v${result.version}, ${result.width}x${result.height}): ` +
+            `${images.size} distinct images, ${shared.length} shared by ${seedsShared} seeds`
+    );
+    shared.sort((a, b) => b.seeds.length - a.seeds.length);
+    for (const { seeds, what } of shared.slice(0, COLLISIONS_SHOWN))
+        console.log(`  ${what}: ${seeds.join(" ")}`);
+    if (shared.length > COLLISIONS_SHOWN)
+        console.log(`  ... and ${shared.length - COLLISIONS_SHOWN} more`);
+}
+
+async function main(argv) {
+    const { command, args, opts } = parseArgs(argv);
+    if (!command || opts.help || command === "help") {
+        console.log(USAGE);
+        return;
+    }
+    if (command === "render") return await cmdRender(args, opts);
+    if (command === "modes") return cmdModes();
+    if (command === "info") return cmdInfo(args);
+    if (command === "collisions") return cmdCollisions(args, opts);
+    throw new Error(`unknown command: ${command}`);
+}
+
+try {
+    await main(process.argv.slice(2));
+} catch (err) {
+    console.error(`cybertapestry: ${err.message}`);
+    console.error(USAGE);
+    process.exit(1);
+}
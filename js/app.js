@@ -1,12 +1,55 @@
 import {
     PALETTE_BASE,
+    PALETTE_PRESETS,
     CANVAS_W,
     CANVAS_H,
     BLOCK_OPTIONS,
-    MODE_NAMES,
+    ANIM_FRAMES,
+    ANIM_FPS,
+    EXPORT_MAX,
+    GALLERY_COUNTS,
+    EXPLORE_CHILDREN,
+    SEED_FORMATS,
+    PAPER_SIZES,
 } from "./constants.js";
-import { normalizeHex, hexToSeed32, fmix32, randomHex } from "./utils.js";
-import { buildColorIndexer } from "./patterns.js";
+import { randomHex } from "./utils.js";
+import { resolveSeed, detectSeedFormat } from "./seed.js";
+import { GENERATORS, LATEST_VERSION, LEGACY_VERSION } from "./generators.js";
+import {
+    MODE_CATEGORIES,
+    getMode,
+    listModes,
+    parseParams,
+    paramsParam,
+} from "./modes.js";
+import {
+    parseOverrides,
+    parseAnimation,
+    isAnimated,
+    upscaleNearest,
+    probeTapestry,
+    exportFileName,
+    exportMetadata,
+    parseExportMetadata,
+    pinsModes,
+} from "./render.js";
+import { parsePalette, paletteName, paletteParam } from "./palette.js";
+import { compositeParam } from "./composite.js";
+import { renderSVG } from "./svg.js";
+import { encodePNG, encodeAPNG, addPNGText, readPNGText } from "./png.js";
+import { encodeGIF } from "./gif.js";
+import { posterLayout, encodePoster, rulerEvery } from "./poster.js";
+import { parseBatch, batchOverrides, batchFileName } from "./batch.js";
+import { encodeZip } from "./zip.js";
+import { gallerySeeds, renderGallery, composeSheet } from "./gallery.js";
+import {
+    DEFAULT_COLLECTION,
+    parseCollections,
+    serializeCollections,
+    mergeCollections,
+} from "./collections.js";
+import { mutateSeed, breedSeeds } from "./explore.js";
+import { createRenderer } from "./renderer.js";
 
 const els = {
     seed: document.getElementById("seedInput"),
@@ -17,105 +60,670 @@ const els = {
     palette: document.getElementById("palette"),
     modeBadge: document.getElementById("modeBadge"),
     blockBadge: document.getElementById("blockBadge"),
+    paramBadges: document.getElementById("paramBadges"),
     normSeed: document.getElementById("normSeed"),
+    format: document.getElementById("formatSelect"),
+    seedFormat: document.getElementById("seedFormat"),
     download: document.getElementById("downloadBtn"),
+    downloadSvg: document.getElementById("downloadSvgBtn"),
+    open: document.getElementById("openBtn"),
+    openInput: document.getElementById("openInput"),
+    openHint: document.getElementById("openHint"),
     exportScale: document.getElementById("exportScale"),
+    exportQuality: document.getElementById("exportQuality"),
     frame: document.getElementById("frame"),
     cal: document.getElementById("cal"),
+    viewport: document.getElementById("viewport"),
+    grid: document.getElementById("grid"),
+    gridSelect: document.getElementById("gridSelect"),
+    resetView: document.getElementById("resetViewBtn"),
+    probe: document.getElementById("probe"),
+    histogram: document.getElementById("histogram"),
+    version: document.getElementById("versionSelect"),
+    mode: document.getElementById("modeSelect"),
+    block: document.getElementById("blockSelect"),
+    rot: document.getElementById("rotSelect"),
+    composite: document.getElementById("compositeSelect"),
+    inside: document.getElementById("insideSelect"),
+    mask: document.getElementById("maskSelect"),
+    outside: document.getElementById("outsideSelect"),
+    tile: document.getElementById("tileSelect"),
+    tilePreview: document.getElementById("tilePreview"),
+    tileCanvas: document.getElementById("tileCanvas"),
+    paletteSelect: document.getElementById("paletteSelect"),
+    paletteInput: document.getElementById("paletteInput"),
+    params: document.getElementById("paramsInput"),
+    paletteHex: document.getElementById("paletteHex"),
+    size: document.getElementById("sizeSelect"),
+    width: document.getElementById("widthInput"),
+    height: document.getElementById("heightInput"),
+    animate: document.getElementById("animateBtn"),
+    frames: document.getElementById("framesInput"),
+    fps: document.getElementById("fpsInput"),
+    animHint: document.getElementById("animHint"),
+    downloadGif: document.getElementById("downloadGifBtn"),
+    downloadApng: document.getElementById("downloadApngBtn"),
+    paper: document.getElementById("paperSelect"),
+    orient: document.getElementById("orientSelect"),
+    dpi: document.getElementById("dpiSelect"),
+    bleed: document.getElementById("bleedSelect"),
+    crop: document.getElementById("cropSelect"),
+    downloadPdf: document.getElementById("downloadPdfBtn"),
+    posterHint: document.getElementById("posterHint"),
+    galleryKind: document.getElementById("galleryKind"),
+    galleryCount: document.getElementById("galleryCount"),
+    galleryBtn: document.getElementById("galleryBtn"),
+    gallery: document.getElementById("gallery"),
+    downloadSheet: document.getElementById("downloadSheetBtn"),
+    mutate: document.getElementById("mutateBtn"),
+    bits: document.getElementById("bitsSelect"),
+    keep: document.getElementById("keepSelect"),
+    mate: document.getElementById("mateInput"),
+    breed: document.getElementById("breedBtn"),
+    back: document.getElementById("backBtn"),
+    lineage: document.getElementById("lineage"),
+    children: document.getElementById("children"),
+    batchInput: document.getElementById("batchInput"),
+    batchFileBtn: document.getElementById("batchFileBtn"),
+    batchFile: document.getElementById("batchFile"),
+    batch: document.getElementById("batchBtn"),
+    batchHint: document.getElementById("batchHint"),
+    collection: document.getElementById("collectionSelect"),
+    note: document.getElementById("noteInput"),
+    saveFav: document.getElementById("saveFavBtn"),
+    collectionName: document.getElementById("collectionInput"),
+    addCollection: document.getElementById("addCollectionBtn"),
+    deleteCollection: document.getElementById("deleteCollectionBtn"),
+    exportCollection: document.getElementById("exportCollectionBtn"),
+    importCollection: document.getElementById("importCollectionBtn"),
+    importInput: document.getElementById("importInput"),
+    favHint: document.getElementById("favHint"),
+    favourites: document.getElementById("favourites"),
+    progressRow: document.getElementById("progressRow"),
+    progress: document.getElementById("renderProgress"),
+    progressLabel: document.getElementById("progressLabel"),
+    cancel: document.getElementById("cancelBtn"),
+    updateHint: document.getElementById("updateHint"),
+    update: document.getElementById("updateBtn"),
+};
+
+// Renders and animation frames run in a worker, off the UI thread
+const renderer = createRenderer();
+
+// Looping playback: frames are rendered lazily and cached per render
+// (`ctl` cancels the frames still in the worker when the render changes)
+const anim = {
+    playing: false,
+    options: null,
+    frames: 0,
+    cache: [],
+    shown: -1,
+    start: null,
+    ctl: new AbortController(),
+};
+
+// Size presets offered in the picker, as "WxH"
+const SIZE_PRESETS = [
+    "128x128",
+    "64x64",
+    "512x512",
+    "1920x1080",
+    "1080x1920",
+    "1500x500",
+    "1200x630",
+];
+
+// Displayed art box (CSS px); the canvas is fitted inside it
+const VIEW_BOX = 512;
+
+// Longest side of the 3×3 tiling preview (px)
+const TILE_PREVIEW = 384;
+
+// Inspector: deepest zoom, and the on-screen pixel size (CSS px) from which
+// the pixel grid and hover outline are drawn
+const ZOOM_MAX = 64;
+const PIXEL_GRID_MIN = 5;
+
+const PROBE_HINT = "Scroll to zoom, drag to pan; hover a pixel to inspect it.";
+
+// URL param name -> override <select>
+const OVERRIDE_PARAMS = { mode: els.mode, block: els.block, rot: els.rot };
+
+// Composite layer -> its <select>, in spec order
+const LAYER_SELECTS = {
+    inside: els.inside,
+    mask: els.mask,
+    outside: els.outside,
 };
 
 let lastState = { seedHex: "", modeName: "", blockSize: 0 };
 
-// Palette swatches (fixed)
-PALETTE_BASE.forEach((c) => {
-    const d = document.createElement("div");
-    d.className = "swatch";
-    d.style.background = c;
-    els.palette.appendChild(d);
-});
+// The seed as typed when it was not hex, recorded in PNG exports
+let lastInput = null;
+
+// Bumped per render so a slow seed hash cannot overwrite a newer render
+let renderToken = 0;
+
+// The render in progress, cancelled when a newer one starts
+let renderJob = null;
+
+// The job whose progress is shown; Cancel aborts it
+let shownJob = null;
+
+// How each seed format becomes hex, for the format badge
+const FORMAT_NOTES = {
+    text: "text → SHA-256",
+    base64: "base64 → bytes",
+    ssh: "SSH fingerprint → digest",
+};
+
+// Thumbnails currently in the gallery, for the sheet export
+let galleryState = { kind: "", seedHex: "", results: [] };
+
+// Inspector view: zoom over the fitted canvas, pan offset of the art in
+// the viewport (CSS px), the hovered image pixel and any drag under way
+const view = { zoom: 1, x: 0, y: 0, hover: null, drag: null };
+
+// Pixel probe of the render on show, made when first hovered
+let probed = { result: null, at: null };
+
+// Favourites, grouped into named collections and kept in localStorage
+// under this key (see collections.js)
+const COLLECTIONS_KEY = "cybertapestry.collections";
+let collections = [];
+
+// Explorer ancestry, root first: `{seedHex, op, mate}` per generation,
+// `op` being how it came from the one before ("mutate" or "breed", with
+// the other parent in `mate`)
+let lineage = [];
 
 /**
- * Renders the canvas from a hex seed value.
- * @param {*} hexIn - The hex seed input.
- * @param {*} param1 - Additional parameters.
+ * Starts a cancellable job: its progress shows under the badges (once it
+ * has run long enough to notice) until it is done.
+ * @param {string} label - What is running.
+ * @returns {{signal: AbortSignal, onProgress: Function, label: Function,
+ *     done: Function, cancel: Function}} Pass `signal` and `onProgress` to
+ *     the renderer; `label(text)` updates what is running; call `done()`
+ *     when the job settles.
  */
-function renderFromHex(hexIn, { updateUrl = true } = {}) {
-    const hex = normalizeHex(hexIn);
-    els.normSeed.textContent = hex || "(empty → default offset basis)";
+function startJob(label) {
+    const ctl = new AbortController();
+    const job = { ctl };
+    shownJob = job;
+    els.progress.value = 0;
+    els.progressLabel.textContent = label;
+    const timer = setTimeout(() => {
+        if (shownJob === job) els.progressRow.hidden = false;
+    }, 150);
+    return {
+        signal: ctl.signal,
+        onProgress: (done) => {
+            if (shownJob === job) els.progress.value = done;
+        },
+        label: (text) => {
+            if (shownJob === job) els.progressLabel.textContent = text;
+        },
+        done() {
+            clearTimeout(timer);
+            if (shownJob !== job) return;
+            shownJob = null;
+            els.progressRow.hidden = true;
+        },
+        cancel: () => ctl.abort(),
+    };
+}
 
-    // Update URL for shareability
-    if (updateUrl) {
-        const url = new URL(window.location.href);
-        if (hex) url.searchParams.set("seed", hex);
-        else url.searchParams.delete("seed");
-        history.replaceState(null, "", url.toString());
-    }
+/**
+ * Draws a render on a canvas, from the worker's bitmap when there is one.
+ * @param {HTMLCanvasElement} canvas - Target canvas, already sized.
+ * @param {{result: Object, bitmap: ImageBitmap|null}} rendered - From the
+ *     renderer.
+ */
+function paint(canvas, { result, bitmap }) {
+    const ctx = canvas.getContext("2d");
+    if (bitmap) ctx.drawImage(bitmap, 0, 0);
+    else
+        ctx.putImageData(
+            new ImageData(result.data, result.width, result.height),
+            0,
+            0
+        );
+}
 
-    const seed = hexToSeed32(hex);
+/**
+ * Shows the active palette as swatches and in the colour hint.
+ * @param {string[]} colors - The palette, unrotated.
+ */
+function showPalette(colors) {
+    els.palette.replaceChildren(
+        ...colors.map((c) => {
+            const d = document.createElement("div");
+            d.className = "swatch";
+            d.style.background = c;
+            d.title = c;
+            return d;
+        })
+    );
+    els.paletteHex.textContent = colors.join(" ");
+}
 
-    // Deterministic block size and mode
-    const blockSize =
-        BLOCK_OPTIONS[fmix32(seed + 0xbeef) % BLOCK_OPTIONS.length];
-    const modeIdx = fmix32(seed + 0x1234) % MODE_NAMES.length;
-    els.blockBadge.textContent = `block: ${blockSize} px`;
-    els.modeBadge.textContent = `mode: ${MODE_NAMES[modeIdx]}`;
+// Override pickers ("auto" = derive from seed)
+const addOptions = (select, values, label) =>
+    values.forEach((v) => select.add(new Option(label(v), v)));
+// Mode pickers list the registry, grouped by category
+const addModeOptions = (select, label) =>
+    MODE_CATEGORIES.forEach((category) => {
+        const group = document.createElement("optgroup");
+        group.label = category;
+        for (const { name } of listModes({ category }))
+            group.append(new Option(label(name), name));
+        select.append(group);
+    });
+addModeOptions(els.mode, (m) => `mode: ${m}`);
+addOptions(els.format, SEED_FORMATS, (f) => `format: ${f}`);
+addOptions(els.version, Object.keys(GENERATORS), (v) =>
+    Number(v) === LATEST_VERSION
+        ? `generator: v${v} (latest)`
+        : `generator: v${v}`
+);
+addOptions(els.block, BLOCK_OPTIONS, (b) => `block: ${b} px`);
+for (const [layer, select] of Object.entries(LAYER_SELECTS))
+    addModeOptions(select, (m) => `${layer}: ${m}`);
+addOptions(
+    els.paletteSelect,
+    Object.keys(PALETTE_PRESETS),
+    (p) => `palette: ${p} (${PALETTE_PRESETS[p].length})`
+);
+els.paletteSelect.add(new Option("palette: custom", "custom"));
+addOptions(els.size, SIZE_PRESETS, (wh) => `size: ${wh.replace("x", "×")}`);
+addOptions(els.galleryCount, GALLERY_COUNTS, (n) => `${n} thumbnails`);
+addOptions(els.paper, Object.keys(PAPER_SIZES), (p) => `paper: ${p}`);
+els.paper.value = "A3";
+els.size.add(new Option("size: custom", "custom"));
 
-    // Save last state for potential future use
-    lastState.seedHex = hex;
-    lastState.modeName = MODE_NAMES[modeIdx];
-    lastState.blockSize = blockSize;
+/**
+ * Points the size picker and fields at a canvas size.
+ * @param {number} w - Width in pixels.
+ * @param {number} h - Height in pixels.
+ */
+function setSizeControls(w, h) {
+    els.width.value = w;
+    els.height.value = h;
+    els.size.value = SIZE_PRESETS.includes(`${w}x${h}`)
+        ? `${w}x${h}`
+        : "custom";
+}
 
-    // Deterministic palette rotation
-    const rotation = fmix32(seed + 0x5a5a) % 4;
-    const palette = PALETTE_BASE.map(
-        (_, i) => PALETTE_BASE[(i + rotation) % 4]
-    );
+/**
+ * Fits the displayed canvas into the view box and relabels export scales
+ * for the current size, disabling ones that would be too large.
+ * @param {number} w - Canvas width in pixels.
+ * @param {number} h - Canvas height in pixels.
+ */
+function layoutCanvas(w, h) {
+    const fit = VIEW_BOX / Math.max(w, h);
+    els.canvas.style.width = `${Math.round(w * fit)}px`;
+    els.canvas.style.height = `${Math.round(h * fit)}px`;
+    for (const opt of els.exportScale.options) {
+        const s = Number(opt.value);
+        opt.textContent = `${w * s}×${h * s} (${s}×)`;
+        opt.disabled = Math.max(w, h) * s > EXPORT_MAX;
+    }
+    if (els.exportScale.selectedOptions[0]?.disabled) {
+        const ok = [...els.exportScale.options].filter((o) => !o.disabled);
+        if (ok.length) els.exportScale.value = ok[ok.length - 1].value;
+    }
+}
 
-    const ctx = els.canvas.getContext("2d", { willReadFrequently: true });
-    const img = ctx.createImageData(CANVAS_W, CANVAS_H);
-    const data = img.data;
-
-    // Build per-mode color indexers
-    const indexers = buildColorIndexer(
-        seed,
-        blockSize,
-        palette.length,
-        CANVAS_W,
-        CANVAS_H
+/**
+ * Rebuilds the rotation picker for a palette length, keeping the current
+ * choice when it is still in range.
+ * @param {number} n - Number of colours in the palette.
+ */
+function syncRotOptions(n) {
+    if (els.rot.options.length === n + 1) return;
+    const keep = els.rot.value;
+    els.rot.length = 1; // keep "auto"
+    addOptions(
+        els.rot,
+        Array.from({ length: n }, (_, i) => i),
+        (r) => `rotation: ${r}`
     );
-    const colorIndexAt = indexers[modeIdx];
-
-    for (let y = 0; y < CANVAS_H; y++) {
-        for (let x = 0; x < CANVAS_W; x++) {
-            let cidx = colorIndexAt(x, y);
-            cidx = ((cidx % palette.length) + palette.length) % palette.length; // normalize
-            const col = palette[cidx];
-
-            const r = parseInt(col.slice(1, 3), 16);
-            const g = parseInt(col.slice(3, 5), 16);
-            const b = parseInt(col.slice(5, 7), 16);
-            const i = (y * CANVAS_W + x) * 4;
-            data[i + 0] = r;
-            data[i + 1] = g;
-            data[i + 2] = b;
-            data[i + 3] = 255;
+    els.rot.value = Number(keep) < n ? keep : "";
+}
+
+/**
+ * Points the palette picker and text field at a palette.
+ * @param {string[]} colors - Colours as `#RRGGBB`.
+ */
+function setPaletteControls(colors) {
+    els.paletteSelect.value = paletteName(colors) ?? "custom";
+    els.paletteInput.value = colors
+        .map((c) => c.slice(1).toLowerCase())
+        .join(",");
+    els.paletteInput.classList.remove("invalid");
+    syncRotOptions(colors.length);
+}
+
+/**
+ * Points the params field at explicit mode params, clearing any error.
+ * @param {Object<string, number>|null} params - From parseParams.
+ */
+function setParamsControl(params) {
+    els.params.value = params ? paramsParam(params) : "";
+    els.params.classList.remove("invalid");
+    els.params.setCustomValidity("");
+}
+
+/**
+ * Points the composite pickers at a spec, showing the layer pickers only
+ * while compositing (the mode picker is unused then).
+ * @param {Object|null} spec - From parseComposite; null = off.
+ */
+function setCompositeControls(spec) {
+    els.composite.value = spec ? "on" : "";
+    for (const [layer, select] of Object.entries(LAYER_SELECTS)) {
+        select.value = spec?.[layer] ?? "";
+        select.hidden = !spec;
+    }
+    els.mode.disabled = !!spec;
+}
+
+/**
+ * Enables only tileable modes in the mode pickers while tiling is on,
+ * moving pickers off a mode that cannot tile back to "auto".
+ */
+function syncTileOptions() {
+    const tiling = els.tile.value === "1";
+    for (const select of [els.mode, ...Object.values(LAYER_SELECTS)]) {
+        for (const opt of select.options)
+            opt.disabled =
+                tiling && !!opt.value && !getMode(opt.value).tileable;
+        if (select.selectedOptions[0]?.disabled) select.value = "";
+    }
+}
+
+/**
+ * Points every override picker at a set of overrides.
+ * @param {Object} overrides - From parseOverrides.
+ */
+function setOverrideControls(overrides) {
+    els.version.value = overrides.version ?? LATEST_VERSION;
+    els.tile.value = overrides.tileable ? "1" : "";
+    setCompositeControls(overrides.composite);
+    setPaletteControls(overrides.palette ?? PALETTE_BASE);
+    setSizeControls(overrides.width ?? CANVAS_W, overrides.height ?? CANVAS_H);
+    setParamsControl(overrides.params);
+    for (const [key, select] of Object.entries(OVERRIDE_PARAMS))
+        select.value = overrides[key] ?? "";
+    syncTileOptions();
+}
+
+/**
+ * Reads the current overrides from the pickers.
+ * @returns {{mode: string|null, block: number|null, rot: number|null,
+ *     palette: string[]|null, width: number|null, height: number|null,
+ *     composite: Object|null, tileable: boolean,
+ *     params: Object<string, number>|null}}
+ */
+function currentOverrides() {
+    const composite =
+        els.composite.value === "on" &&
+        Object.values(LAYER_SELECTS).map((select) => select.value);
+    // params belong to the picked modes; seed-derived ones may lack them
+    const pinned = pinsModes({ mode: els.mode.value, composite });
+    return parseOverrides({
+        version: els.version.value,
+        mode: els.mode.value,
+        block: els.block.value,
+        rot: els.rot.value,
+        palette: els.paletteInput.value,
+        width: els.width.value,
+        height: els.height.value,
+        composite,
+        tileable: els.tile.value === "1",
+        params: pinned ? els.params.value : null,
+    });
+}
+
+/**
+ * Renders the canvas from a seed input in the chosen format.
+ * @param {*} input - The seed input (hex, text, UUID, ...).
+ * @param {*} param1 - Additional parameters: `navigate` is how the link
+ *     for the render lands in the browser history ("push" a new entry, so
+ *     Back returns to the previous art; "replace" the current one; null
+ *     leaves the URL alone).
+ */
+async function renderFromSeed(input, { navigate = "push" } = {}) {
+    const token = ++renderToken;
+    renderJob?.cancel();
+    renderJob = null;
+    cancelFrames();
+    let seed;
+    try {
+        seed = await resolveSeed(input, els.format.value);
+    } catch (err) {
+        els.seed.classList.add("invalid");
+        els.seedFormat.textContent = err.message;
+        return;
+    }
+    if (token !== renderToken) return;
+    els.seed.classList.remove("invalid");
+
+    const hex = seed.hex;
+    const overrides = currentOverrides();
+    // the field keeps its text while "auto" modes ignore it
+    els.params.disabled = !pinsModes(overrides);
+    els.normSeed.textContent = hex || "(empty → default offset basis)";
+    els.seedFormat.textContent = `format: ${
+        FORMAT_NOTES[seed.format] ?? seed.format
+    }`;
+
+    const job = startJob("rendering…");
+    renderJob = job;
+    let rendered;
+    try {
+        rendered = await renderer.render(hex, overrides, job);
+    } catch (err) {
+        if (err.name === "AbortError") return;
+        // a param the mode does not declare, or out of its range
+        if (overrides.params && err.name === "RangeError") {
+            els.params.classList.add("invalid");
+            els.params.setCustomValidity(err.message);
+            els.params.reportValidity();
+            return;
         }
+        if (token === renderToken)
+            els.openHint.textContent = `Could not render: ${err.message}.`;
+        return;
+    } finally {
+        job.done();
     }
-    ctx.putImageData(img, 0, 0);
-    drawCalibration();
+    if (token !== renderToken) return;
+    els.params.classList.remove("invalid");
+    els.params.setCustomValidity("");
+    renderJob = null;
+
+    // Update URL for shareability only now, so no history entry points at
+    // art that failed to render; non-hex seeds keep their original form
+    if (navigate) {
+        const url = new URL(window.location.href);
+        const raw = seed.format === "hex" ? hex : String(input).trim();
+        if (raw) url.searchParams.set("seed", raw);
+        else url.searchParams.delete("seed");
+        if (seed.format !== "hex") url.searchParams.set("fmt", seed.format);
+        else url.searchParams.delete("fmt");
+        url.searchParams.set("v", overrides.version ?? LATEST_VERSION);
+        for (const key of Object.keys(OVERRIDE_PARAMS)) {
+            if (overrides[key] !== null)
+                url.searchParams.set(key, overrides[key]);
+            else url.searchParams.delete(key);
+        }
+        if (overrides.composite)
+            url.searchParams.set(
+                "composite",
+                compositeParam(overrides.composite)
+            );
+        else url.searchParams.delete("composite");
+        if (overrides.tileable) url.searchParams.set("tile", 1);
+        else url.searchParams.delete("tile");
+        if (overrides.params)
+            url.searchParams.set("params", paramsParam(overrides.params));
+        else url.searchParams.delete("params");
+        const pal = overrides.palette && paletteParam(overrides.palette);
+        if (pal && pal !== "default") url.searchParams.set("palette", pal);
+        else url.searchParams.delete("palette");
+        const w = overrides.width ?? CANVAS_W,
+            h = overrides.height ?? CANVAS_H;
+        if (w !== CANVAS_W || h !== CANVAS_H) {
+            url.searchParams.set("w", w);
+            url.searchParams.set("h", h);
+        } else {
+            url.searchParams.delete("w");
+            url.searchParams.delete("h");
+        }
+        const { frames, fps } = parseAnimation({
+            frames: els.frames.value,
+            fps: els.fps.value,
+        });
+        url.searchParams.delete("anim");
+        url.searchParams.delete("frames");
+        url.searchParams.delete("fps");
+        if (anim.playing) {
+            url.searchParams.set("anim", 1);
+            if (frames !== ANIM_FRAMES) url.searchParams.set("frames", frames);
+            if (fps !== ANIM_FPS) url.searchParams.set("fps", fps);
+        }
+        // re-rendering the same link (e.g. a resize) adds no entry
+        const href = url.toString();
+        if (navigate === "push" && href !== window.location.href)
+            history.pushState(null, "", href);
+        else history.replaceState(null, "", href);
+    }
+
+    const { result } = rendered;
+    lastInput =
+        seed.format === "hex"
+            ? null
+            : { raw: String(input).trim(), format: seed.format };
+    cancelFrames();
+    anim.options = overrides;
+    anim.frames = 0;
+    anim.cache = [rendered];
+    anim.shown = 0;
+    els.animHint.textContent = isAnimated(result)
+        ? ""
+        : `${result.modeName} is a still mode; animated: ${listModes()
+              .filter((m) => m.animated)
+              .map((m) => m.name)
+              .join(", ")}`;
+    els.blockBadge.textContent =
+        result.unit === 1
+            ? `block: ${result.blockSize} px`
+            : `block: ${result.blockSize} (${
+                  Math.round(result.blockSize * result.unit * 10) / 10
+              } px)`;
+    els.modeBadge.textContent = result.layers
+        ? `mode: ${result.modeName}`
+        : `mode: ${result.mode} · ${getMode(result.mode).category}`;
+    // the mode's params (from the seed's genome on v3+), ranges on hover
+    const { params: declared } = getMode(result.mode);
+    els.paramBadges.replaceChildren(
+        ...Object.entries(result.params).map(([k, v]) => {
+            const badge = document.createElement("span");
+            badge.className = "badge param";
+            badge.textContent = `${k} ${Math.round(v * 100) / 100}`;
+            badge.title = `${k}: ${declared[k].min}..${declared[k].max}`;
+            return badge;
+        })
+    );
+    showPalette(result.basePalette);
+
+    // Save last state for downloads
+    lastState = result;
+
+    if (
+        els.canvas.width !== result.width ||
+        els.canvas.height !== result.height
+    ) {
+        els.canvas.width = result.width;
+        els.canvas.height = result.height;
+        layoutCanvas(result.width, result.height);
+        view.zoom = 1;
+        view.hover = null;
+    }
+    paint(els.canvas, rendered);
+    drawTilePreview();
+    showHistogram(result);
+    showProbe();
+    showPosterHint();
+    drawView();
+}
 
-    // Update frame size to match canvas
-    window.addEventListener("resize", drawCalibration);
+/**
+ * Reads the overrides a link carries.
+ * @param {URLSearchParams} params - The link's query.
+ * @returns {Object} From parseOverrides.
+ */
+function linkOverrides(params) {
+    return parseOverrides({
+        // links from before versioning were all rendered by v1
+        version: params.get("v") ?? LEGACY_VERSION,
+        mode: params.get("mode"),
+        block: params.get("block"),
+        rot: params.get("rot"),
+        palette: params.get("palette"),
+        width: params.get("w"),
+        height: params.get("h"),
+        composite: params.get("composite"),
+        tileable: params.get("tile"),
+        params: params.get("params"),
+    });
+}
+
+/**
+ * Points the controls at a link (seed, format, overrides, animation) and
+ * renders it, as on page load and Back/Forward.
+ * @param {string} search - Query string, e.g. `?seed=deadbeef&v=3`.
+ * @param {*} param1 - `navigate` as for renderFromSeed; by default a link
+ *     without a seed gets the default seed written into the current entry.
+ */
+function showLink(search, { navigate = null } = {}) {
+    const params = new URLSearchParams(search);
+    const urlSeed = (params.get("seed") || "").trim();
+    const urlFormat = params.get("fmt");
+    setOverrideControls(linkOverrides(params));
+    const urlAnim = parseAnimation({
+        frames: params.get("frames"),
+        fps: params.get("fps"),
+    });
+    els.frames.value = urlAnim.frames;
+    els.fps.value = urlAnim.fps;
+    const playing = params.get("anim") === "1";
+    if (playing !== anim.playing) setPlaying(playing);
+    // keep "auto" when it would pick the same format, so new input is detected
+    els.format.value =
+        SEED_FORMATS.includes(urlFormat) &&
+        detectSeedFormat(urlSeed) !== urlFormat
+            ? urlFormat
+            : "auto";
+    els.seed.value = urlSeed || "deadbeefcafefeed8badf00d";
+    renderFromSeed(els.seed.value, {
+        navigate: navigate ?? (urlSeed ? null : "replace"),
+    });
 }
 
 // Wire up UI
-els.render.addEventListener("click", () => renderFromHex(els.seed.value));
+els.render.addEventListener("click", () => renderFromSeed(els.seed.value));
+els.cancel.addEventListener("click", () => shownJob?.ctl.abort());
+// Back/Forward: every render pushed its link
+window.addEventListener("popstate", () => showLink(window.location.search));
 els.rand.addEventListener("click", () => {
     els.seed.value = randomHex(32);
-    renderFromHex(els.seed.value);
+    renderFromSeed(els.seed.value);
 });
 els.copy.addEventListener("click", async () => {
-    renderFromHex(els.seed.value, { updateUrl: true });
+    await renderFromSeed(els.seed.value);
     try {
         await navigator.clipboard.writeText(window.location.href);
         els.copy.textContent = "Copied!";
@@ -126,47 +734,1258 @@ els.copy.addEventListener("click", async () => {
     }
 });
 els.seed.addEventListener("keydown", (e) => {
-    if (e.key === "Enter") renderFromHex(els.seed.value);
+    if (e.key === "Enter") renderFromSeed(els.seed.value);
+});
+Object.values({
+    ...OVERRIDE_PARAMS,
+    ...LAYER_SELECTS,
+    version: els.version,
+}).forEach((select) =>
+    select.addEventListener("change", () => renderFromSeed(els.seed.value))
+);
+els.format.addEventListener("change", () => renderFromSeed(els.seed.value));
+els.tile.addEventListener("change", () => {
+    syncTileOptions();
+    renderFromSeed(els.seed.value);
+});
+els.composite.addEventListener("change", () => {
+    setCompositeControls(currentOverrides().composite);
+    renderFromSeed(els.seed.value);
+});
+els.paletteSelect.addEventListener("change", () => {
+    const preset = PALETTE_PRESETS[els.paletteSelect.value];
+    if (!preset) return; // "custom": edit the colour list instead
+    setPaletteControls(preset);
+    renderFromSeed(els.seed.value);
+});
+els.size.addEventListener("change", () => {
+    if (els.size.value === "custom") return els.width.focus();
+    const [w, h] = els.size.value.split("x").map(Number);
+    setSizeControls(w, h);
+    renderFromSeed(els.seed.value);
+});
+[els.width, els.height].forEach((input) =>
+    input.addEventListener("change", () => {
+        const { width, height } = currentOverrides();
+        if (width === null || height === null) return;
+        setSizeControls(width, height);
+        renderFromSeed(els.seed.value);
+    })
+);
+els.params.addEventListener("change", () => {
+    const params = parseParams(els.params.value);
+    if (els.params.value.trim() && !params) {
+        els.params.classList.add("invalid");
+        return;
+    }
+    setParamsControl(params);
+    renderFromSeed(els.seed.value);
+});
+els.paletteInput.addEventListener("change", () => {
+    const colors = parsePalette(els.paletteInput.value);
+    if (!colors) {
+        els.paletteInput.classList.add("invalid");
+        return;
+    }
+    setPaletteControls(colors);
+    renderFromSeed(els.seed.value);
+});
+els.animate.addEventListener("click", () => {
+    setPlaying(!anim.playing);
+    renderFromSeed(els.seed.value);
 });
+[els.frames, els.fps].forEach((input) =>
+    input.addEventListener("change", () => renderFromSeed(els.seed.value))
+);
+els.downloadGif.addEventListener("click", () => {
+    downloadAnimation("gif", els.exportScale.value);
+});
+els.downloadApng.addEventListener("click", () => {
+    downloadAnimation("apng", els.exportScale.value);
+});
+els.galleryBtn.addEventListener("click", showGallery);
+els.galleryKind.addEventListener("change", () => {
+    els.galleryCount.disabled = els.galleryKind.value === "modes";
+});
+els.downloadSheet.addEventListener("click", downloadSheet);
+els.batch.addEventListener("click", downloadBatch);
+els.batchFileBtn.addEventListener("click", () => els.batchFile.click());
+els.batchFile.addEventListener("change", async () => {
+    const [file] = els.batchFile.files;
+    els.batchFile.value = ""; // so picking the same file again fires
+    if (file) els.batchInput.value = await file.text();
+});
+els.collection.addEventListener("change", showFavourites);
+els.saveFav.addEventListener("click", saveFavourite);
+els.note.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") saveFavourite();
+});
+els.addCollection.addEventListener("click", addCollection);
+els.collectionName.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") addCollection();
+});
+els.deleteCollection.addEventListener("click", deleteCollection);
+els.exportCollection.addEventListener("click", exportCollection);
+els.importCollection.addEventListener("click", () => els.importInput.click());
+els.importInput.addEventListener("change", () => {
+    const [file] = els.importInput.files;
+    els.importInput.value = ""; // so picking the same file again fires
+    if (file) importCollections(file);
+});
+// another tab saved: show its collections
+window.addEventListener("storage", (e) => {
+    if (e.key !== COLLECTIONS_KEY) return;
+    loadCollections();
+    showCollections();
+});
+els.gridSelect.addEventListener("change", drawGrid);
+els.resetView.addEventListener("click", () => zoomAt(0, 0, 1));
+els.viewport.addEventListener("dblclick", () => zoomAt(0, 0, 1));
+els.viewport.addEventListener(
+    "wheel",
+    (e) => {
+        e.preventDefault();
+        const [mx, my] = viewportPoint(e);
+        zoomAt(mx, my, view.zoom * 2 ** (-e.deltaY / 300));
+    },
+    { passive: false }
+);
+els.viewport.addEventListener("pointerdown", (e) => {
+    if (view.zoom === 1 || e.button !== 0) return;
+    els.viewport.setPointerCapture(e.pointerId);
+    els.viewport.classList.add("dragging");
+    view.drag = { x: e.clientX - view.x, y: e.clientY - view.y };
+});
+els.viewport.addEventListener("pointermove", (e) => {
+    if (view.drag) {
+        view.x = e.clientX - view.drag.x;
+        view.y = e.clientY - view.drag.y;
+        drawView();
+    }
+    const [mx, my] = viewportPoint(e);
+    const px = (mx - view.x) / viewScale();
+    const py = (my - view.y) / viewScale();
+    const inside =
+        px >= 0 && px < els.canvas.width && py >= 0 && py < els.canvas.height;
+    view.hover = inside ? { x: Math.floor(px), y: Math.floor(py) } : null;
+    showProbe();
+    drawGrid();
+});
+const endDrag = () => {
+    view.drag = null;
+    els.viewport.classList.remove("dragging");
+};
+els.viewport.addEventListener("pointerup", endDrag);
+els.viewport.addEventListener("pointercancel", endDrag);
+els.viewport.addEventListener("pointerleave", () => {
+    view.hover = null;
+    showProbe();
+    drawGrid();
+});
+window.addEventListener("resize", drawView);
+els.mutate.addEventListener("click", () => showChildren("mutate"));
+els.breed.addEventListener("click", () => showChildren("breed"));
+els.back.addEventListener("click", () => walkBack(lineage.length - 2));
 els.download.addEventListener("click", () => {
     downloadPNG(els.exportScale.value);
 });
+els.downloadSvg.addEventListener("click", () => {
+    downloadSVG(els.exportScale.value);
+});
+[els.paper, els.orient, els.dpi, els.bleed, els.crop].forEach((select) =>
+    select.addEventListener("change", showPosterHint)
+);
+els.downloadPdf.addEventListener("click", downloadPoster);
+els.open.addEventListener("click", () => els.openInput.click());
+els.openInput.addEventListener("change", () => {
+    const [file] = els.openInput.files;
+    els.openInput.value = ""; // so picking the same file again fires
+    if (file) openExport(file);
+});
+// drop an exported PNG anywhere on the page
+document.addEventListener("dragover", (e) => {
+    if (!e.dataTransfer?.types.includes("Files")) return;
+    e.preventDefault();
+    document.body.classList.add("dropping");
+});
+document.addEventListener("dragleave", (e) => {
+    if (!e.relatedTarget) document.body.classList.remove("dropping");
+});
+document.addEventListener("drop", (e) => {
+    document.body.classList.remove("dropping");
+    const [file] = e.dataTransfer?.files ?? [];
+    if (!file) return;
+    e.preventDefault();
+    openExport(file);
+});
 
 /**
- * Downloads the current canvas as a PNG file.
+ * Triggers a browser download of a blob.
+ * @param {Blob} blob - The file contents.
+ * @param {string} file - The suggested filename.
+ */
+function saveBlob(blob, file) {
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = file;
+    document.body.appendChild(a);
+    a.click();
+    URL.revokeObjectURL(a.href);
+    a.remove();
+}
+
+/**
+ * Reads the export quality picker.
+ * @returns {number|null} Samples per pixel side for a native render, or null
+ *     for crisp pixel art (the canvas upscaled nearest-neighbour).
+ */
+function exportSamples() {
+    const q = els.exportQuality.value;
+    return q === "crisp" ? null : Number(q);
+}
+
+/**
+ * Downloads the current tapestry as a PNG file.
  * @param {*} scale - The scale factor for the exported image.
  */
-function downloadPNG(scale = 4) {
+async function downloadPNG(scale = 4) {
     const s = Number(scale) || 4;
+    const samples = exportSamples();
     const src = els.canvas;
     const w = src.width * s,
         h = src.height * s;
 
-    // draw to an offscreen canvas without smoothing
     const off = document.createElement("canvas");
     off.width = w;
     off.height = h;
-    const octx = off.getContext("2d");
-    octx.imageSmoothingEnabled = false;
-    octx.drawImage(src, 0, 0, w, h);
+    if (samples === null) {
+        // crisp: draw to an offscreen canvas without smoothing
+        const octx = off.getContext("2d");
+        octx.imageSmoothingEnabled = false;
+        octx.drawImage(src, 0, 0, w, h);
+    } else {
+        // native: evaluate the pattern at the export resolution
+        const job = startJob(`rendering ${w}×${h}…`);
+        try {
+            paint(
+                off,
+                await renderer.render(
+                    lastState.seedHex,
+                    { ...anim.options, scale: s, samples },
+                    job
+                )
+            );
+        } catch (err) {
+            if (err.name !== "AbortError")
+                els.openHint.textContent = `Could not render ${w}×${h}: ${err.message}.`;
+            return;
+        } finally {
+            job.done();
+        }
+    }
 
     // build filename
-    const seedPart = lastState.seedHex || "seed";
-    const modePart = lastState.modeName || "mode";
-    const file = `entropy-${seedPart}-${modePart}-${w}x${h}.png`;
-
-    // trigger download
-    off.toBlob((blob) => {
-        const a = document.createElement("a");
-        a.href = URL.createObjectURL(blob);
-        a.download = file;
-        document.body.appendChild(a);
-        a.click();
-        URL.revokeObjectURL(a.href);
-        a.remove();
+    const file = exportFileName(lastState, w, h);
+
+    // trigger download, with the settings in text chunks
+    const text = exportMetadata(lastState, {
+        scale: s,
+        samples,
+        input: lastInput,
+    });
+    // failures land in the open/restore hint, like openExport's
+    off.toBlob(async (blob) => {
+        try {
+            // null when the browser cannot encode a canvas this large
+            if (!blob)
+                throw new Error(`the browser could not encode ${w}×${h} px`);
+            const png = addPNGText(
+                new Uint8Array(await blob.arrayBuffer()),
+                text
+            );
+            saveBlob(new Blob([png], { type: "image/png" }), file);
+        } catch (err) {
+            els.openHint.textContent = `Could not save ${file}: ${err.message}.`;
+        }
     }, "image/png");
 }
 
+/**
+ * Downloads the current tapestry as a vector SVG file.
+ * @param {*} scale - Display size multiplier written into the SVG.
+ */
+function downloadSVG(scale = 4) {
+    const s = Number(scale) || 4;
+    const svg = renderSVG(lastState, { scale: s });
+    const file = exportFileName(
+        lastState,
+        lastState.width * s,
+        lastState.height * s,
+        "svg"
+    );
+    saveBlob(new Blob([svg], { type: "image/svg+xml" }), file);
+}
+
+/**
+ * Reads the poster pickers.
+ * @returns {Object} Options for posterLayout.
+ */
+function posterOptions() {
+    return {
+        paper: els.paper.value,
+        landscape: els.orient.value === "1",
+        dpi: Number(els.dpi.value),
+        bleed: Number(els.bleed.value),
+        cropMarks: els.crop.value === "1",
+    };
+}
+
+/**
+ * Tells what the poster export will print: art size and resolution.
+ */
+function showPosterHint() {
+    if (!lastState.basePalette) return; // nothing rendered yet
+    const layout = posterLayout(lastState, posterOptions());
+    const w = lastState.width * layout.scale,
+        h = lastState.height * layout.scale;
+    const mm = (pt) => Math.round((pt / 72) * 25.4);
+    els.posterHint.textContent =
+        `art ${mm(layout.art.width)}×${mm(layout.art.height)} mm ` +
+        `from ${w}×${h} px at ${layout.printDpi} dpi`;
+}
+
+/**
+ * Downloads the current tapestry as a print-ready PDF poster, the art
+ * rendered natively for the chosen paper and DPI.
+ */
+async function downloadPoster() {
+    const state = lastState;
+    const layout = posterLayout(state, posterOptions());
+    const w = state.width * layout.scale,
+        h = state.height * layout.scale;
+    const job = startJob(`rendering ${w}×${h} for ${layout.paper}…`);
+    try {
+        const { result } = await renderer.render(
+            state.seedHex,
+            { ...anim.options, scale: layout.scale },
+            job
+        );
+        const pdf = encodePoster(result, layout, { input: lastInput });
+        saveBlob(
+            new Blob([pdf], { type: "application/pdf" }),
+            exportFileName(state, w, h, "pdf")
+        );
+    } catch (err) {
+        if (err.name !== "AbortError")
+            els.posterHint.textContent = `Could not make the poster: ${err.message}.`;
+    } finally {
+        job.done();
+    }
+}
+
+/**
+ * Restores the seed and settings an exported PNG carries (see
+ * exportMetadata) and renders it again.
+ * @param {File} file - The dropped or picked file.
+ */
+async function openExport(file) {
+    let meta = null;
+    try {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        meta = parseExportMetadata(readPNGText(bytes));
+    } catch {
+        // not a PNG: reported below
+    }
+    if (!meta) {
+        els.openHint.textContent = `${file.name} carries no Cyber Tapestry settings; only PNG exports from here do.`;
+        return;
+    }
+    // keep the picker as is for values it does not offer (CLI exports)
+    const choose = (select, value) => {
+        if ([...select.options].some((o) => o.value === String(value)))
+            select.value = value;
+    };
+    setOverrideControls(meta.overrides);
+    choose(els.exportScale, meta.scale);
+    choose(els.exportQuality, meta.samples ?? "crisp");
+    if (meta.animation) {
+        els.frames.value = meta.animation.frames;
+        els.fps.value = meta.animation.fps;
+    }
+    if (!!meta.animation !== anim.playing) setPlaying(!!meta.animation);
+    // the seed as typed (text, UUID, ...) when there is one, else its hex
+    const typed = meta.input && SEED_FORMATS.includes(meta.input.format);
+    els.seed.value = typed ? meta.input.raw : meta.seedHex;
+    els.format.value = typed ? meta.input.format : "hex";
+    els.openHint.textContent = `Restored ${file.name}: seed ${
+        meta.seedHex || "(empty)"
+    }.`;
+    renderFromSeed(els.seed.value);
+}
+
+/**
+ * Starts or stops looping playback on the canvas.
+ * @param {boolean} on - Whether to play.
+ */
+function setPlaying(on) {
+    anim.playing = on;
+    els.animate.textContent = on ? "Stop" : "Animate";
+    if (on) {
+        anim.start = null;
+        requestAnimationFrame(tick);
+    }
+}
+
+/**
+ * Cancels the playback frames still queued or rendering in the worker.
+ */
+function cancelFrames() {
+    anim.ctl.abort();
+    anim.ctl = new AbortController();
+}
+
+/**
+ * Animation frame callback: shows the loop frame for the current time.
+ * @param {number} now - rAF timestamp.
+ */
+function tick(now) {
+    if (!anim.playing) return;
+    requestAnimationFrame(tick);
+    anim.start ??= now;
+    if (!isAnimated(lastState)) return;
+
+    const { frames, fps } = parseAnimation({
+        frames: els.frames.value,
+        fps: els.fps.value,
+    });
+    if (frames !== anim.frames) {
+        // frame 0 is the still image whatever the frame count
+        anim.frames = frames;
+        anim.cache = [anim.cache[0]];
+        anim.shown = -1;
+    }
+    const f = Math.floor(((now - anim.start) / 1000) * fps) % frames;
+    if (f === anim.shown) return;
+    const { cache } = anim;
+    if (!cache[f]) {
+        cache[f] = "pending";
+        renderer
+            .render(
+                lastState.seedHex,
+                { ...anim.options, time: f / frames },
+                { signal: anim.ctl.signal }
+            )
+            .then((rendered) => (cache[f] = rendered))
+            .catch(() => delete cache[f]);
+    }
+    if (cache[f] === "pending") return; // keep showing the last frame
+    anim.shown = f;
+    paint(els.canvas, cache[f]);
+    drawTilePreview();
+    if (view.hover) showProbe();
+}
+
+/**
+ * Downloads the seamless animation loop as GIF or APNG. Smooth qualities
+ * render the frames natively; GIF frames, being palette-indexed, then take
+ * each pixel's most common sample rather than the blend.
+ * @param {"gif"|"apng"} format - Output format.
+ * @param {*} scale - The scale factor for the exported frames.
+ */
+async function downloadAnimation(format, scale = 4) {
+    const s = Number(scale) || 4;
+    const samples = exportSamples();
+    const native = samples === null ? {} : { scale: s, samples };
+    const up = samples === null ? s : 1;
+    const { frames, fps } = parseAnimation({
+        frames: els.frames.value,
+        fps: els.fps.value,
+    });
+    const job = startJob(`rendering ${frames} frames…`);
+    let finished = 0;
+    let loop;
+    try {
+        loop = await Promise.all(
+            Array.from({ length: frames }, (_, f) =>
+                renderer
+                    .render(
+                        lastState.seedHex,
+                        { ...anim.options, ...native, time: f / frames },
+                        { signal: job.signal }
+                    )
+                    .then(({ result }) => {
+                        job.onProgress(++finished / frames);
+                        return result;
+                    })
+            )
+        );
+    } catch (err) {
+        if (err.name !== "AbortError")
+            els.animHint.textContent = `Could not render the loop: ${err.message}.`;
+        return;
+    } finally {
+        job.done();
+    }
+    try {
+        const { width, height, palette } = loop[0];
+        const w = width * up,
+            h = height * up;
+        const bytes =
+            format === "gif"
+                ? encodeGIF(
+                      loop.map((r) =>
+                          upscaleNearest(r.indices, width, height, up)
+                      ),
+                      w,
+                      h,
+                      palette,
+                      { fps }
+                  )
+                : encodeAPNG(
+                      loop.map((r) =>
+                          upscaleNearest(r.data, width, height, up)
+                      ),
+                      w,
+                      h,
+                      {
+                          fps,
+                          text: exportMetadata(lastState, {
+                              scale: s,
+                              samples,
+                              animation: { frames, fps },
+                              input: lastInput,
+                          }),
+                      }
+                  );
+        const type = format === "gif" ? "image/gif" : "image/apng";
+        saveBlob(
+            new Blob([bytes], { type }),
+            exportFileName(lastState, w, h, format === "gif" ? "gif" : "png")
+        );
+    } catch (err) {
+        els.animHint.textContent = `Could not encode the loop: ${err.message}.`;
+    }
+}
+
+/**
+ * Renders a grid of thumbnails for the chosen gallery kind, with the
+ * current overrides, and makes each one load into the main canvas.
+ */
+function showGallery() {
+    const kind = els.galleryKind.value;
+    const { seedHex } = lastState;
+    const overrides = currentOverrides();
+    const entries = gallerySeeds(
+        kind,
+        seedHex,
+        Number(els.galleryCount.value),
+        overrides
+    );
+    const results = renderGallery(entries, overrides);
+    galleryState = { kind, seedHex, results };
+
+    els.gallery.replaceChildren(
+        ...results.map((r) =>
+            thumbButton(
+                r,
+                kind === "modes" ? r.modeName : r.seedHex || "(empty)",
+                () => {
+                    if (kind === "modes") {
+                        els.mode.value = r.modeName;
+                        setCompositeControls(null);
+                    }
+                    loadSeed(r.seedHex);
+                }
+            )
+        )
+    );
+    els.downloadSheet.disabled = false;
+}
+
+/**
+ * Builds a thumbnail button for a render.
+ * @param {Object} r - renderTapestry result.
+ * @param {string} text - Caption under the thumbnail.
+ * @param {Function} onClick - Click handler.
+ * @returns {HTMLButtonElement} The button.
+ */
+function thumbButton(r, text, onClick) {
+    const btn = document.createElement("button");
+    btn.className = "thumb";
+    btn.title = `${r.seedHex || "(empty)"} · ${r.modeName}`;
+    const c = document.createElement("canvas");
+    c.width = r.width;
+    c.height = r.height;
+    c.getContext("2d").putImageData(
+        new ImageData(r.data, r.width, r.height),
+        0,
+        0
+    );
+    const label = document.createElement("span");
+    label.textContent = text;
+    btn.append(c, label);
+    btn.addEventListener("click", onClick);
+    return btn;
+}
+
+/**
+ * Loads a hex seed into the main canvas and scrolls to it.
+ * @param {string} seedHex - Normalized hex seed.
+ */
+function loadSeed(seedHex) {
+    els.seed.value = seedHex;
+    els.format.value = "hex";
+    renderFromSeed(seedHex);
+    els.frame.scrollIntoView({ behavior: "smooth" });
+}
+
+/**
+ * Shows children of the current seed in the explorer: mutants, or crosses
+ * with the second parent. Picking one loads it and extends the lineage.
+ * @param {"mutate"|"breed"} op - How children are made.
+ */
+async function showChildren(op) {
+    const parent = lastState.seedHex;
+    let mate = null;
+    if (op === "breed") {
+        try {
+            mate = (await resolveSeed(els.mate.value.trim(), "auto")).hex;
+        } catch {
+            mate = "";
+        }
+        els.mate.classList.toggle("invalid", !mate);
+        if (!mate) return;
+    }
+    // the seed was changed outside the explorer: start a new lineage
+    if (lineage[lineage.length - 1]?.seedHex !== parent)
+        lineage = [{ seedHex: parent, op: null, mate: null }];
+
+    const overrides = currentOverrides();
+    const options = {
+        keep: els.keep.value ? els.keep.value.split(",") : [],
+        version: overrides.version,
+        paletteLen: (overrides.palette ?? PALETTE_BASE).length,
+    };
+    let seeds;
+    try {
+        seeds = Array.from({ length: EXPLORE_CHILDREN }, () =>
+            op === "mutate"
+                ? mutateSeed(parent, {
+                      ...options,
+                      bits: Number(els.bits.value),
+                  })
+                : breedSeeds(parent, mate, options)
+        );
+    } catch (err) {
+        els.lineage.textContent = err.message;
+        return;
+    }
+    const results = renderGallery(
+        seeds.map((seedHex) => ({ seedHex, mode: null })),
+        overrides
+    );
+    els.children.replaceChildren(
+        ...results.map((r) =>
+            thumbButton(r, `${r.modeName} · ${r.blockSize}`, () => {
+                lineage.push({ seedHex: r.seedHex, op, mate });
+                showLineage();
+                loadSeed(r.seedHex);
+            })
+        )
+    );
+    showLineage();
+}
+
+/**
+ * Returns to an ancestor, dropping its descendants from the lineage.
+ * @param {number} i - Index into the lineage.
+ */
+function walkBack(i) {
+    if (i < 0 || i >= lineage.length) return;
+    lineage.length = i + 1;
+    showLineage();
+    loadSeed(lineage[i].seedHex);
+}
+
+/**
+ * Lists the lineage, root first; each ancestor can be clicked to go back.
+ */
+function showLineage() {
+    const short = (hex) => (hex.length > 10 ? `${hex.slice(0, 8)}…` : hex);
+    els.lineage.replaceChildren(
+        "Lineage: ",
+        ...lineage.flatMap(({ seedHex, op, mate }, i) => {
+            const link = document.createElement("button");
+            link.className = "crumb";
+            link.textContent = short(seedHex) || "(empty)";
+            link.title = seedHex;
+            link.disabled = i === lineage.length - 1;
+            link.addEventListener("click", () => walkBack(i));
+            if (!op) return [link];
+            const how =
+                op === "breed" ? ` × ${short(mate) || "(empty)"} → ` : " → ";
+            return [how, link];
+        })
+    );
+    els.back.disabled = lineage.length < 2;
+}
+
+/**
+ * Renders every seed of the batch panel (a list or CSV, see batch.js) the
+ * way downloadPNG would at the current export scale and quality, and
+ * downloads them as one ZIP with a manifest.json. Rows that fail are
+ * listed in the manifest instead.
+ */
+async function downloadBatch() {
+    let rows;
+    try {
+        rows = parseBatch(els.batchInput.value);
+    } catch (err) {
+        els.batchHint.textContent = err.message;
+        return;
+    }
+    if (!rows.length) {
+        els.batchHint.textContent = "Paste some seeds first.";
+        return;
+    }
+    const base = currentOverrides();
+    const scale = Number(els.exportScale.value) || 4;
+    const samples = exportSamples();
+    const files = [];
+    const manifest = [];
+    const errors = [];
+    const taken = new Set(["manifest.json"]);
+
+    els.batch.disabled = true;
+    els.batchHint.textContent = "";
+    const job = startJob(`batch: 0/${rows.length}`);
+    try {
+        for (const [i, row] of rows.entries()) {
+            // let the page paint and Cancel get clicked between seeds
+            await new Promise((resolve) => setTimeout(resolve));
+            job.signal.throwIfAborted();
+            job.label(`batch: ${i + 1}/${rows.length} ${row.seed}`);
+            try {
+                const seed = await resolveSeed(row.seed, row.format);
+                const overrides = batchOverrides(row, base);
+                const w = (overrides.width ?? CANVAS_W) * scale,
+                    h = (overrides.height ?? CANVAS_H) * scale;
+                if (Math.max(w, h) > EXPORT_MAX)
+                    throw new RangeError(
+                        `${w}×${h} is over ${EXPORT_MAX} px a side`
+                    );
+                // same pipeline as downloadPNG: upscaled pixel art, or a
+                // native render for the smooth qualities
+                const { result } = await renderer.render(
+                    seed.hex,
+                    samples === null
+                        ? overrides
+                        : { ...overrides, scale, samples },
+                    {
+                        signal: job.signal,
+                        onProgress: (done) =>
+                            job.onProgress((i + done) / rows.length),
+                    }
+                );
+                const state =
+                    samples === null
+                        ? result
+                        : {
+                              ...result,
+                              width: result.width / scale,
+                              height: result.height / scale,
+                          };
+                const pixels =
+                    samples === null
+                        ? upscaleNearest(
+                              result.data,
+                              result.width,
+                              result.height,
+                              scale
+                          )
+                        : result.data;
+                const input =
+                    seed.format === "hex"
+                        ? null
+                        : { raw: row.seed, format: seed.format };
+                const name = batchFileName(
+                    row.file,
+                    exportFileName(state, w, h),
+                    taken
+                );
+                files.push({
+                    name,
+                    data: encodePNG(pixels, w, h, {
+                        text: exportMetadata(state, { scale, samples, input }),
+                    }),
+                });
+                manifest.push({
+                    file: name,
+                    seed: row.seed,
+                    seedHex: result.seedHex,
+                    format: seed.format,
+                    version: result.version,
+                    mode: result.modeName,
+                    block: result.blockSize,
+                    rotation: result.rotation,
+                    palette: result.basePalette,
+                    width: w,
+                    height: h,
+                });
+            } catch (err) {
+                if (err.name === "AbortError") throw err;
+                errors.push({
+                    line: row.line,
+                    seed: row.seed,
+                    error: err.message,
+                });
+            }
+        }
+    } catch (err) {
+        if (err.name !== "AbortError") throw err;
+        els.batchHint.textContent = "Batch cancelled.";
+        return;
+    } finally {
+        job.done();
+        els.batch.disabled = false;
+    }
+
+    const summary = {
+        format: "cybertapestry-batch",
+        created: new Date().toISOString(),
+        scale,
+        quality: samples === null ? "crisp" : `smooth ${samples}x${samples}`,
+        files: manifest,
+        errors,
+    };
+    const zip = encodeZip([
+        ...files,
+        {
+            name: "manifest.json",
+            data: JSON.stringify(summary, null, 2),
+            compress: true,
+        },
+    ]);
+    saveBlob(
+        new Blob([zip], { type: "application/zip" }),
+        `cybertapestry-batch-${files.length}.zip`
+    );
+    els.batchHint.textContent = `${files.length} of ${
+        rows.length
+    } seeds exported${
+        errors.length ? `; skipped rows are listed in manifest.json` : ""
+    }.`;
+}
+
+/**
+ * Reads the saved collections; unreadable storage starts an empty
+ * default collection.
+ */
+function loadCollections() {
+    collections = [];
+    try {
+        const json = localStorage.getItem(COLLECTIONS_KEY);
+        if (json) collections = parseCollections(json);
+    } catch {
+        // not a collections file (or no storage): start over
+    }
+    if (!collections.length)
+        collections = [{ name: DEFAULT_COLLECTION, entries: [] }];
+}
+
+/**
+ * Writes the collections back to localStorage.
+ */
+function saveCollections() {
+    try {
+        localStorage.setItem(
+            COLLECTIONS_KEY,
+            serializeCollections(collections)
+        );
+    } catch (err) {
+        els.favHint.textContent = `Could not save the collections: ${err.message}`;
+    }
+}
+
+/**
+ * The collection picked in the collection picker.
+ * @returns {{name: string, entries: Object[]}} The collection.
+ */
+function currentCollection() {
+    return (
+        collections.find((c) => c.name === els.collection.value) ??
+        collections[0]
+    );
+}
+
+/**
+ * Rebuilds the collection picker and shows the picked collection.
+ * @param {string} [selected] - Collection to pick; defaults to the current.
+ */
+function showCollections(selected = els.collection.value) {
+    els.collection.replaceChildren(
+        ...collections.map(
+            (c) => new Option(`${c.name} (${c.entries.length})`, c.name)
+        )
+    );
+    els.collection.value = collections.some((c) => c.name === selected)
+        ? selected
+        : collections[0].name;
+    showFavourites();
+}
+
+/**
+ * Lists the picked collection: thumbnail (rendered from the saved link),
+ * mode and block, an editable note and a remove button per entry.
+ */
+function showFavourites() {
+    const collection = currentCollection();
+    els.favourites.replaceChildren(
+        ...collection.entries.map((entry) => {
+            const tile = document.createElement("div");
+            tile.className = "fav";
+            const open = () => {
+                showLink(entry.link, { navigate: "push" });
+                els.frame.scrollIntoView({ behavior: "smooth" });
+            };
+            const [r] = renderGallery(
+                [{ seedHex: entry.seedHex, mode: null }],
+                linkOverrides(new URLSearchParams(entry.link))
+            );
+            const thumb = thumbButton(
+                r,
+                `${entry.mode} · ${entry.block}`,
+                open
+            );
+            thumb.title = `${entry.seedHex || "(empty)"} · saved ${
+                entry.added.slice(0, 10) || "earlier"
+            }`;
+            const note = document.createElement("input");
+            note.type = "text";
+            note.value = entry.note;
+            note.placeholder = "note";
+            note.addEventListener("change", () => {
+                entry.note = note.value.trim();
+                saveCollections();
+            });
+            const remove = document.createElement("button");
+            remove.className = "remove";
+            remove.textContent = "Remove";
+            remove.addEventListener("click", () => {
+                collection.entries.splice(collection.entries.indexOf(entry), 1);
+                saveCollections();
+                showCollections();
+            });
+            tile.append(thumb, note, remove);
+            return tile;
+        })
+    );
+}
+
+/**
+ * Saves the current art (its link, so overrides come along) to the picked
+ * collection, or updates its note when it is there already.
+ */
+function saveFavourite() {
+    if (!lastState.basePalette) return;
+    const collection = currentCollection();
+    const link = window.location.search;
+    const note = els.note.value.trim();
+    const saved = collection.entries.find((e) => e.link === link);
+    if (saved) {
+        if (note) saved.note = note;
+        els.favHint.textContent = `Already in ${collection.name}.`;
+    } else {
+        collection.entries.push({
+            link,
+            seedHex: lastState.seedHex,
+            mode: lastState.modeName,
+            block: lastState.blockSize,
+            note,
+            added: new Date().toISOString(),
+        });
+        els.favHint.textContent = `Saved to ${collection.name}.`;
+    }
+    els.note.value = "";
+    saveCollections();
+    showCollections();
+}
+
+/**
+ * Starts a collection named in the name field, or picks it when it exists.
+ */
+function addCollection() {
+    const name = els.collectionName.value.trim();
+    els.collectionName.classList.toggle("invalid", !name);
+    if (!name) return;
+    if (!collections.some((c) => c.name === name)) {
+        collections.push({ name, entries: [] });
+        saveCollections();
+    }
+    els.collectionName.value = "";
+    showCollections(name);
+}
+
+/**
+ * Deletes the picked collection, after asking when it holds entries.
+ */
+function deleteCollection() {
+    const collection = currentCollection();
+    const n = collection.entries.length;
+    if (n && !window.confirm(`Delete ${collection.name} and its ${n} seeds?`))
+        return;
+    collections.splice(collections.indexOf(collection), 1);
+    if (!collections.length)
+        collections.push({ name: DEFAULT_COLLECTION, entries: [] });
+    saveCollections();
+    showCollections(collections[0].name);
+}
+
+/**
+ * Downloads the picked collection as a JSON file to share.
+ */
+function exportCollection() {
+    const collection = currentCollection();
+    const slug = collection.name.replace(/[^\w-]+/g, "-").toLowerCase();
+    saveBlob(
+        new Blob([serializeCollections([collection])], {
+            type: "application/json",
+        }),
+        `cybertapestry-${slug}.json`
+    );
+}
+
+/**
+ * Merges the collections of a shared JSON file into the saved ones.
+ * @param {File} file - The picked file.
+ */
+async function importCollections(file) {
+    let incoming;
+    try {
+        incoming = parseCollections(await file.text());
+    } catch (err) {
+        els.favHint.textContent = `${file.name}: ${err.message}`;
+        return;
+    }
+    const merged = mergeCollections(collections, incoming);
+    collections = merged.collections;
+    saveCollections();
+    showCollections(incoming[0]?.name);
+    els.favHint.textContent = `Imported ${merged.added} new seeds from ${file.name}.`;
+}
+
+/**
+ * Downloads the gallery as one contact-sheet PNG (thumbnails at 2×).
+ */
+function downloadSheet() {
+    const { kind, seedHex, results } = galleryState;
+    if (!results.length) return;
+    const sheet = composeSheet(results, { scale: 2 });
+    const tag = kind === "random" ? "random" : `${kind}-${seedHex || "seed"}`;
+    saveBlob(
+        new Blob([encodePNG(sheet.data, sheet.width, sheet.height)], {
+            type: "image/png",
+        }),
+        `gallery-${tag}-${results.length}-${sheet.width}x${sheet.height}.png`
+    );
+}
+
+/**
+ * Shows the canvas repeated 3×3 beside it while tiling is on, so any seam
+ * would stand out.
+ */
+function drawTilePreview() {
+    els.tilePreview.hidden = !lastState.tileable;
+    if (!lastState.tileable) return;
+    const { width: w, height: h } = els.canvas;
+    const fit = Math.min(1, TILE_PREVIEW / (3 * Math.max(w, h)));
+    const c = els.tileCanvas;
+    c.width = Math.round(3 * w * fit);
+    c.height = Math.round(3 * h * fit);
+    const ctx = c.getContext("2d");
+    // a repeating pattern rather than nine draws, which could leave hairline
+    // gaps between scaled copies
+    const pattern = ctx.createPattern(els.canvas, "repeat");
+    pattern.setTransform(new DOMMatrix().scale(fit));
+    ctx.fillStyle = pattern;
+    ctx.fillRect(0, 0, c.width, c.height);
+}
+
+/**
+ * Viewport coordinates (CSS px from its top-left, inside the border) of a
+ * pointer event.
+ * @param {MouseEvent} e - The event.
+ * @returns {number[]} The [x, y] pair.
+ */
+function viewportPoint(e) {
+    const r = els.viewport.getBoundingClientRect();
+    return [
+        e.clientX - r.left - els.viewport.clientLeft,
+        e.clientY - r.top - els.viewport.clientTop,
+    ];
+}
+
+/**
+ * On-screen size of one image pixel at the current zoom (CSS px).
+ * @returns {number} The size.
+ */
+function viewScale() {
+    return (els.canvas.clientWidth / els.canvas.width) * view.zoom;
+}
+
+/**
+ * Zooms the art, keeping the point under (mx, my) in place.
+ * @param {number} mx - Viewport x (CSS px).
+ * @param {number} my - Viewport y (CSS px).
+ * @param {number} zoom - New zoom, clamped to 1..ZOOM_MAX (1 = fitted).
+ */
+function zoomAt(mx, my, zoom) {
+    zoom = Math.min(ZOOM_MAX, Math.max(1, zoom));
+    view.x = mx - ((mx - view.x) * zoom) / view.zoom;
+    view.y = my - ((my - view.y) * zoom) / view.zoom;
+    view.zoom = zoom;
+    drawView();
+}
+
+/**
+ * Applies the zoom and pan to the art, keeping it over the whole viewport,
+ * and redraws the grid and ticks to match.
+ */
+function drawView() {
+    const w = els.canvas.clientWidth,
+        h = els.canvas.clientHeight;
+    view.x = Math.min(0, Math.max(w - w * view.zoom, view.x));
+    view.y = Math.min(0, Math.max(h - h * view.zoom, view.y));
+    els.canvas.style.transform =
+        view.zoom === 1
+            ? ""
+            : `translate(${view.x}px, ${view.y}px) scale(${view.zoom})`;
+    els.resetView.disabled = view.zoom === 1;
+    els.resetView.textContent = `zoom: ${Math.round(view.zoom * 10) / 10}×`;
+    drawGrid();
+    drawCalibration();
+}
+
+/**
+ * Draws the chosen grids over the visible part of the art: pixel edges
+ * (once pixels are PIXEL_GRID_MIN CSS px or more) and block cell edges,
+ * where the renderer's block cells change. Outlines the hovered pixel.
+ */
+function drawGrid() {
+    const c = els.grid;
+    const w = els.canvas.clientWidth,
+        h = els.canvas.clientHeight;
+    const dpr = Math.max(1, Math.floor(window.devicePixelRatio || 1));
+    c.width = w * dpr;
+    c.height = h * dpr;
+    const ctx = c.getContext("2d");
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+    const s = viewScale();
+    const { width: W, height: H } = els.canvas;
+    const grid = els.gridSelect.value;
+    // image pixel edges -> CSS px, snapped to the device grid
+    const sx = (i) => Math.round(view.x + i * s) + 0.5;
+    const sy = (j) => Math.round(view.y + j * s) + 0.5;
+    const x0 = Math.max(0, Math.floor(-view.x / s)),
+        x1 = Math.min(W, Math.ceil((w - view.x) / s));
+    const y0 = Math.max(0, Math.floor(-view.y / s)),
+        y1 = Math.min(H, Math.ceil((h - view.y) / s));
+    const lines = (xs, ys) => {
+        ctx.beginPath();
+        for (const i of xs) {
+            ctx.moveTo(sx(i), 0);
+            ctx.lineTo(sx(i), h);
+        }
+        for (const j of ys) {
+            ctx.moveTo(0, sy(j));
+            ctx.lineTo(w, sy(j));
+        }
+        ctx.stroke();
+    };
+    const range = (a, b) => Array.from({ length: b - a }, (_, k) => a + k);
+    ctx.lineWidth = 1;
+
+    if ((grid === "pixels" || grid === "both") && s >= PIXEL_GRID_MIN) {
+        ctx.strokeStyle = "rgba(0,0,0,0.35)";
+        lines(range(x0 + 1, x1), range(y0 + 1, y1));
+    }
+    if ((grid === "blocks" || grid === "both") && lastState.unit) {
+        // same cells as the renderer's blockwise fast path
+        const { unit, blockSize } = lastState;
+        const cell = (p) => (((p + 0.5) / unit - 0.5) / blockSize) | 0;
+        const edge = (i) => i > 0 && cell(i) !== cell(i - 1);
+        ctx.strokeStyle = "rgba(91,211,255,0.85)";
+        lines(range(x0, x1).filter(edge), range(y0, y1).filter(edge));
+    }
+    if (view.hover) {
+        const { x, y } = view.hover;
+        ctx.strokeStyle = "rgba(255,255,255,0.9)";
+        ctx.strokeRect(
+            sx(x) - 1,
+            sy(y) - 1,
+            Math.max(1, Math.round(s)) + 1,
+            Math.max(1, Math.round(s)) + 1
+        );
+    }
+}
+
+/**
+ * Shows what the hovered pixel is made of: its position, palette index and
+ * colour, and the cell of the mode (or composite layer) it falls in.
+ */
+function showProbe() {
+    const result = anim.cache[anim.shown]?.result ?? lastState;
+    const on = view.hover && result.indices;
+    if (on && probed.result !== result)
+        probed = { result, at: probeTapestry(result) };
+    const p = on && probed.at(view.hover.x, view.hover.y);
+    if (!p) {
+        els.probe.textContent = PROBE_HINT;
+        return;
+    }
+    const cell = Object.entries(p.cell)
+        .map(([k, v]) => `${k} ${v}`)
+        .join(", ");
+    els.probe.textContent = [
+        `x ${p.x}, y ${p.y}`,
+        `index ${p.index} ${p.color}`,
+        p.layer && `${p.layer} layer`,
+        cell,
+    ]
+        .filter(Boolean)
+        .join(" · ");
+}
+
+/**
+ * Shows how much of the image each palette entry covers.
+ * @param {{indices: Uint8Array, palette: string[]}} result - The render.
+ */
+function showHistogram({ indices, palette }) {
+    const counts = new Array(palette.length).fill(0);
+    for (const i of indices) counts[i]++;
+    const most = Math.max(...counts);
+    els.histogram.replaceChildren(
+        ...palette.map((c, i) => {
+            const row = document.createElement("div");
+            row.className = "usage";
+            const label = document.createElement("span");
+            const pct = (counts[i] / indices.length) * 100;
+            label.textContent = `${i} ${c} ${pct.toFixed(1)}%`;
+            const bar = document.createElement("span");
+            bar.className = "bar";
+            bar.style.background = c;
+            bar.style.width = `${(counts[i] / most) * 100}%`;
+            row.append(label, bar);
+            return row;
+        })
+    );
+}
+
+/**
+ * Draws ruler ticks in the frame gutter around the art, every 16 logical
+ * units (finer as the art is zoomed), following the zoom and pan.
+ */
 function drawCalibration() {
     const art = els.canvas;
     const cal = els.cal;
@@ -177,16 +1996,17 @@ function drawCalibration() {
     // displayed size (CSS px) vs intrinsic (logical) size
     const artCssW = art.clientWidth;
     const artCssH = art.clientHeight;
-    const scaleX = artCssW / art.width; // e.g. 512/128 = 4
-    const scaleY = artCssH / art.height; // should be equal, but keep general
+    const scaleX = (artCssW / art.width) * view.zoom; // e.g. 512/128 = 4
+    const scaleY = (artCssH / art.height) * view.zoom; // should be equal, but keep general
 
     // read the actual gutter from CSS so math stays honest
     const cs = getComputedStyle(frame);
     const gutter = parseFloat(cs.paddingLeft) || 16; // frame padding (we draw ticks here)
+    const border = els.viewport.clientLeft; // viewport border around the art
 
     // canvas CSS size (cal overlays the whole frame box)
-    const calCssW = Math.round(artCssW + gutter * 2);
-    const calCssH = Math.round(artCssH + gutter * 2);
+    const calCssW = Math.round(artCssW + (gutter + border) * 2);
+    const calCssH = Math.round(artCssH + (gutter + border) * 2);
 
     // device-pixel ratio for crisp lines on HiDPI
     const dpr = Math.max(1, Math.floor(window.devicePixelRatio || 1));
@@ -202,15 +2022,18 @@ function drawCalibration() {
     ctx.clearRect(0, 0, calCssW, calCssH);
 
     // positions (CSS px)
-    const left = gutter,
-        top = gutter;
+    const left = gutter + border,
+        top = gutter + border;
     const right = left + artCssW;
     const bottom = top + artCssH;
 
-    // tick spacing: every 16 image pixels -> convert to CSS px
-    const stepX = 16 * scaleX;
-    const stepY = 16 * scaleY;
-    const longEvery = 4; // long tick every 64 img px
+    // tick spacing: every 16 logical units (16 image px at 128×128), a
+    // quarter of that for each 4× of zoom -> CSS px
+    const unit = lastState.unit || 1;
+    const every = rulerEvery(unit * scaleX, 128);
+    const stepX = every * unit * scaleX;
+    const stepY = every * unit * scaleY;
+    const longEvery = 4; // long tick every 4 steps (64 units unzoomed)
     const shortLen = 6;
     const longLen = 10;
 
@@ -246,16 +2069,64 @@ function drawCalibration() {
         ctx.stroke();
     };
 
-    // vertical ticks
-    for (let i = 0, x = left; x <= right + 0.01; i++, x = left + i * stepX)
+    // vertical ticks, from the first one in view
+    for (
+        let i = Math.ceil(-view.x / stepX - 0.01),
+            x = left + view.x + i * stepX;
+        x <= right + 0.01;
+        i++, x = left + view.x + i * stepX
+    )
         vTick(x, i);
     // horizontal ticks
-    for (let j = 0, y = top; y <= bottom + 0.01; j++, y = top + j * stepY)
+    for (
+        let j = Math.ceil(-view.y / stepY - 0.01), y = top + view.y + j * stepY;
+        y <= bottom + 0.01;
+        j++, y = top + view.y + j * stepY
+    )
         hTick(y, j);
 }
 
+/**
+ * Register the service worker (sw.js) that caches the app for offline use
+ * and installs it as an app. A new release waits until the user takes it
+ * with Reload, so the open page never mixes files of two releases.
+ */
+function registerServiceWorker() {
+    // needs a secure http(s) origin, not file://
+    if (!("serviceWorker" in navigator) || !window.isSecureContext) return;
+    const sw = navigator.serviceWorker;
+    let waiting = null;
+    const offer = (next) => {
+        waiting = next;
+        els.updateHint.hidden = false;
+    };
+    els.update.addEventListener("click", () =>
+        waiting?.postMessage("skipWaiting")
+    );
+    sw.register("sw.js")
+        .then((reg) => {
+            // the first install has no controller, so nothing to replace
+            if (reg.waiting && sw.controller) offer(reg.waiting);
+            reg.addEventListener("updatefound", () => {
+                const next = reg.installing;
+                next.addEventListener("statechange", () => {
+                    if (next.state === "installed" && sw.controller)
+                        offer(next);
+                });
+            });
+        })
+        .catch(() => {}); // the app works without it, just not offline
+    // the new release took over: load its page
+    let reloading = false;
+    sw.addEventListener("controllerchange", () => {
+        if (reloading) return;
+        reloading = true;
+        window.location.reload();
+    });
+}
+
 // Boot from URL or default
-const params = new URLSearchParams(window.location.search);
-const urlSeed = normalizeHex(params.get("seed") || "");
-els.seed.value = urlSeed || "deadbeefcafefeed8badf00d";
-renderFromHex(els.seed.value, { updateUrl: !urlSeed });
+registerServiceWorker();
+loadCollections();
+showCollections();
+showLink(window.location.search);
@@ -0,0 +1,188 @@
+import { DIM_MIN, DIM_MAX } from "./constants.js";
+import { LEGACY_VERSION } from "./generators.js";
+import { renderTapestry } from "./render.js";
+import { encodePNG } from "./png.js";
+import { resolveSeed } from "./seed.js";
+
+/**
+ * Avatar / identicon API for embedding tapestries outside the web app.
+ *
+ * Nothing here touches the page: pixels come from renderTapestry and are
+ * encoded with our own PNG encoder, so `png`, `dataURL` and `blob` output
+ * also work in Node and workers. Only `format: "canvas"` needs a canvas
+ * implementation (a DOM canvas, else an OffscreenCanvas).
+ */
+
+export const AVATAR_SHAPES = ["square", "circle", "rounded"];
+export const AVATAR_FORMATS = ["canvas", "dataURL", "blob", "png"];
+
+// Corner radius of the "rounded" shape, as a fraction of the art size
+const ROUNDED_RADIUS = 0.2;
+
+// Edge samples per pixel side for anti-aliased shape masks
+const EDGE_SAMPLES = 4;
+
+// Most avatars kept in the cache; the oldest one is dropped beyond that
+const CACHE_MAX = 1024;
+
+// cache key -> {data, png?, dataURL?} (insertion order = age)
+const cache = new Map();
+
+/**
+ * Coverage (0..1) of pixel (x, y) by a shape of side `s` at the origin.
+ */
+function coverage(shape, x, y, s) {
+    if (shape === "square") return 1;
+    const r = shape === "circle" ? s / 2 : s * ROUNDED_RADIUS;
+    let hit = 0;
+    for (let j = 0; j < EDGE_SAMPLES; j++) {
+        for (let i = 0; i < EDGE_SAMPLES; i++) {
+            const px = x + (i + 0.5) / EDGE_SAMPLES;
+            const py = y + (j + 0.5) / EDGE_SAMPLES;
+            // distance past the inner (s - 2r) square, measured from its edge
+            const dx = Math.max(r - px, px - (s - r), 0);
+            const dy = Math.max(r - py, py - (s - r), 0);
+            if (dx * dx + dy * dy <= r * r) hit++;
+        }
+    }
+    return hit / (EDGE_SAMPLES * EDGE_SAMPLES);
+}
+
+/**
+ * Render the avatar pixels: the tapestry at `size - 2 * padding`, clipped
+ * to the shape and centred on a transparent square.
+ */
+function avatarPixels(hex, { size, shape, padding, ...options }) {
+    const inner = size - 2 * padding;
+    const art = renderTapestry(hex, {
+        ...options,
+        width: inner,
+        height: inner,
+    });
+    const data = new Uint8ClampedArray(size * size * 4);
+    for (let y = 0; y < inner; y++) {
+        for (let x = 0; x < inner; x++) {
+            const a = coverage(shape, x, y, inner);
+            if (!a) continue;
+            const src = (y * inner + x) * 4;
+            const dst = ((y + padding) * size + x + padding) * 4;
+            data[dst] = art.data[src];
+            data[dst + 1] = art.data[src + 1];
+            data[dst + 2] = art.data[src + 2];
+            data[dst + 3] = Math.round(255 * a);
+        }
+    }
+    return data;
+}
+
+/**
+ * Base64-encode bytes for a data URL.
+ */
+function toBase64(bytes) {
+    let bin = "";
+    for (let i = 0; i < bytes.length; i += 0x8000)
+        bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(bin);
+}
+
+/**
+ * Draw RGBA pixels onto a fresh canvas.
+ */
+function toCanvas(data, size) {
+    if (
+        typeof document === "undefined" &&
+        typeof OffscreenCanvas === "undefined"
+    )
+        throw new Error('format "canvas" needs a browser; use "png" here');
+    const canvas =
+        typeof document !== "undefined"
+            ? document.createElement("canvas")
+            : new OffscreenCanvas(size, size);
+    canvas.width = size;
+    canvas.height = size;
+    canvas
+        .getContext("2d")
+        .putImageData(new ImageData(data.slice(), size, size), 0, 0);
+    return canvas;
+}
+
+/**
+ * Generate an avatar for a user name, e-mail, key fingerprint or hex seed.
+ * Results are cached per input and options, so rendering a long user list
+ * with repeats stays cheap.
+ *
+ * @param {string} input - The seed input (see resolveSeed for formats).
+ * @param {Object} [options]
+ * @param {number} [options.size=128] - Side length in pixels.
+ * @param {string} [options.shape="square"] - One of AVATAR_SHAPES.
+ * @param {number} [options.padding=0] - Transparent margin in pixels.
+ * @param {string} [options.format="canvas"] - One of AVATAR_FORMATS:
+ *     a canvas element, a PNG data URL, a PNG Blob, or PNG bytes.
+ * @param {string} [options.inputFormat="auto"] - Seed format (SEED_FORMATS).
+ * @param {number} [options.version=LEGACY_VERSION] - Generator version
+ *     (see generators.js); v1 unless given, so avatars never change under
+ *     callers that do not pin one.
+ * @param {*} [options.mode] - Any renderTapestry override (mode, block, rot,
+ *     palette, composite) is passed through.
+ * @returns {Promise<HTMLCanvasElement|OffscreenCanvas|string|Blob|Uint8Array>}
+ *     The avatar in the requested format.
+ */
+export async function generateAvatar(
+    input,
+    {
+        size = 128,
+        shape = "square",
+        padding = 0,
+        format = "canvas",
+        inputFormat = "auto",
+        version = LEGACY_VERSION,
+        ...options
+    } = {}
+) {
+    if (!Number.isInteger(size) || size < DIM_MIN || size > DIM_MAX)
+        throw new RangeError(
+            `size must be an integer in ${DIM_MIN}..${DIM_MAX}`
+        );
+    if (
+        !Number.isInteger(padding) ||
+        padding < 0 ||
+        size - 2 * padding < DIM_MIN
+    )
+        throw new RangeError(
+            `padding must leave at least ${DIM_MIN} px of art`
+        );
+    if (!AVATAR_SHAPES.includes(shape))
+        throw new RangeError(
+            `shape must be one of ${AVATAR_SHAPES.join(", ")}`
+        );
+    if (!AVATAR_FORMATS.includes(format))
+        throw new RangeError(
+            `format must be one of ${AVATAR_FORMATS.join(", ")}`
+        );
+
+    const { hex } = await resolveSeed(input, inputFormat);
+    const params = { size, shape, padding, version, ...options };
+    const key = JSON.stringify([hex, params]);
+    let entry = cache.get(key);
+    if (entry) {
+        cache.delete(key); // refresh its age
+    } else {
+        entry = { data: avatarPixels(hex, params) };
+        if (cache.size >= CACHE_MAX) cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, entry);
+
+    if (format === "canvas") return toCanvas(entry.data, size);
+    entry.png ??= encodePNG(entry.data, size, size);
+    if (format === "png") return entry.png;
+    if (format === "blob") return new Blob([entry.png], { type: "image/png" });
+    entry.dataURL ??= `data:image/png;base64,${toBase64(entry.png)}`;
+    return entry.dataURL;
+}
+
+/**
+ * Drop every cached avatar.
+ */
+export function clearAvatarCache() {
+    cache.clear();
+}
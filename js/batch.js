@@ -0,0 +1,176 @@
+import { BATCH_MAX, SEED_FORMATS } from "./constants.js";
+import { parseOverrides } from "./render.js";
+
+/**
+ * Batch export input: a pasted list of seeds, one per line, or CSV whose
+ * header row names a `seed` column plus any of the per-row columns below.
+ * Blank lines and lines starting with `#` are skipped either way.
+ *
+ *     seed,file,mode,palette
+ *     my-org/api,api.png,rings,
+ *     my-org/web,web.png,,midnight
+ */
+
+// Per-row override columns, named like the page's URL parameters ->
+// parseOverrides keys
+const OVERRIDE_COLUMNS = {
+    v: "version",
+    mode: "mode",
+    block: "block",
+    rot: "rot",
+    palette: "palette",
+    composite: "composite",
+    tile: "tileable",
+    w: "width",
+    h: "height",
+};
+
+// Other spellings accepted in the header
+const ALIASES = { filename: "file", format: "fmt", generator: "v" };
+
+// Every column a batch CSV may have
+export const BATCH_COLUMNS = [
+    "seed",
+    "fmt",
+    "file",
+    ...Object.keys(OVERRIDE_COLUMNS),
+];
+
+/**
+ * Split one CSV line into fields; double-quoted fields may hold commas and
+ * `""` for a quote.
+ */
+function splitCSV(line) {
+    const fields = [];
+    let field = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch !== '"') field += ch;
+            else if (line[i + 1] === '"') field += line[++i];
+            else quoted = false;
+        } else if (ch === '"') quoted = true;
+        else if (ch === ",") {
+            fields.push(field.trim());
+            field = "";
+        } else field += ch;
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+/**
+ * Read a batch: a list of seeds or CSV with a header row (see above).
+ *
+ * @param {string} text - The pasted list or CSV file contents.
+ * @returns {{line: number, seed: string, format: string,
+ *     file: string|null, cells: Object<string, string>}[]} One row per
+ *     seed: its line number, the seed as written, its format (`auto`
+ *     unless a `fmt` column says otherwise), the requested file name and
+ *     the non-empty override cells by column.
+ * @throws {RangeError} For unknown columns or formats, a CSV without a
+ *     seed column, or more than BATCH_MAX rows.
+ */
+export function parseBatch(text) {
+    const lines = String(text)
+        .split(/\r?\n/)
+        .map((raw, i) => ({ line: i + 1, raw: raw.trim() }))
+        .filter(({ raw }) => raw && !raw.startsWith("#"));
+    if (!lines.length) return [];
+
+    const header = splitCSV(lines[0].raw).map((h) => {
+        const name = h.toLowerCase();
+        return ALIASES[name] ?? name;
+    });
+    const csv = header.includes("seed");
+    let rows;
+    if (!csv)
+        rows = lines.map(({ line, raw }) => ({
+            line,
+            seed: raw,
+            format: "auto",
+            file: null,
+            cells: {},
+        }));
+    else {
+        const unknown = header.filter((h) => h && !BATCH_COLUMNS.includes(h));
+        if (unknown.length)
+            throw new RangeError(
+                `unknown column ${unknown[0]}; columns are ${BATCH_COLUMNS.join(
+                    ", "
+                )}`
+            );
+        rows = lines.slice(1).map(({ line, raw }) => {
+            const record = {};
+            splitCSV(raw).forEach((v, i) => {
+                if (header[i] && v !== "") record[header[i]] = v;
+            });
+            const { seed = "", fmt = "auto", file = null, ...cells } = record;
+            if (!SEED_FORMATS.includes(fmt))
+                throw new RangeError(
+                    `line ${line}: unknown seed format ${fmt}`
+                );
+            return { line, seed, format: fmt, file, cells };
+        });
+    }
+    if (rows.length > BATCH_MAX)
+        throw new RangeError(
+            `${rows.length} seeds; a batch takes at most ${BATCH_MAX}`
+        );
+    return rows;
+}
+
+/**
+ * The render overrides for a row: its cells over the panel's overrides.
+ * A row naming a mode renders that mode, not the panel's composite, and
+ * a row naming a mode or composite drops the panel's params, which belong
+ * to the panel's mode.
+ *
+ * @param {{line: number, cells: Object<string, string>}} row - From
+ *     parseBatch.
+ * @param {Object} base - The panel's overrides (from parseOverrides).
+ * @returns {Object} Overrides as parseOverrides returns them.
+ * @throws {RangeError} For a cell that is not a valid override.
+ */
+export function batchOverrides({ line, cells }, base) {
+    const raw = { ...base };
+    if (cells.mode !== undefined && cells.composite === undefined)
+        raw.composite = null;
+    if (cells.mode !== undefined || cells.composite !== undefined)
+        raw.params = null;
+    for (const [column, value] of Object.entries(cells))
+        raw[OVERRIDE_COLUMNS[column]] = value;
+    const overrides = parseOverrides(raw);
+    for (const [column, value] of Object.entries(cells)) {
+        const valid =
+            column === "tile"
+                ? ["0", "1", "true", "false"].includes(value)
+                : overrides[OVERRIDE_COLUMNS[column]] !== null;
+        if (!valid)
+            throw new RangeError(`line ${line}: invalid ${column}: ${value}`);
+    }
+    return overrides;
+}
+
+/**
+ * Archive file name for a row: the requested name made safe (with `.png`
+ * added) or the export's default name, numbered when already taken.
+ *
+ * @param {string|null} requested - The row's `file` cell.
+ * @param {string} fallback - Default name, e.g. from exportFileName.
+ * @param {Set<string>} taken - Names in the archive so far; the result is
+ *     added.
+ * @returns {string} The name to use.
+ */
+export function batchFileName(requested, fallback, taken) {
+    let name = requested
+        ? requested.replace(/[\\/:*?"<>|\x00-\x1f]+/g, "-").replace(/^\.+/, "")
+        : fallback;
+    if (!/\.png$/i.test(name)) name += ".png";
+    let out = name;
+    for (let n = 2; taken.has(out); n++)
+        out = name.replace(/\.png$/i, `-${n}.png`);
+    taken.add(out);
+    return out;
+}
@@ -0,0 +1,133 @@
+import { normalizeHex } from "./utils.js";
+
+/**
+ * Saved collections of favourite seeds, as kept in the browser and
+ * shared as JSON files:
+ *
+ *     {"format": "cybertapestry-collections", "version": 1,
+ *      "collections": [{"name": "Favourites", "entries": [...]}]}
+ *
+ * Each entry is the link that renders it (the page's `?seed=...` query,
+ * overrides included) plus what the list shows: seed, mode, block size,
+ * a note and when it was saved. Thumbnails are rendered from the link,
+ * not stored.
+ */
+
+export const COLLECTIONS_FORMAT = "cybertapestry-collections";
+export const COLLECTIONS_VERSION = 1;
+
+// The collection new favourites go to when there is no other
+export const DEFAULT_COLLECTION = "Favourites";
+
+/**
+ * @typedef {Object} Favourite
+ * @property {string} link - Query string that renders it, e.g.
+ *     `?seed=deadbeef&v=3&mode=rings`.
+ * @property {string} seedHex - Normalized hex seed.
+ * @property {string} mode - Mode name (composites as `voronoi⊕rings/weave`).
+ * @property {number} block - Block size in logical units.
+ * @property {string} note - Free text.
+ * @property {string} added - When it was saved (ISO 8601).
+ */
+
+/**
+ * Check one entry of a collections file, filling in optional fields.
+ */
+function parseEntry(e, where) {
+    if (
+        typeof e?.link !== "string" ||
+        !e.link.startsWith("?") ||
+        typeof e.seedHex !== "string" ||
+        typeof e.mode !== "string" ||
+        !Number.isInteger(e.block)
+    )
+        throw new TypeError(
+            `${where}: entries need link, seedHex, mode and block`
+        );
+    return {
+        link: e.link,
+        seedHex: normalizeHex(e.seedHex),
+        mode: e.mode,
+        block: e.block,
+        note: typeof e.note === "string" ? e.note : "",
+        added: typeof e.added === "string" ? e.added : "",
+    };
+}
+
+/**
+ * Read collections from JSON (a shared file or the browser's copy).
+ *
+ * @param {string} json - Collections file contents.
+ * @returns {{name: string, entries: Favourite[]}[]} The collections, in
+ *     file order.
+ * @throws {TypeError} If the text is not a collections file.
+ */
+export function parseCollections(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch {
+        throw new TypeError("not a JSON file");
+    }
+    if (data?.format !== COLLECTIONS_FORMAT)
+        throw new TypeError("not a Cyber Tapestry collections file");
+    if (data.version > COLLECTIONS_VERSION)
+        throw new TypeError(
+            `collections file version ${data.version} is newer than this app`
+        );
+    if (!Array.isArray(data.collections))
+        throw new TypeError("collections file has no collections");
+    return data.collections.map((c, i) => {
+        if (typeof c?.name !== "string" || !c.name.trim())
+            throw new TypeError(`collection ${i + 1} has no name`);
+        if (!Array.isArray(c.entries))
+            throw new TypeError(`${c.name}: entries must be a list`);
+        return {
+            name: c.name.trim(),
+            entries: c.entries.map((e) => parseEntry(e, c.name)),
+        };
+    });
+}
+
+/**
+ * Write collections as JSON (see parseCollections).
+ *
+ * @param {{name: string, entries: Favourite[]}[]} collections - Collections.
+ * @returns {string} The file contents.
+ */
+export function serializeCollections(collections) {
+    return JSON.stringify(
+        {
+            format: COLLECTIONS_FORMAT,
+            version: COLLECTIONS_VERSION,
+            collections,
+        },
+        null,
+        2
+    );
+}
+
+/**
+ * Merge imported collections into existing ones: same-named collections
+ * are joined, skipping entries whose link is already there; new ones are
+ * appended.
+ *
+ * @param {{name: string, entries: Favourite[]}[]} collections - Existing.
+ * @param {{name: string, entries: Favourite[]}[]} incoming - Imported.
+ * @returns {{collections: Object[], added: number}} The merged collections
+ *     (the inputs are left as they are) and how many entries were new.
+ */
+export function mergeCollections(collections, incoming) {
+    const merged = collections.map((c) => ({ ...c, entries: [...c.entries] }));
+    let added = 0;
+    for (const { name, entries } of incoming) {
+        let target = merged.find((c) => c.name === name);
+        if (!target) merged.push((target = { name, entries: [] }));
+        for (const entry of entries) {
+            if (target.entries.some((e) => e.link === entry.link)) continue;
+            target.entries.push(entry);
+            added++;
+        }
+    }
+    return { collections: merged, added };
+}
@@ -0,0 +1,84 @@
+import { MASK_MODES } from "./constants.js";
+import { fmix32 } from "./utils.js";
+import { getMode } from "./modes.js";
+
+const LAYERS = ["inside", "mask", "outside"];
+
+/**
+ * Parse a composite spec: which mode shows inside the mask, which mode is
+ * the mask, and which mode shows outside it. Accepts `true` / `"auto"`
+ * (all three from the seed), a comma list `inside,mask,outside`, a
+ * three-item array or an already parsed spec; an empty or `auto` entry is
+ * taken from the seed. Named layers may be any registered mode.
+ *
+ * @param {*} input - The composite description.
+ * @returns {{inside: string|null, mask: string|null, outside: string|null}|null}
+ *     The layers (`null` = seed-derived), or null when the input is off or
+ *     not a valid spec.
+ */
+export function parseComposite(input) {
+    if (input == null || input === "" || input === false) return null;
+    if (input === true || input === "auto")
+        return { inside: null, mask: null, outside: null };
+    if (typeof input !== "string" && typeof input !== "object") return null;
+    const parts =
+        typeof input === "string"
+            ? input.split(",")
+            : Array.isArray(input)
+            ? input
+            : LAYERS.map((k) => input[k]);
+    if (parts.length !== LAYERS.length) return null;
+
+    const out = {};
+    for (const [i, key] of LAYERS.entries()) {
+        const name = String(parts[i] ?? "").trim();
+        if (name === "" || name === "auto") out[key] = null;
+        else if (getMode(name)) out[key] = name;
+        else return null;
+    }
+    return out;
+}
+
+/**
+ * Fill in the seed-derived layers of a composite spec. The mask comes from
+ * `masks`; the two base layers come from the generator's mode list (minus
+ * "none", a flat fill), are distinct and never equal to the mask.
+ *
+ * @param {{inside: string|null, mask: string|null, outside: string|null}}
+ *     spec - From parseComposite.
+ * @param {number} seed - 32-bit seed.
+ * @param {readonly string[]} modes - The generator's seed-picked modes.
+ * @param {readonly string[]} [masks=MASK_MODES] - Modes the mask is picked
+ *     from.
+ * @returns {{inside: string, mask: string, outside: string}} All three layers.
+ */
+export function resolveComposite(spec, seed, modes, masks = MASK_MODES) {
+    const mask = spec.mask ?? masks[fmix32(seed + 0x3a5c) % masks.length];
+    let bases = modes.filter((m) => m !== "none" && m !== mask);
+    const inside = spec.inside ?? bases[fmix32(seed + 0x1a7e) % bases.length];
+    bases = bases.filter((m) => m !== inside);
+    const outside = spec.outside ?? bases[fmix32(seed + 0x0b7e) % bases.length];
+    return { inside, mask, outside };
+}
+
+/**
+ * Display name of a composite, e.g. `voronoi⊕rings/weave`.
+ *
+ * @param {{inside: string, mask: string, outside: string}} layers - Layers.
+ * @returns {string} The name shown in badges and metadata.
+ */
+export function compositeName({ inside, mask, outside }) {
+    return `${inside}⊕${mask}/${outside}`;
+}
+
+/**
+ * Serialize a composite spec for the `?composite=` URL parameter.
+ *
+ * @param {{inside: string|null, mask: string|null, outside: string|null}}
+ *     spec - From parseComposite.
+ * @returns {string} `auto` or `inside,mask,outside`.
+ */
+export function compositeParam(spec) {
+    const names = LAYERS.map((k) => spec[k] ?? "auto");
+    return names.every((n) => n === "auto") ? "auto" : names.join(",");
+}
@@ -1,42 +1,111 @@
 export const PALETTE_BASE = ["#FFFBDE", "#91C8E4", "#749BC2", "#4682A9"];
+
+// Allowed palette lengths for custom palettes
+export const PALETTE_MIN = 2;
+export const PALETTE_MAX = 16;
+
+// Named palettes selectable by name (`?palette=midnight`)
+export const PALETTE_PRESETS = {
+    default: PALETTE_BASE,
+    midnight: ["#0B132B", "#1C2541", "#3A506B", "#5BC0BE", "#6FFFE9"],
+    synthwave: ["#2B0F54", "#AB1F65", "#FF4F69", "#FFF7F8", "#FF8142"],
+    sunset: ["#355070", "#6D597A", "#B56576", "#E56B6F", "#EAAC8B"],
+    forest: ["#132A13", "#31572C", "#4F772D", "#90A955", "#ECF39E"],
+    terminal: ["#0A0F0A", "#00FF41"],
+    mono: ["#111111", "#555555", "#AAAAAA", "#EEEEEE"],
+    pico8: [
+        "#000000",
+        "#1D2B53",
+        "#7E2553",
+        "#008751",
+        "#AB5236",
+        "#5F574F",
+        "#C2C3C7",
+        "#FFF1E8",
+        "#FF004D",
+        "#FFA300",
+        "#FFEC27",
+        "#00E436",
+        "#29ADFF",
+        "#83769C",
+        "#FF77A8",
+        "#FFCCAA",
+    ],
+};
+// Default output size. Patterns are laid out in logical units where the
+// shorter side is always 128, so other sizes keep the same look.
 export const CANVAS_W = 128;
 export const CANVAS_H = 128;
+export const LOGICAL_SIZE = 128;
+
+// Allowed output width/height in pixels
+export const DIM_MIN = 8;
+export const DIM_MAX = 4096;
+
+// Largest exported side (native or upscaled); bigger canvases run out of
+// memory in browsers
+export const EXPORT_MAX = 8192;
+
+// Most supersamples per pixel side for smooth (anti-aliased) renders
+export const SAMPLES_MAX = 8;
 
-// Visible block sizes (must divide 128)
+// Visible block sizes in logical units (divide 128)
 export const BLOCK_OPTIONS = [1, 2, 4, 8, 16];
 
-// Mode names (deterministic by seed; no manual pick)
-export const MODE_NAMES = [
-    "none",
-    "vertical",
-    "horizontal",
-    "quad",
-    "diag",
-    "anti-diag",
-    "rot4",
+// Animation export defaults and limits
+export const ANIM_FRAMES = 24;
+export const ANIM_FPS = 12;
+export const ANIM_MAX_FRAMES = 120;
+export const ANIM_MAX_FPS = 50;
+
+// Gallery: thumbnail size (longer side, px) and sheet sizes on offer
+export const GALLERY_THUMB = 128;
+export const GALLERY_COUNTS = [12, 24, 48];
+
+// Children shown per Mutate / Breed in the seed explorer
+export const EXPLORE_CHILDREN = 8;
+
+// Most rows one batch export renders
+export const BATCH_MAX = 1000;
+
+// Modes that make good masks for composite rendering (seed-derived picks)
+export const MASK_MODES = [
     "rings",
-    "sectors",
-    "stripes",
+    "dots-grid",
+    "hex-tiles",
     "checker",
     "diamonds",
-    "squares",
-    "spiral",
-    "spokes",
-    "bricks",
-    "voronoi",
-    "value-noise",
-    "weave",
-    "crosshatch",
-    "rot45-checker",
-    "kaleido8",
-    "concentric-squares",
     "bullseye-bold",
-    "dots-grid",
-    "waves",
-    "square-maze",
-    "iso-cubes",
-    "hex-tiles",
+    "sectors",
+    "stripes",
     "triangles",
-    "chevron",
     "grid-rings",
 ];
+
+// Seed input formats ("auto" detects one of the others)
+export const SEED_FORMATS = [
+    "auto",
+    "hex",
+    "text",
+    "base64",
+    "uuid",
+    "ssh",
+    "colon-hex",
+];
+
+// Poster (PDF) paper sizes, portrait width x height in mm, and the print
+// settings the poster export accepts
+export const PAPER_SIZES = {
+    A0: [841, 1189],
+    A1: [594, 841],
+    A2: [420, 594],
+    A3: [297, 420],
+    A4: [210, 297],
+    A5: [148, 210],
+    Letter: [215.9, 279.4],
+    Legal: [215.9, 355.6],
+    Tabloid: [279.4, 431.8],
+};
+export const POSTER_DPI_MIN = 72;
+export const POSTER_DPI_MAX = 600;
+export const POSTER_BLEED_MAX = 10; // mm
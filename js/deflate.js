@@ -0,0 +1,241 @@
+/**
+ * Small, dependency-free DEFLATE (RFC 1951) encoder plus the checksums the
+ * container formats around it need. Uses LZ77 with a hash chain and the fixed
+ * Huffman tables, which is plenty for our blocky, highly repetitive images.
+ */
+
+const CRC_TABLE = (() => {
+    const t = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++)
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        t[n] = c >>> 0;
+    }
+    return t;
+})();
+
+/**
+ * Compute the CRC-32 (IEEE) of a byte array.
+ * Pass a previous result as `crc` to continue over several buffers.
+ *
+ * @param {Uint8Array} bytes - The bytes to checksum.
+ * @param {number} [crc=0] - Running CRC from a previous call.
+ * @returns {number} 32-bit unsigned CRC.
+ */
+export function crc32(bytes, crc = 0) {
+    let c = (crc ^ 0xffffffff) >>> 0;
+    for (let i = 0; i < bytes.length; i++)
+        c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Compute the Adler-32 checksum used by zlib streams.
+ *
+ * @param {Uint8Array} bytes - The bytes to checksum.
+ * @returns {number} 32-bit unsigned checksum.
+ */
+export function adler32(bytes) {
+    let a = 1,
+        b = 0;
+    const MOD = 65521;
+    for (let i = 0; i < bytes.length; ) {
+        // 5552 is the largest run that cannot overflow before the modulo
+        const end = Math.min(bytes.length, i + 5552);
+        for (; i < end; i++) {
+            a += bytes[i];
+            b += a;
+        }
+        a %= MOD;
+        b %= MOD;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+// length codes 257..285: base lengths and extra bits
+const LEN_BASE = [
+    3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67,
+    83, 99, 115, 131, 163, 195, 227, 258,
+];
+const LEN_EXTRA = [
+    0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5,
+    5, 5, 5, 0,
+];
+// distance codes 0..29
+const DIST_BASE = [
+    1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513,
+    769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577,
+];
+const DIST_EXTRA = [
+    0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10,
+    11, 11, 12, 12, 13, 13,
+];
+
+const WINDOW = 32768;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const MAX_CHAIN = 48;
+const HASH_BITS = 15;
+
+// lookup: match length -> length code index, distance -> distance code index
+const LEN_CODE = new Uint8Array(MAX_MATCH + 1);
+for (let c = 0; c < LEN_BASE.length; c++) {
+    const hi = c + 1 < LEN_BASE.length ? LEN_BASE[c + 1] : MAX_MATCH + 1;
+    for (let l = LEN_BASE[c]; l < hi; l++) LEN_CODE[l] = c;
+}
+LEN_CODE[MAX_MATCH] = 28;
+const DIST_CODE = new Uint8Array(WINDOW + 1);
+for (let c = 0; c < DIST_BASE.length; c++) {
+    const hi = c + 1 < DIST_BASE.length ? DIST_BASE[c + 1] : WINDOW + 1;
+    for (let d = DIST_BASE[c]; d < hi; d++) DIST_CODE[d] = c;
+}
+
+/**
+ * Reverse the lowest `len` bits of `code` (Huffman codes are sent MSB first,
+ * the rest of the stream LSB first).
+ */
+function reverseBits(code, len) {
+    let r = 0;
+    for (let i = 0; i < len; i++) {
+        r = (r << 1) | (code & 1);
+        code >>>= 1;
+    }
+    return r;
+}
+
+/**
+ * LSB-first bit writer over a growable byte buffer.
+ */
+function bitWriter(initial) {
+    let buf = new Uint8Array(Math.max(1024, initial));
+    let pos = 0,
+        acc = 0,
+        nbits = 0;
+
+    const ensure = (n) => {
+        if (pos + n <= buf.length) return;
+        const next = new Uint8Array(Math.max(buf.length * 2, pos + n));
+        next.set(buf.subarray(0, pos));
+        buf = next;
+    };
+
+    return {
+        bits(value, len) {
+            acc |= value << nbits;
+            nbits += len;
+            while (nbits >= 8) {
+                ensure(1);
+                buf[pos++] = acc & 0xff;
+                acc >>>= 8;
+                nbits -= 8;
+            }
+        },
+        finish() {
+            if (nbits > 0) {
+                ensure(1);
+                buf[pos++] = acc & 0xff;
+            }
+            acc = 0;
+            nbits = 0;
+            return buf.subarray(0, pos);
+        },
+    };
+}
+
+/**
+ * Emit a literal/length symbol with the fixed Huffman table.
+ */
+function writeLitLen(w, sym) {
+    if (sym < 144) w.bits(reverseBits(0x30 + sym, 8), 8);
+    else if (sym < 256) w.bits(reverseBits(0x190 + sym - 144, 9), 9);
+    else if (sym < 280) w.bits(reverseBits(sym - 256, 7), 7);
+    else w.bits(reverseBits(0xc0 + sym - 280, 8), 8);
+}
+
+/**
+ * Compress bytes into a raw DEFLATE stream (no zlib/gzip header).
+ *
+ * @param {Uint8Array} input - The bytes to compress.
+ * @returns {Uint8Array} Raw DEFLATE data.
+ */
+export function deflateRaw(input) {
+    const n = input.length;
+    const w = bitWriter((n >> 2) + 64);
+    const head = new Int32Array(1 << HASH_BITS).fill(-1);
+    const prev = new Int32Array(WINDOW);
+    const hashAt = (i) =>
+        (((input[i] << 10) ^ (input[i + 1] << 5) ^ input[i + 2]) &
+            ((1 << HASH_BITS) - 1)) >>>
+        0;
+    const insert = (i) => {
+        const h = hashAt(i);
+        prev[i & (WINDOW - 1)] = head[h];
+        head[h] = i;
+    };
+
+    // single final block, fixed Huffman codes
+    w.bits(1, 1);
+    w.bits(1, 2);
+
+    let i = 0;
+    while (i < n) {
+        let bestLen = 0,
+            bestDist = 0;
+        if (i + MIN_MATCH <= n) {
+            const limit = Math.min(MAX_MATCH, n - i);
+            let cand = head[hashAt(i)];
+            let chain = MAX_CHAIN;
+            while (cand >= 0 && i - cand <= WINDOW && chain-- > 0) {
+                if (input[cand + bestLen] === input[i + bestLen]) {
+                    let l = 0;
+                    while (l < limit && input[cand + l] === input[i + l]) l++;
+                    if (l > bestLen) {
+                        bestLen = l;
+                        bestDist = i - cand;
+                        if (l === limit) break;
+                    }
+                }
+                cand = prev[cand & (WINDOW - 1)];
+            }
+        }
+
+        if (bestLen >= MIN_MATCH) {
+            const lc = LEN_CODE[bestLen];
+            writeLitLen(w, 257 + lc);
+            if (LEN_EXTRA[lc]) w.bits(bestLen - LEN_BASE[lc], LEN_EXTRA[lc]);
+            const dc = DIST_CODE[bestDist];
+            w.bits(reverseBits(dc, 5), 5);
+            if (DIST_EXTRA[dc])
+                w.bits(bestDist - DIST_BASE[dc], DIST_EXTRA[dc]);
+            const end = i + bestLen;
+            for (; i < end; i++) if (i + MIN_MATCH <= n) insert(i);
+        } else {
+            writeLitLen(w, input[i]);
+            if (i + MIN_MATCH <= n) insert(i);
+            i++;
+        }
+    }
+    writeLitLen(w, 256); // end of block
+    return w.finish();
+}
+
+/**
+ * Compress bytes into a zlib (RFC 1950) stream, as used by PNG and PDF.
+ *
+ * @param {Uint8Array} input - The bytes to compress.
+ * @returns {Uint8Array} zlib-wrapped DEFLATE data.
+ */
+export function zlibDeflate(input) {
+    const raw = deflateRaw(input);
+    const out = new Uint8Array(raw.length + 6);
+    out[0] = 0x78; // CM=8, CINFO=7 (32K window)
+    out[1] = 0x01; // FCHECK so that (CMF*256 + FLG) % 31 == 0
+    out.set(raw, 2);
+    const a = adler32(input);
+    out[raw.length + 2] = a >>> 24;
+    out[raw.length + 3] = (a >>> 16) & 0xff;
+    out[raw.length + 4] = (a >>> 8) & 0xff;
+    out[raw.length + 5] = a & 0xff;
+    return out;
+}
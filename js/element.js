@@ -0,0 +1,165 @@
+import { CANVAS_W, DIM_MIN, DIM_MAX } from "./constants.js";
+import { LEGACY_VERSION } from "./generators.js";
+import { renderTapestry, parseOverrides } from "./render.js";
+import { resolveSeed } from "./seed.js";
+
+/**
+ * `<cyber-tapestry>` custom element: a self-contained tapestry for any page.
+ *
+ *     <script type="module" src="js/element.js"></script>
+ *     <cyber-tapestry seed="deadbeef" size="64" mode="auto"></cyber-tapestry>
+ *
+ * Attributes mirror the web app's URL parameters: `seed`, `format` (seed
+ * format, default auto), `version` (generator version; without one, v1,
+ * like a link without `v`, so existing embeds keep their art), `size`
+ * (square side in px; `width`/`height` for other shapes), `mode`, `block`,
+ * `rot`, `palette`, `composite` and `params`, plus the boolean `tileable`
+ * (seamlessly repeating art, e.g. for backgrounds).
+ * Missing, `auto` or invalid overrides fall back to the seed's own picks.
+ * Every instance renders into its own shadow DOM and re-renders when an
+ * attribute changes, then fires `rendered` with the resolved state.
+ */
+
+const STYLE = `
+:host { display: inline-block; line-height: 0; }
+:host([hidden]) { display: none; }
+canvas {
+    image-rendering: pixelated;
+    image-rendering: crisp-edges;
+}`;
+
+export class CyberTapestryElement extends HTMLElement {
+    static observedAttributes = [
+        "version",
+        "seed",
+        "format",
+        "size",
+        "width",
+        "height",
+        "mode",
+        "block",
+        "rot",
+        "palette",
+        "composite",
+        "params",
+        "tileable",
+    ];
+
+    #canvas;
+    #pending = false;
+    #token = 0;
+
+    constructor() {
+        super();
+        const root = this.attachShadow({ mode: "open" });
+        const style = document.createElement("style");
+        style.textContent = STYLE;
+        this.#canvas = document.createElement("canvas");
+        this.#canvas.setAttribute("part", "canvas");
+        this.#canvas.setAttribute("role", "img");
+        root.append(style, this.#canvas);
+    }
+
+    connectedCallback() {
+        this.#schedule();
+    }
+
+    attributeChangedCallback() {
+        if (this.isConnected) this.#schedule();
+    }
+
+    /**
+     * Batch attribute changes made in one task into a single render.
+     */
+    #schedule() {
+        if (this.#pending) return;
+        this.#pending = true;
+        queueMicrotask(() => {
+            this.#pending = false;
+            this.#render();
+        });
+    }
+
+    /**
+     * Read an integer canvas dimension attribute, or null.
+     */
+    #dim(name) {
+        const v = Number(this.getAttribute(name));
+        return Number.isInteger(v) && v >= DIM_MIN && v <= DIM_MAX ? v : null;
+    }
+
+    async #render() {
+        const token = ++this.#token;
+        let seed;
+        try {
+            seed = await resolveSeed(
+                this.getAttribute("seed") ?? "",
+                this.getAttribute("format") ?? "auto"
+            );
+        } catch (err) {
+            this.dispatchEvent(new CustomEvent("error", { detail: err }));
+            return;
+        }
+        if (token !== this.#token) return; // superseded by a newer render
+
+        const size = this.#dim("size") ?? CANVAS_W;
+        const attr = (name) => this.getAttribute(name);
+        const overrides = parseOverrides({
+            version: attr("version") ?? LEGACY_VERSION,
+            mode: attr("mode"),
+            block: attr("block"),
+            rot: attr("rot"),
+            palette: attr("palette"),
+            composite: attr("composite"),
+            params: attr("params"),
+            tileable: this.hasAttribute("tileable"),
+            width: this.#dim("width") ?? size,
+            height: this.#dim("height") ?? size,
+        });
+        let result;
+        try {
+            result = renderTapestry(seed.hex, overrides);
+        } catch (err) {
+            // e.g. a mode that cannot tile
+            this.dispatchEvent(new CustomEvent("error", { detail: err }));
+            return;
+        }
+
+        const canvas = this.#canvas;
+        canvas.width = result.width;
+        canvas.height = result.height;
+        canvas
+            .getContext("2d")
+            .putImageData(
+                new ImageData(result.data, result.width, result.height),
+                0,
+                0
+            );
+        canvas.setAttribute(
+            "aria-label",
+            `Tapestry for ${result.seedHex || "empty seed"}: ${result.modeName}`
+        );
+        // one CSS px per pixel; restyle through ::part(canvas) to scale
+        canvas.style.width = `${result.width}px`;
+        canvas.style.height = `${result.height}px`;
+
+        this.dispatchEvent(
+            new CustomEvent("rendered", {
+                detail: {
+                    version: result.version,
+                    seed: result.seedHex,
+                    seedFormat: seed.format,
+                    mode: result.modeName,
+                    blockSize: result.blockSize,
+                    rotation: result.rotation,
+                    palette: result.palette,
+                    width: result.width,
+                    height: result.height,
+                },
+            })
+        );
+    }
+}
+
+if (!customElements.get("cyber-tapestry"))
+    customElements.define("cyber-tapestry", CyberTapestryElement);
@@ -0,0 +1,159 @@
+import { PALETTE_BASE } from "./constants.js";
+import { normalizeHex } from "./utils.js";
+import { GENERATORS, LEGACY_VERSION, getGenerator } from "./generators.js";
+
+/**
+ * Seed explorer: children of a seed that differ in a few bits (mutate) or
+ * mix two seeds (breed).
+ *
+ * A seed's mode, block size and palette rotation are hashed from its whole
+ * 32-bit digest, so even a one-bit child usually changes all of them. To
+ * keep some fixed, children are redrawn until the generator picks the same
+ * ones for them; the child seed alone then reproduces its art, no
+ * overrides needed.
+ */
+
+// Traits a child can be asked to share with its parent(s)
+export const KEEP_TRAITS = ["mode", "block", "palette"];
+
+// Start from this when the parent seed is empty (nothing to flip)
+const EMPTY_BASE = "00000000";
+
+// Redraws before one more bit is flipped, and before giving up
+const TRIES_PER_BIT = 1000;
+const MAX_TRIES = 100000;
+
+/**
+ * Build the check a child must pass to keep the given traits of its
+ * parents: for each trait, the generator's pick for the child must equal
+ * one parent's.
+ *
+ * @param {string[]} keep - Traits from KEEP_TRAITS.
+ * @param {string[]} parents - Parent seeds (normalized hex).
+ * @param {*} version - Generator version.
+ * @param {number} paletteLen - Palette length (rotations depend on it).
+ * @returns {(hex: string) => boolean} The check.
+ */
+function keeper(keep, parents, version, paletteLen) {
+    for (const trait of keep)
+        if (!KEEP_TRAITS.includes(trait))
+            throw new RangeError(
+                `keep must list traits of ${KEEP_TRAITS.join(", ")}`
+            );
+    const gen = getGenerator(version) ?? GENERATORS[LEGACY_VERSION];
+    const pick = {
+        mode: (key) => gen.pickMode(key),
+        block: (key) => gen.pickBlock(key),
+        palette: (key) => gen.pickRotation(key, paletteLen),
+    };
+    const keyOf = (hex) => gen.derive(hex).key;
+    const keys = parents.map(keyOf);
+    return (hex) => {
+        const key = keyOf(hex);
+        return keep.every((trait) =>
+            keys.some((p) => pick[trait](p) === pick[trait](key))
+        );
+    };
+}
+
+/**
+ * Draw children until one passes `ok`, flipping one more bit every
+ * TRIES_PER_BIT failures.
+ */
+function draw(make, ok) {
+    for (let i = 0; i < MAX_TRIES; i++) {
+        const hex = make(Math.floor(i / TRIES_PER_BIT));
+        if (ok(hex)) return hex;
+    }
+    throw new RangeError("no child keeps those traits; keep fewer");
+}
+
+/**
+ * Flip `bits` distinct random bits of a hex string.
+ */
+function flipBits(hex, bits, random) {
+    const digits = hex.split("").map((d) => parseInt(d, 16));
+    const total = digits.length * 4;
+    const flipped = new Set();
+    while (flipped.size < Math.min(bits, total))
+        flipped.add(Math.floor(random() * total));
+    for (const bit of flipped) digits[bit >> 2] ^= 8 >> (bit & 3);
+    return digits.map((d) => d.toString(16)).join("");
+}
+
+/**
+ * Mutate a seed: flip a few bits of its normalized hex.
+ *
+ * @param {string} seedHex - The parent seed (normalized here; an empty
+ *     seed mutates from `00000000`).
+ * @param {Object} [options]
+ * @param {number} [options.bits=2] - Bits to flip (more are flipped when
+ *     `keep` cannot otherwise be met).
+ * @param {string[]} [options.keep=[]] - Traits (KEEP_TRAITS) the child must
+ *     share with the parent.
+ * @param {*} [options.version] - Generator version the traits are picked
+ *     by; defaults to v1, like renderTapestry.
+ * @param {number} [options.paletteLen] - Palette length, for `palette`;
+ *     defaults to the base palette's.
+ * @param {() => number} [options.random=Math.random] - Random source in
+ *     [0, 1).
+ * @returns {string} The child seed, as hex of the same length.
+ * @throws {RangeError} For unknown traits, or when no child keeps them.
+ */
+export function mutateSeed(
+    seedHex,
+    {
+        bits = 2,
+        keep = [],
+        version,
+        paletteLen = PALETTE_BASE.length,
+        random = Math.random,
+    } = {}
+) {
+    if (!Number.isInteger(bits) || bits < 1)
+        throw new RangeError("bits must be a positive integer");
+    const hex = normalizeHex(seedHex) || EMPTY_BASE;
+    const ok = keeper(keep, [hex], version, paletteLen);
+    return draw(
+        (extra) => flipBits(hex, bits + extra, random),
+        (child) => child !== hex && ok(child)
+    );
+}
+
+/**
+ * Breed two seeds: each hex digit of the child comes from one parent or
+ * the other at random. The child is as long as the longer parent, whose
+ * digits fill in past the end of the shorter one.
+ *
+ * @param {string} a - First parent seed (normalized here).
+ * @param {string} b - Second parent seed (normalized here).
+ * @param {Object} [options] - `keep`, `version`, `paletteLen` and `random`
+ *     as for mutateSeed; kept traits must match either parent.
+ * @returns {string} The child seed.
+ * @throws {RangeError} For unknown traits, or when no child keeps them.
+ */
+export function breedSeeds(
+    a,
+    b,
+    {
+        keep = [],
+        version,
+        paletteLen = PALETTE_BASE.length,
+        random = Math.random,
+    } = {}
+) {
+    const ha = normalizeHex(a) || EMPTY_BASE;
+    const hb = normalizeHex(b) || EMPTY_BASE;
+    const ok = keeper(keep, [ha, hb], version, paletteLen);
+    const len = Math.max(ha.length, hb.length);
+    const cross = () =>
+        Array.from({ length: len }, (_, i) =>
+            i >= hb.length || (i < ha.length && random() < 0.5) ? ha[i] : hb[i]
+        ).join("");
+    // when crossing alone cannot meet `keep` (e.g. equal parents), mutate
+    // the cross a little too
+    return draw(
+        (extra) => (extra ? flipBits(cross(), extra, random) : cross()),
+        ok
+    );
+}
@@ -0,0 +1,137 @@
+import { CANVAS_W, CANVAS_H, DIM_MIN, GALLERY_THUMB } from "./constants.js";
+import { normalizeHex, randomHex } from "./utils.js";
+import { renderTapestry, pinsModes } from "./render.js";
+import { getMode, modeNames } from "./modes.js";
+
+// What a gallery sheet can show
+export const GALLERY_KINDS = ["random", "prefix", "modes"];
+
+/**
+ * List the seeds (and modes) for a gallery sheet.
+ * - `random`: fresh random seeds.
+ * - `prefix`: the seed followed by a counter (`<seed>00`, `<seed>01`, ...),
+ *   so the same prefix always gives the same sheet.
+ * - `modes`: the seed in every registered mode (no composite), or every
+ *   tileable one for tileable sheets; `count` is ignored.
+ *
+ * @param {string} kind - One of GALLERY_KINDS.
+ * @param {string} seedHex - The current seed (normalized here).
+ * @param {number} count - Number of thumbnails.
+ * @param {{tileable?: boolean}} [options] - The sheet's render options.
+ * @returns {{seedHex: string, mode: string|null}[]} One entry per
+ *     thumbnail; `mode: null` keeps the seed-derived (or overridden) mode.
+ */
+export function gallerySeeds(kind, seedHex, count, { tileable } = {}) {
+    const hex = normalizeHex(seedHex);
+    if (kind === "modes")
+        return modeNames()
+            .filter((mode) => !tileable || getMode(mode).tileable)
+            .map((mode) => ({ seedHex: hex, mode }));
+    if (kind === "prefix") {
+        const digits = Math.max(2, (count - 1).toString(16).length);
+        return Array.from({ length: count }, (_, i) => ({
+            seedHex: hex + i.toString(16).padStart(digits, "0"),
+            mode: null,
+        }));
+    }
+    if (kind === "random")
+        return Array.from({ length: count }, () => ({
+            seedHex: randomHex(32),
+            mode: null,
+        }));
+    throw new RangeError(`gallery kind must be one of ${GALLERY_KINDS}`);
+}
+
+/**
+ * Thumbnail size for a canvas size: same aspect, longer side GALLERY_THUMB.
+ *
+ * @param {number} width - Full canvas width.
+ * @param {number} height - Full canvas height.
+ * @returns {{width: number, height: number}} Thumbnail size in pixels.
+ */
+export function thumbSize(width = CANVAS_W, height = CANVAS_H) {
+    const fit = GALLERY_THUMB / Math.max(width, height);
+    return {
+        width: Math.max(DIM_MIN, Math.round(width * fit)),
+        height: Math.max(DIM_MIN, Math.round(height * fit)),
+    };
+}
+
+/**
+ * Render gallery thumbnails through the normal renderTapestry path; the
+ * logical-unit layout keeps each thumbnail a faithful preview of the full
+ * size.
+ *
+ * @param {{seedHex: string, mode: string|null}[]} entries - From gallerySeeds.
+ * @param {Object} [options] - renderTapestry overrides shared by every
+ *     thumbnail; `width`/`height` are the full size being previewed.
+ *     `params` only apply where the overrides pin the modes (see
+ *     pinsModes): other thumbnails pick modes that may not declare them.
+ * @returns {Object[]} One renderTapestry result per entry.
+ */
+export function renderGallery(entries, options = {}) {
+    const size = thumbSize(
+        options.width ?? CANVAS_W,
+        options.height ?? CANVAS_H
+    );
+    const fixed = pinsModes(options);
+    return entries.map(({ seedHex, mode }) =>
+        renderTapestry(seedHex, {
+            ...options,
+            mode: mode ?? options.mode,
+            composite: mode ? null : options.composite,
+            params: mode || !fixed ? null : options.params,
+            ...size,
+        })
+    );
+}
+
+/**
+ * Lay equally sized renders out as one contact sheet.
+ *
+ * @param {Object[]} results - renderTapestry results, all the same size.
+ * @param {Object} [options]
+ * @param {number} [options.columns] - Thumbnails per row (default: square-ish).
+ * @param {number} [options.scale=1] - Integer upscale per thumbnail.
+ * @param {number} [options.gap=4] - Spacing between thumbnails, in pixels.
+ * @param {string} [options.background="#05070C"] - Gap colour as `#RRGGBB`.
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} RGBA
+ *     sheet.
+ */
+export function composeSheet(
+    results,
+    {
+        columns = Math.ceil(Math.sqrt(results.length)),
+        scale = 1,
+        gap = 4,
+        background = "#05070C",
+    } = {}
+) {
+    const { width: tw, height: th } = results[0];
+    const cw = tw * scale,
+        ch = th * scale;
+    const rows = Math.ceil(results.length / columns);
+    const width = columns * cw + (columns + 1) * gap;
+    const height = rows * ch + (rows + 1) * gap;
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    const out = new Uint32Array(data.buffer);
+    const bg = new Uint8ClampedArray(4);
+    for (let c = 0; c < 3; c++)
+        bg[c] = parseInt(background.slice(1 + c * 2, 3 + c * 2), 16);
+    bg[3] = 255;
+    out.fill(new Uint32Array(bg.buffer)[0]);
+
+    results.forEach((r, i) => {
+        const src = new Uint32Array(r.data.buffer, r.data.byteOffset, tw * th);
+        const ox = gap + (i % columns) * (cw + gap);
+        const oy = gap + Math.floor(i / columns) * (ch + gap);
+        for (let y = 0; y < ch; y++) {
+            const row = ((y / scale) | 0) * tw;
+            const o = (oy + y) * width + ox;
+            for (let x = 0; x < cw; x++)
+                out[o + x] = src[row + ((x / scale) | 0)];
+        }
+    });
+    return { width, height, data };
+}
@@ -0,0 +1,143 @@
+import { BLOCK_OPTIONS } from "./constants.js";
+import { fmix32, hexToSeed32, hexToKey128, keyStream } from "./utils.js";
+import { BUILTIN_MODES } from "./patterns.js";
+
+/**
+ * Versioned generator registry.
+ *
+ * A generator version fixes everything that decides the art for a seed: the
+ * modes its seeds pick from and their order, the block sizes, how the seed
+ * becomes the key the patterns hash, and how it picks mode, block size,
+ * palette rotation and mode params. The patterns come from
+ * the mode registry (modes.js) by name. Shared links and exports record the
+ * version (`?v=1`), so once a version is released it is FROZEN and must
+ * keep rendering byte-identically: re-tuned picks or a longer mode list go
+ * into a new version with its own entry here, and a built-in mode's
+ * indexer never changes (a changed pattern is a new mode name).
+ */
+
+/**
+ * @typedef {Object} Generator
+ * @property {number} version - Version number, as used in `?v=`.
+ * @property {readonly string[]} modes - Names of the modes seeds pick from.
+ * @property {readonly number[]} blocks - Block sizes in logical units.
+ * @property {(hex: string) => {key: number|Uint32Array, seed: number}}
+ *     derive - Normalized seed hex -> the state the art is drawn from: the
+ *     `key` the picks and the modes' hash2D take, and a 32-bit `seed` for
+ *     everything else (param defaults, composite layers, ...).
+ * @property {(key: *) => string} pickMode - Key -> mode name.
+ * @property {(key: *) => number} pickBlock - Key -> block size.
+ * @property {(key: *, n: number) => number} pickRotation - Key and
+ *     palette length -> palette rotation.
+ * @property {((key: *, mode: string) => (param: string) => number)|null}
+ *     genome - Key and mode name -> the seed's draw in [0, 1) for each of
+ *     the mode's params (see ModeParam.gene in modes.js); null when params
+ *     keep their defaults.
+ */
+
+// The 32 original built-ins (patterns.js keeps them first, in this order)
+const V1_MODES = Object.freeze(BUILTIN_MODES.slice(0, 32).map((m) => m.name));
+const V1_BLOCKS = Object.freeze(BLOCK_OPTIONS.slice());
+
+// v1's modes for the wide key: the ones that draw little or nothing from it
+// give way to their `-hashed` variants (patterns.js), in the same slots
+const V2_MODES = Object.freeze(
+    V1_MODES.map((name) =>
+        BUILTIN_MODES.some((m) => m.name === `${name}-hashed`)
+            ? `${name}-hashed`
+            : name
+    )
+);
+
+// v2 draws each pick from its own stream of the seed's key
+const V2_STREAMS = { seed: 0, mode: 1, block: 2, rotation: 3 };
+
+/**
+ * Stream number of one mode param's gene: a hash of `mode.param`, so every
+ * param of every mode gets a stream of its own.
+ *
+ * @param {string} mode - Mode name.
+ * @param {string} param - Param name.
+ * @returns {number} 32-bit stream number.
+ */
+function geneStream(mode, param) {
+    let h = 0x67e4e;
+    for (const ch of `${mode}.${param}`)
+        h = fmix32(h ^ Math.imul(ch.charCodeAt(0), 0x01000193));
+    return h;
+}
+
+/** @type {Object<number, Generator>} */
+export const GENERATORS = {
+    1: Object.freeze({
+        version: 1,
+        modes: V1_MODES,
+        blocks: V1_BLOCKS,
+        // the seed is its own key: one FNV-1a hash of the hex, 32 bits
+        derive: (hex) => {
+            const seed = hexToSeed32(hex);
+            return { key: seed, seed };
+        },
+        pickMode: (seed) => V1_MODES[fmix32(seed + 0x1234) % V1_MODES.length],
+        pickBlock: (seed) =>
+            V1_BLOCKS[fmix32(seed + 0xbeef) % V1_BLOCKS.length],
+        pickRotation: (seed, n) => fmix32(seed + 0x5a5a) % n,
+        genome: null,
+    }),
+    // v1's blocks and (hashed) modes, drawn from a 128-bit key instead:
+    // seeds no longer collapse to 2^32 images, and 32-bit collisions stay
+    // apart
+    2: Object.freeze({
+        version: 2,
+        modes: V2_MODES,
+        blocks: V1_BLOCKS,
+        derive: (hex) => {
+            const key = hexToKey128(hex);
+            return { key, seed: keyStream(key, V2_STREAMS.seed)() };
+        },
+        pickMode: (key) =>
+            V2_MODES[keyStream(key, V2_STREAMS.mode)() % V2_MODES.length],
+        pickBlock: (key) =>
+            V1_BLOCKS[keyStream(key, V2_STREAMS.block)() % V1_BLOCKS.length],
+        pickRotation: (key, n) => keyStream(key, V2_STREAMS.rotation)() % n,
+        genome: null,
+    }),
+    // v2 plus a parameter genome: counts, sizes, radii, phases and centre
+    // offsets come from the key too, so one mode and block size no longer
+    // means one look
+    3: Object.freeze({
+        version: 3,
+        modes: V2_MODES,
+        blocks: V1_BLOCKS,
+        derive: (hex) => {
+            const key = hexToKey128(hex);
+            return { key, seed: keyStream(key, V2_STREAMS.seed)() };
+        },
+        pickMode: (key) =>
+            V2_MODES[keyStream(key, V2_STREAMS.mode)() % V2_MODES.length],
+        pickBlock: (key) =>
+            V1_BLOCKS[keyStream(key, V2_STREAMS.block)() % V1_BLOCKS.length],
+        pickRotation: (key, n) => keyStream(key, V2_STREAMS.rotation)() % n,
+        genome: (key, mode) => (param) =>
+            keyStream(key, geneStream(mode, param))() / 2 ** 32,
+    }),
+};
+
+// Version used for new renders; links without `?v=` predate versioning and
+// always mean v1
+export const LATEST_VERSION = 3;
+export const LEGACY_VERSION = 1;
+
+/**
+ * Look up a generator version.
+ *
+ * @param {*} version - Version number (or numeric string).
+ * @returns {Generator|null} The generator, or null if there is no such
+ *     version.
+ */
+export function getGenerator(version) {
+    const v = Number(version);
+    return Number.isInteger(v) && Object.hasOwn(GENERATORS, v)
+        ? GENERATORS[v]
+        : null;
+}
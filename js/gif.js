@@ -0,0 +1,165 @@
+/**
+ * Minimal animated GIF89a encoder for palette-indexed frames.
+ * Our images never use more than 16 colours, so frames are written straight
+ * from the palette index buffers with one global colour table.
+ */
+
+/**
+ * Growable byte buffer with little-endian helpers.
+ */
+function byteSink() {
+    let buf = new Uint8Array(4096);
+    let pos = 0;
+    const ensure = (n) => {
+        if (pos + n <= buf.length) return;
+        const next = new Uint8Array(Math.max(buf.length * 2, pos + n));
+        next.set(buf.subarray(0, pos));
+        buf = next;
+    };
+    return {
+        byte(b) {
+            ensure(1);
+            buf[pos++] = b & 0xff;
+        },
+        u16(v) {
+            this.byte(v);
+            this.byte(v >>> 8);
+        },
+        bytes(arr) {
+            ensure(arr.length);
+            buf.set(arr, pos);
+            pos += arr.length;
+        },
+        ascii(s) {
+            for (let i = 0; i < s.length; i++) this.byte(s.charCodeAt(i));
+        },
+        result() {
+            return buf.subarray(0, pos);
+        },
+    };
+}
+
+/**
+ * LZW-compress palette indices into GIF image data sub-blocks.
+ *
+ * @param {Uint8Array} indices - One palette index per pixel.
+ * @param {number} minCodeSize - LZW minimum code size (2..8).
+ * @param {Object} out - byteSink receiving the sub-blocks.
+ */
+function writeLZW(indices, minCodeSize, out) {
+    const clear = 1 << minCodeSize;
+    const eoi = clear + 1;
+    let next = eoi + 1;
+    let codeSize = minCodeSize + 1;
+    let dict = new Map();
+
+    // pack codes LSB first into <= 255 byte sub-blocks
+    const block = new Uint8Array(255);
+    let blen = 0,
+        acc = 0,
+        nbits = 0;
+    const flushByte = (b) => {
+        block[blen++] = b;
+        if (blen === 255) {
+            out.byte(255);
+            out.bytes(block);
+            blen = 0;
+        }
+    };
+    const emit = (code) => {
+        acc |= code << nbits;
+        nbits += codeSize;
+        while (nbits >= 8) {
+            flushByte(acc & 0xff);
+            acc >>>= 8;
+            nbits -= 8;
+        }
+    };
+
+    out.byte(minCodeSize);
+    emit(clear);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const hit = dict.get(key);
+        if (hit !== undefined) {
+            prefix = hit;
+            continue;
+        }
+        emit(prefix);
+        if (next === 4096) {
+            // table full: reset it
+            emit(clear);
+            dict = new Map();
+            next = eoi + 1;
+            codeSize = minCodeSize + 1;
+        } else {
+            if (next >= 1 << codeSize) codeSize++;
+            dict.set(key, next++);
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(eoi);
+    if (nbits > 0) flushByte(acc & 0xff);
+    if (blen) {
+        out.byte(blen);
+        out.bytes(block.subarray(0, blen));
+    }
+    out.byte(0); // block terminator
+}
+
+/**
+ * Encode palette-indexed frames as a looping animated GIF.
+ *
+ * @param {Uint8Array[]} frames - Palette indices per frame, row-major.
+ * @param {number} width - Frame width in pixels.
+ * @param {number} height - Frame height in pixels.
+ * @param {string[]} palette - Colours as `#RRGGBB` (at most 256).
+ * @param {Object} [options]
+ * @param {number} [options.fps=12] - Playback rate; GIF delays are in 1/100 s.
+ * @returns {Uint8Array} The GIF file bytes.
+ */
+export function encodeGIF(frames, width, height, palette, { fps = 12 } = {}) {
+    // colour table size must be a power of two, at least 4 entries
+    let bits = 2;
+    while (1 << bits < palette.length) bits++;
+    const out = byteSink();
+
+    out.ascii("GIF89a");
+    out.u16(width);
+    out.u16(height);
+    out.byte(0x80 | ((bits - 1) << 4) | (bits - 1)); // global table, its size
+    out.byte(0); // background colour index
+    out.byte(0); // pixel aspect ratio
+    for (let i = 0; i < 1 << bits; i++) {
+        const c = palette[i] || "#000000";
+        out.byte(parseInt(c.slice(1, 3), 16));
+        out.byte(parseInt(c.slice(3, 5), 16));
+        out.byte(parseInt(c.slice(5, 7), 16));
+    }
+
+    // NETSCAPE2.0 application extension: loop forever
+    out.bytes([0x21, 0xff, 0x0b]);
+    out.ascii("NETSCAPE2.0");
+    out.bytes([0x03, 0x01, 0x00, 0x00, 0x00]);
+
+    const delay = Math.max(2, Math.round(100 / fps));
+    for (const indices of frames) {
+        // graphic control extension: no disposal, delay, no transparency
+        out.bytes([0x21, 0xf9, 0x04, 0x04]);
+        out.u16(delay);
+        out.bytes([0x00, 0x00]);
+        // image descriptor: full frame, no local table
+        out.byte(0x2c);
+        out.u16(0);
+        out.u16(0);
+        out.u16(width);
+        out.u16(height);
+        out.byte(0);
+        writeLZW(indices, bits, out);
+    }
+    out.byte(0x3b); // trailer
+    return out.result();
+}
@@ -0,0 +1,31 @@
+/**
+ * Library entry point: everything needed to render tapestries from code,
+ * without the web app (js/app.js wires up the page when it loads).
+ */
+export { generateAvatar, clearAvatarCache } from "./avatar.js";
+export {
+    renderTapestry,
+    renderAnimation,
+    probeTapestry,
+    exportFileName,
+    exportMetadata,
+    parseExportMetadata,
+} from "./render.js";
+export { createRenderer } from "./renderer.js";
+export { resolveSeed, detectSeedFormat } from "./seed.js";
+export { mutateSeed, breedSeeds, KEEP_TRAITS } from "./explore.js";
+export { parsePalette } from "./palette.js";
+export { renderSVG } from "./svg.js";
+export { encodePNG, encodeAPNG, addPNGText, readPNGText } from "./png.js";
+export { encodeGIF } from "./gif.js";
+export { encodePDF } from "./pdf.js";
+export { encodeZip } from "./zip.js";
+export { posterLayout, encodePoster } from "./poster.js";
+export {
+    registerMode,
+    getMode,
+    listModes,
+    modeNames,
+    MODE_CATEGORIES,
+} from "./modes.js";
+export { PALETTE_PRESETS, SEED_FORMATS, PAPER_SIZES } from "./constants.js";
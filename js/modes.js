@@ -0,0 +1,296 @@
+import { BUILTIN_MODES } from "./patterns.js";
+
+/**
+ * Pattern-mode registry: every mode the renderer, UI and gallery know about,
+ * looked up by name.
+ *
+ * Registering a mode makes it available for explicit selection (`mode`,
+ * composite layers, the mode menus and the "every mode" gallery). Seeds
+ * only ever pick from their generator's own frozen list (see
+ * generators.js), so adding modes never changes existing art.
+ */
+
+// Mode groups, in menu order
+export const MODE_CATEGORIES = ["mirror", "radial", "tiling", "noise"];
+
+// Names end up in URLs and comma-separated composite specs
+const NAME_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * @typedef {Object} ModeParam
+ * @property {number} min - Smallest allowed value.
+ * @property {number} max - Largest allowed value.
+ * @property {boolean} [integer] - Whether only integers are allowed.
+ * @property {number|Function} default - The value, or `(ctx, params) =>
+ *     value` for one derived from the seed and block size (`params` holds
+ *     the params declared before this one).
+ * @property {number[]|Function} [gene] - `[lo, hi]`, or `(ctx, params) =>
+ *     [lo, hi]`: the part of the range a seed's genome draws the param
+ *     from, for generators that have one (see Generator.genome in
+ *     generators.js); clamped to min..max. Without a gene the param always
+ *     takes its default.
+ */
+
+/**
+ * @typedef {Object} ModeDescriptor
+ * @property {string} name - Unique name, lowercase words joined by `-`.
+ * @property {string} category - One of MODE_CATEGORIES.
+ * @property {boolean} [animated] - Whether the indexer uses the loop phase t.
+ * @property {boolean} [blockwise] - Whether the colour depends only on the
+ *     block cell `((x / blockSize) | 0, (y / blockSize) | 0)`; the renderer
+ *     then evaluates it once per cell instead of once per pixel.
+ * @property {boolean} [tileable] - Whether the mode honours `ctx.tileable`
+ *     by repeating seamlessly across the canvas edges.
+ * @property {Object<string, ModeParam>} [params] - Tunable parameters.
+ * @property {Function} build - `(ctx) => (x, y, t) => palette index`, see
+ *     BUILTIN_MODES in patterns.js for the fields of `ctx`.
+ * @property {Function} [probe] - `(ctx) => (x, y, t) => Object`: labelled
+ *     values naming the mode's cell at (x, y), e.g. `{q: 3, r: -1}`; modes
+ *     without one are probed by block cell.
+ */
+
+/** @type {Map<string, ModeDescriptor>} */
+const registry = new Map();
+
+/**
+ * Add a pattern mode to the registry.
+ *
+ * @param {ModeDescriptor} desc - The mode.
+ * @returns {ModeDescriptor} The registered (frozen) descriptor.
+ * @throws {TypeError} If the descriptor is malformed.
+ * @throws {RangeError} If a mode with that name is already registered.
+ */
+export function registerMode(desc) {
+    const {
+        name,
+        category,
+        animated = false,
+        blockwise = false,
+        tileable = false,
+        params = {},
+        build,
+        probe = null,
+    } = desc ?? {};
+    if (typeof name !== "string" || !NAME_RE.test(name))
+        throw new TypeError(
+            `mode name must be lowercase words joined by "-": ${name}`
+        );
+    if (registry.has(name))
+        throw new RangeError(`mode already registered: ${name}`);
+    if (!MODE_CATEGORIES.includes(category))
+        throw new TypeError(
+            `mode category must be one of ${MODE_CATEGORIES.join(", ")}`
+        );
+    if (typeof build !== "function")
+        throw new TypeError(`mode ${name} needs a build(ctx) function`);
+    if (probe !== null && typeof probe !== "function")
+        throw new TypeError(`mode ${name}: probe must be a function`);
+    for (const [key, p] of Object.entries(params)) {
+        const ok =
+            p &&
+            Number.isFinite(p.min) &&
+            Number.isFinite(p.max) &&
+            p.min <= p.max &&
+            (typeof p.default === "function" || Number.isFinite(p.default));
+        if (!ok)
+            throw new TypeError(
+                `mode ${name}: param ${key} needs min <= max and a default`
+            );
+        if (
+            p.gene !== undefined &&
+            typeof p.gene !== "function" &&
+            !(Array.isArray(p.gene) && p.gene.length === 2)
+        )
+            throw new TypeError(
+                `mode ${name}: param ${key} gene must be [lo, hi] or a function`
+            );
+    }
+
+    const frozenParams = {};
+    for (const [key, p] of Object.entries(params))
+        frozenParams[key] = Object.freeze({ ...p, integer: !!p.integer });
+    const mode = Object.freeze({
+        name,
+        category,
+        animated: !!animated,
+        blockwise: !!blockwise,
+        tileable: !!tileable,
+        params: Object.freeze(frozenParams),
+        build,
+        probe,
+    });
+    registry.set(name, mode);
+    return mode;
+}
+
+/**
+ * Look up a registered mode.
+ *
+ * @param {*} name - Mode name.
+ * @returns {ModeDescriptor|null} The mode, or null if there is none.
+ */
+export function getMode(name) {
+    return registry.get(name) ?? null;
+}
+
+/**
+ * List registered modes in registration order (built-ins first).
+ *
+ * @param {{category?: string}} [filter] - Only modes of this category.
+ * @returns {ModeDescriptor[]} The modes.
+ */
+export function listModes({ category } = {}) {
+    const modes = [...registry.values()];
+    return category ? modes.filter((m) => m.category === category) : modes;
+}
+
+/**
+ * Names of all registered modes, in registration order.
+ *
+ * @returns {string[]} Mode names.
+ */
+export function modeNames() {
+    return [...registry.keys()];
+}
+
+/**
+ * Build the render context a mode's `build(ctx)` receives, minus `params`.
+ *
+ * @param {number} seed - 32-bit seed.
+ * @param {number} blockSize - Block size in logical units.
+ * @param {number} paletteLen - Number of palette colours.
+ * @param {number} W - Canvas width in logical units.
+ * @param {number} H - Canvas height in logical units.
+ * @param {boolean} [tileable=false] - Whether tileable modes should repeat
+ *     with period W x H.
+ * @param {number|Uint32Array} [key=seed] - The generator's key for hash2D
+ *     (see Generator.derive in generators.js).
+ * @returns {Object} The context.
+ */
+export function modeContext(
+    seed,
+    blockSize,
+    paletteLen,
+    W,
+    H,
+    tileable = false,
+    key = seed
+) {
+    return {
+        seed,
+        key,
+        blockSize,
+        paletteLen,
+        W,
+        H,
+        tileable,
+        cx: (W - 1) / 2,
+        cy: (H - 1) / 2,
+        // Map an index picked for the 4-colour base palette onto paletteLen
+        // colours, spread evenly (identity for 4 colours).
+        anchor: (k) => Math.round((k * (paletteLen - 1)) / 3),
+    };
+}
+
+// Param names in `key=value` lists (links, CLI flags, export metadata)
+const PARAM_NAME_RE = /^[\w-]+$/;
+
+/**
+ * Read explicit mode param values from a `key=value` list, e.g.
+ * `spokes=12,offsetX=-3`. Whether the rendered modes declare them, and
+ * their ranges, is checked when rendering (see resolveModeParams).
+ *
+ * @param {*} raw - The list, or an object of values.
+ * @returns {Object<string, number>|null} The params, or null when there
+ *     are none; malformed pairs are dropped.
+ */
+export function parseParams(raw) {
+    if (raw == null || raw === "") return null;
+    const pairs =
+        typeof raw === "string"
+            ? raw.split(",").map((kv) => kv.split("="))
+            : Object.entries(raw);
+    const out = {};
+    for (const [key, value, ...rest] of pairs) {
+        const k = String(key).trim();
+        const v = String(value ?? "").trim() === "" ? NaN : Number(value);
+        if (PARAM_NAME_RE.test(k) && !rest.length && Number.isFinite(v))
+            out[k] = v;
+    }
+    return Object.keys(out).length ? out : null;
+}
+
+/**
+ * Serialize params for a link or export (see parseParams).
+ *
+ * @param {Object<string, number>} params - Param values.
+ * @returns {string} e.g. `spokes=12,offsetX=-3`.
+ */
+export function paramsParam(params) {
+    return Object.entries(params)
+        .map(([k, v]) => `${k}=${v}`)
+        .join(",");
+}
+
+/**
+ * Draw a param from its gene: integers uniformly over the whole numbers
+ * in the gene, others over the gene rounded to hundredths (so the value
+ * shown can be typed back in as an override).
+ *
+ * @param {ModeParam} p - The param.
+ * @param {number} u - The genome's draw in [0, 1).
+ * @param {Object} ctx - Render context.
+ * @param {Object<string, number>} params - Params resolved so far.
+ * @returns {number} The value, within min..max.
+ */
+function expressGene(p, u, ctx, params) {
+    const [lo, hi] = (
+        typeof p.gene === "function" ? p.gene(ctx, params) : p.gene
+    ).map((v) => Math.min(p.max, Math.max(p.min, v)));
+    if (p.integer) {
+        const a = Math.ceil(lo);
+        return a + Math.floor(u * (Math.floor(hi) - a + 1));
+    }
+    return Math.min(hi, Math.round((lo + u * (hi - lo)) * 100) / 100);
+}
+
+/**
+ * Resolve a mode's params: drawn from the genome (params with a gene) or
+ * defaults from the seed and block size, replaced by any valid overrides.
+ * Overrides for params the mode does not declare are ignored.
+ *
+ * @param {ModeDescriptor} mode - The mode.
+ * @param {{seed: number, blockSize: number}} ctx - Render context.
+ * @param {Object<string, *>} [overrides] - Param values (numbers or
+ *     numeric strings).
+ * @param {((param: string) => number)|null} [genome] - The seed's draw in
+ *     [0, 1) for each of this mode's params; null uses the defaults.
+ * @returns {Object<string, number>} Every declared param's value.
+ * @throws {RangeError} If an override is out of range.
+ */
+export function resolveModeParams(mode, ctx, overrides = {}, genome = null) {
+    const out = {};
+    for (const [key, p] of Object.entries(mode.params)) {
+        const raw = overrides[key];
+        if (raw == null || raw === "") {
+            out[key] =
+                genome && p.gene !== undefined
+                    ? expressGene(p, genome(key), ctx, out)
+                    : typeof p.default === "function"
+                    ? p.default(ctx, out)
+                    : p.default;
+            continue;
+        }
+        const v = Number(raw);
+        if (!(v >= p.min && v <= p.max) || (p.integer && !Number.isInteger(v)))
+            throw new RangeError(
+                `${mode.name}: ${key} must be ${
+                    p.integer ? "an integer " : ""
+                }in ${p.min}..${p.max}`
+            );
+        out[key] = v;
+    }
+    return out;
+}
+
+for (const mode of BUILTIN_MODES) registerMode(mode);
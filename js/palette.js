@@ -0,0 +1,78 @@
+import { PALETTE_PRESETS, PALETTE_MIN, PALETTE_MAX } from "./constants.js";
+
+/**
+ * Parse a palette given as a preset name, a comma-separated list of hex
+ * colours (`0b132b,1c2541,...`, `#` optional, 3 or 6 digits) or an array.
+ *
+ * @param {string|string[]} input - The palette description.
+ * @returns {string[]|null} Colours as uppercase `#RRGGBB`, or null if the
+ *     input is not a preset and not a list of PALETTE_MIN..PALETTE_MAX colours.
+ */
+export function parsePalette(input) {
+    if (input == null || input === "") return null;
+    if (typeof input === "string") {
+        const preset = PALETTE_PRESETS[input.trim().toLowerCase()];
+        if (preset) return preset.slice();
+        input = input.split(",");
+    }
+    if (!Array.isArray(input)) return null;
+    if (input.length < PALETTE_MIN || input.length > PALETTE_MAX) return null;
+
+    const out = [];
+    for (const raw of input) {
+        let c = String(raw).trim().replace(/^#/, "");
+        if (!/^([0-9a-f]{3}|[0-9a-f]{6})$/i.test(c)) return null;
+        if (c.length === 3) c = c.replace(/./g, (d) => d + d);
+        out.push("#" + c.toUpperCase());
+    }
+    return out;
+}
+
+/**
+ * Find the preset name matching a palette exactly, if any.
+ *
+ * @param {string[]} palette - Colours as `#RRGGBB`.
+ * @returns {string|null} The preset name, or null for a custom palette.
+ */
+export function paletteName(palette) {
+    const key = palette.join(",").toUpperCase();
+    for (const [name, colors] of Object.entries(PALETTE_PRESETS))
+        if (colors.join(",").toUpperCase() === key) return name;
+    return null;
+}
+
+/**
+ * Serialize a palette for the `?palette=` URL parameter: the preset name
+ * when it matches one, otherwise the colours without `#`.
+ *
+ * @param {string[]} palette - Colours as `#RRGGBB`.
+ * @returns {string} URL-safe palette value.
+ */
+export function paletteParam(palette) {
+    return (
+        paletteName(palette) ??
+        palette.map((c) => c.replace(/^#/, "").toLowerCase()).join(",")
+    );
+}
+
+// ImageData is RGBA in memory; a Uint32 view reads it in platform byte order
+const LITTLE_ENDIAN = new Uint8Array(new Uint32Array([1]).buffer)[0] === 1;
+
+/**
+ * Pack `#RRGGBB` colours into opaque RGBA pixels for a Uint32Array view of
+ * ImageData, so a render writes one word per pixel instead of four bytes.
+ *
+ * @param {string[]} palette - Colours as `#RRGGBB`.
+ * @returns {Uint32Array} One packed pixel per colour.
+ */
+export function packPalette(palette) {
+    return Uint32Array.from(palette, (c) => {
+        const rgb = parseInt(c.slice(1, 7), 16);
+        const r = rgb >>> 16,
+            g = (rgb >>> 8) & 0xff,
+            b = rgb & 0xff;
+        return LITTLE_ENDIAN
+            ? ((0xff << 24) | (b << 16) | (g << 8) | r) >>> 0
+            : ((r << 24) | (g << 16) | (b << 8) | 0xff) >>> 0;
+    });
+}
@@ -2,7 +2,7 @@ import { TAU, fmix32, hash2D } from "./utils.js";
 
 /**
  * Find the canonical (lexicographically smallest) coordinate pair
- * from 4-fold rotational symmetry transformations.
+ * from 4-fold rotational symmetry transformations about the canvas centre.
  *
  * @param {number} x - The x coordinate.
  * @param {number} y - The y coordinate.
@@ -11,13 +11,20 @@ import { TAU, fmix32, hash2D } from "./utils.js";
  * @returns {number[]} The canonical [x, y] coordinate pair.
  */
 function rot4Canonical(x, y, W, H) {
-    const t0 = [x, y];
-    const t1 = [W - 1 - y, x];
-    const t2 = [W - 1 - x, H - 1 - y];
-    const t3 = [y, H - 1 - x];
-    const arr = [t0, t1, t2, t3];
-    arr.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
-    return arr[0];
+    const cx = (W - 1) / 2,
+        cy = (H - 1) / 2;
+    let bx = x,
+        by = y;
+    const consider = (px, py) => {
+        if (px < bx || (px === bx && py < by)) {
+            bx = px;
+            by = py;
+        }
+    };
+    consider(cx + cy - y, cy - cx + x);
+    consider(W - 1 - x, H - 1 - y);
+    consider(cx - cy + y, cx + cy - x);
+    return [bx, by];
 }
 
 /**
@@ -49,443 +56,1228 @@ function smoothstep(t) {
     return t * t * (3 - 2 * t);
 }
 
+const mod = (n, m) => ((n % m) + m) % m;
+
 /**
- * Build a collection of color indexer functions for different pattern modes.
- * Each indexer function takes (x, y) coordinates and returns a palette color index.
+ * One axis of a grid of `size`-unit cells, for the grid-based modes.
  *
- * @param {number} seed - The random seed for hash generation.
- * @param {number} blockSize - The size of pattern blocks/cells.
- * @param {number} paletteLen - The number of colors in the palette.
- * @param {number} W - The width of the canvas.
- * @param {number} H - The height of the canvas.
- * @returns {Object} Object with numbered keys (0-10) mapping to indexer functions.
+ * Tileable renders pass the tile's span on this axis: the cells are then
+ * stretched so a whole number of them (a multiple of `multiple`, for
+ * patterns that alternate between cells) fills it, and cell coordinates
+ * wrap around, so the pattern repeats seamlessly. Otherwise the axis is the
+ * plain grid, computed exactly as the untiled modes always have.
+ *
+ * @param {number|false} span - Tile span in logical units, or false.
+ * @param {number} size - Cell size in logical units.
+ * @param {{trunc?: boolean, multiple?: number}} [opts] - `trunc`: untiled
+ *     cell indices round toward zero (`(v / size) | 0`) instead of down.
+ * @returns {{size: number, n: number, index: Function, wrap: Function,
+ *     cell: Function, at: Function}} The actual cell `size` and count `n`
+ *     (Infinity when untiled); `index(v)` is the unwrapped cell index of
+ *     coordinate v, `wrap(i)` wraps an index into the tile, `cell(v)` is
+ *     both and `at(v)` is v's offset inside its cell.
  */
-export function buildColorIndexer(seed, blockSize, paletteLen, W, H) {
-    const cx = (W - 1) / 2,
-        cy = (H - 1) / 2;
-    const sectors = 16;
+function gridAxis(span, size, { trunc = false, multiple = 1 } = {}) {
+    if (!span) {
+        const index = trunc
+            ? (v) => (v / size) | 0
+            : (v) => Math.floor(v / size);
+        return {
+            size,
+            n: Infinity,
+            index,
+            wrap: (i) => i,
+            cell: index,
+            at: (v) => v % size,
+        };
+    }
+    const n = multiple * Math.max(1, Math.round(span / size / multiple));
+    const s = span / n;
+    const index = (v) => Math.floor(v / s);
+    return {
+        size: s,
+        n,
+        index,
+        wrap: (i) => mod(i, n),
+        cell: (v) => mod(index(v), n),
+        at: (v) => mod(v, s),
+    };
+}
+
+/**
+ * The x and y axes of a grid of `size`-unit cells (see gridAxis), tiled
+ * over the canvas when the render is tileable.
+ */
+const gridAxes = ({ tileable, W, H }, size, opts) => [
+    gridAxis(tileable && W, size, opts),
+    gridAxis(tileable && H, size, opts),
+];
+
+/**
+ * Hash of the block containing (x, y); the building block of the mirror
+ * modes, which fold (x, y) into one region first.
+ */
+const blockHash = ({ key, blockSize, paletteLen }, x, y) =>
+    hash2D(key, (x / blockSize) | 0, (y / blockSize) | 0) % paletteLen;
+
+/**
+ * Probe for the grid-based modes: the (wrapped) cell (x, y) falls in, for
+ * a grid of `size(ctx)`-unit cells laid out as gridAxes does.
+ */
+const gridProbe = (size, opts) => (ctx) => {
+    const [ax, ay] = gridAxes(ctx, size(ctx), opts);
+    return (x, y) => ({ cell: `${ax.cell(x)},${ay.cell(y)}` });
+};
+
+// Radial modes' centre offset from the canvas centre, in logical units
+const CENTRE_PARAMS = {
+    offsetX: { min: -32, max: 32, integer: true, default: 0, gene: [-16, 16] },
+    offsetY: { min: -32, max: 32, integer: true, default: 0, gene: [-16, 16] },
+};
 
-    const mod = (n, m) => ((n % m) + m) % m;
+/**
+ * Wrap a radial mode's build or probe so its `cx`/`cy` are moved by the
+ * CENTRE_PARAMS.
+ */
+const offCentre = (fn) => (ctx) =>
+    fn({
+        ...ctx,
+        cx: ctx.cx + ctx.params.offsetX,
+        cy: ctx.cy + ctx.params.offsetY,
+    });
 
-    // Voronoi params (cell size scales with block)
-    const cell = Math.max(4, blockSize * 4);
+/**
+ * Axial coordinates of the pointy-top hexagon of size `s` containing
+ * (x, y) (redblobgames formulas).
+ *
+ * @returns {number[]} The [q, r] pair.
+ */
+function hexAxial(x, y, s) {
+    // pixel -> axial (fractional)
+    const qf = ((Math.sqrt(3) / 3) * x - (1 / 3) * y) / s;
+    const rf = ((2 / 3) * y) / s;
 
-    // weave params
-    const weaveP = Math.max(3, blockSize * 2);
-    const weaveT = Math.max(1, Math.floor(weaveP / 5));
+    // axial -> cube, then round to nearest hex
+    let cx = qf;
+    let cz = rf;
+    let cy = -cx - cz;
 
-    // crosshatch params
-    const hatchP = Math.max(4, blockSize * 3);
-    const hatchT = Math.max(1, Math.floor(hatchP / 6));
+    let rx = Math.round(cx);
+    let ry = Math.round(cy);
+    let rz = Math.round(cz);
 
-    // rotated checker params
-    const rcStep = Math.max(2, blockSize * 2);
+    const xdiff = Math.abs(rx - cx);
+    const ydiff = Math.abs(ry - cy);
+    const zdiff = Math.abs(rz - cz);
 
-    return {
-        // 0 none
-        0: (x, y) =>
-            hash2D(seed, (x / blockSize) | 0, (y / blockSize) | 0) % paletteLen,
+    if (xdiff > ydiff && xdiff > zdiff) {
+        rx = -ry - rz;
+    } else if (ydiff > zdiff) {
+        ry = -rx - rz;
+    } else {
+        rz = -rx - ry;
+    }
 
-        // 1 vertical mirror
-        1: (x, y) => {
-            const sx = x < W / 2 ? x : W - 1 - x,
-                sy = y;
-            return (
-                hash2D(seed, (sx / blockSize) | 0, (sy / blockSize) | 0) %
-                paletteLen
-            );
-        },
+    // back to axial (q, r) tile coords
+    return [rx, rz];
+}
 
-        // 2 horizontal mirror
-        2: (x, y) => {
-            const sx = x,
-                sy = y < H / 2 ? y : H - 1 - y;
-            return (
-                hash2D(seed, (sx / blockSize) | 0, (sy / blockSize) | 0) %
-                paletteLen
-            );
-        },
+/**
+ * The jittered grid points of the voronoi mode, one per `ctx.params.cell`
+ * cell, and a lookup of the point nearest to (x, y) at phase t.
+ *
+ * @returns {[Float64Array, Function]} The points of the 3x3 neighbourhood
+ *     last looked up, 5 values each (x, y, colour hash, wrapped cell x and
+ *     y), and `(x, y, t) => offset` of the nearest one in that array.
+ */
+function voronoiSites(ctx) {
+    const { key } = ctx;
+    const [ax, ay] = gridAxes(ctx, ctx.params.cell);
+    // the 3x3 neighbourhood's points for the last cell (and phase) looked
+    // up; neighbouring pixels almost always share it
+    const pts = new Float64Array(45);
+    let lastGx = NaN,
+        lastGy = NaN,
+        lastT = NaN;
+    const neighbourhood = (gx, gy, t) => {
+        let i = 0;
+        for (let oy = -1; oy <= 1; oy++) {
+            for (let ox = -1; ox <= 1; ox++) {
+                const cxg = gx + ox,
+                    cyg = gy + oy;
+                const wx = ax.wrap(cxg),
+                    wy = ay.wrap(cyg);
+                const h = hash2D(key, wx, wy);
+                let jx = (h & 0xffff) / 0xffff; // 0..1
+                let jy = ((h >>> 16) & 0xffff) / 0xffff; // 0..1
+                if (t) {
+                    // small circular orbit starting at the still position
+                    const ph = h01(fmix32(h)) * TAU;
+                    jx += 0.25 * (Math.cos(TAU * t + ph) - Math.cos(ph));
+                    jy += 0.25 * (Math.sin(TAU * t + ph) - Math.sin(ph));
+                }
+                pts[i++] = (cxg + jx) * ax.size;
+                pts[i++] = (cyg + jy) * ay.size;
+                pts[i++] = h >>> 24;
+                pts[i++] = wx;
+                pts[i++] = wy;
+            }
+        }
+        lastGx = gx;
+        lastGy = gy;
+        lastT = t;
+    };
+    const nearest = (x, y, t) => {
+        const gx = ax.index(x),
+            gy = ay.index(y);
+        if (gx !== lastGx || gy !== lastGy || t !== lastT)
+            neighbourhood(gx, gy, t);
+        let bestD = 1e9,
+            best = 0;
+        for (let i = 0; i < 45; i += 5) {
+            const dx = x - pts[i],
+                dy = y - pts[i + 1];
+            const d2 = dx * dx + dy * dy;
+            if (d2 < bestD) {
+                bestD = d2;
+                best = i;
+            }
+        }
+        return best;
+    };
+    return [pts, nearest];
+}
 
-        // 3 quad mirror
-        3: (x, y) => {
+/**
+ * Built-in pattern modes, as registry descriptors (see modes.js).
+ *
+ * `build(ctx)` returns the mode's colour indexer `(x, y, t) => index` for
+ * one render. `ctx` holds `seed`, the `key` to pass hash2D (as wide as the
+ * generator makes it; 32-bit `seed` only feeds smaller choices),
+ * `blockSize`, `paletteLen`, canvas size
+ * `W`/`H` and centre `cx`/`cy` (logical units), `anchor(k)` (maps an index
+ * picked for a 4-colour palette onto paletteLen colours, spread evenly) and
+ * the resolved `params`. Animated modes also use the loop phase t in
+ * [0, 1); t = 0 always gives the still image, and t -> 1 loops back to it
+ * seamlessly.
+ *
+ * Tileable modes also honour `ctx.tileable`: the pattern must then repeat
+ * with period W in x and H in y, so the canvas tiles without seams. The
+ * grid-based ones get there through gridAxes; untiled renders must stay
+ * byte-identical.
+ *
+ * Param defaults are numbers or `(ctx, params) => number`, where `params`
+ * holds the params declared before it.
+ *
+ * `probe(ctx)`, where given, returns `(x, y, t) => {label: value}`: the
+ * mode's own cell at (x, y) (voronoi cell, hex q/r, ring number, ...),
+ * shown by the inspector to explain a pixel's colour.
+ *
+ * Generator v1 picks from the first 32 entries by index, so this order is
+ * frozen: new built-ins are appended (and only seeded by a new generator).
+ */
+export const BUILTIN_MODES = [
+    {
+        name: "none",
+        category: "noise",
+        blockwise: true,
+        tileable: true,
+        build: (ctx) => {
+            const { key, blockSize, paletteLen } = ctx;
+            const [ax, ay] = gridAxes(ctx, blockSize, { trunc: true });
+            return (x, y) => hash2D(key, ax.cell(x), ay.cell(y)) % paletteLen;
+        },
+        probe: gridProbe(({ blockSize }) => blockSize, { trunc: true }),
+    },
+    {
+        name: "vertical",
+        category: "mirror",
+        build: (ctx) => (x, y) =>
+            blockHash(ctx, x < ctx.W / 2 ? x : ctx.W - 1 - x, y),
+    },
+    {
+        name: "horizontal",
+        category: "mirror",
+        build: (ctx) => (x, y) =>
+            blockHash(ctx, x, y < ctx.H / 2 ? y : ctx.H - 1 - y),
+    },
+    {
+        name: "quad",
+        category: "mirror",
+        build: (ctx) => (x, y) => {
+            const { W, H } = ctx;
             const sx = x < W / 2 ? x : W - 1 - x;
             const sy = y < H / 2 ? y : H - 1 - y;
-            return (
-                hash2D(seed, (sx / blockSize) | 0, (sy / blockSize) | 0) %
-                paletteLen
-            );
+            return blockHash(ctx, sx, sy);
         },
-
-        // 4 diag (y=x)
-        4: (x, y) => {
-            let sx = x,
-                sy = y;
-            if (y > x) {
-                sx = y;
-                sy = x;
-            }
-            return (
-                hash2D(seed, (sx / blockSize) | 0, (sy / blockSize) | 0) %
-                paletteLen
-            );
+    },
+    {
+        // mirror about y=x through the centre
+        name: "diag",
+        category: "mirror",
+        build: (ctx) => (x, y) => {
+            const { cx, cy } = ctx;
+            return y - cy > x - cx
+                ? blockHash(ctx, cx + (y - cy), cy + (x - cx))
+                : blockHash(ctx, x, y);
         },
-
-        // 5 anti-diag (y=H-1-x)
-        5: (x, y) => {
-            let sx = x,
-                sy = y;
-            if (y > H - 1 - x) {
-                const dx = H - 1 - y;
-                sx = dx;
-                sy = W - 1 - x;
-            }
-            return (
-                hash2D(seed, (sx / blockSize) | 0, (sy / blockSize) | 0) %
-                paletteLen
-            );
+    },
+    {
+        // mirror about y=H-1-x through the centre
+        name: "anti-diag",
+        category: "mirror",
+        build: (ctx) => (x, y) => {
+            const { cx, cy } = ctx;
+            return y > cx + cy - x
+                ? blockHash(ctx, cx + cy - y, cx + cy - x)
+                : blockHash(ctx, x, y);
         },
-
-        // 6 4-fold rotational
-        6: (x, y) => {
-            const [sx, sy] = rot4Canonical(x, y, W, H);
-            return (
-                hash2D(seed, (sx / blockSize) | 0, (sy / blockSize) | 0) %
-                paletteLen
-            );
+    },
+    {
+        // 4-fold rotational
+        name: "rot4",
+        category: "mirror",
+        build: (ctx) => (x, y) => {
+            const [sx, sy] = rot4Canonical(x, y, ctx.W, ctx.H);
+            return blockHash(ctx, sx, sy);
         },
-
-        // 7 radial rings
-        7: (x, y) => {
+    },
+    {
+        name: "rings",
+        category: "radial",
+        params: CENTRE_PARAMS,
+        build: offCentre(
+            ({ seed, blockSize, paletteLen, cx, cy }) =>
+                (x, y) => {
+                    const dx = x - cx,
+                        dy = y - cy;
+                    const r = Math.sqrt(dx * dx + dy * dy);
+                    const ring = Math.floor(r / blockSize);
+                    return fmix32(seed + ring * 0x9e37) % paletteLen;
+                }
+        ),
+        probe: offCentre(({ blockSize, cx, cy }) => (x, y) => {
             const dx = x - cx,
                 dy = y - cy;
-            const r = Math.sqrt(dx * dx + dy * dy);
-            const ring = Math.floor(r / blockSize);
-            return fmix32(seed + ring * 0x9e37) % paletteLen;
+            return {
+                ring: Math.floor(Math.sqrt(dx * dx + dy * dy) / blockSize),
+            };
+        }),
+    },
+    {
+        name: "sectors",
+        category: "radial",
+        params: {
+            sectors: {
+                min: 4,
+                max: 64,
+                integer: true,
+                default: 16,
+                gene: [6, 32],
+            },
+            ...CENTRE_PARAMS,
         },
-
-        // 8 polar sectors
-        8: (x, y) => {
+        build: offCentre(
+            ({ seed, blockSize, paletteLen, cx, cy, params }) =>
+                (x, y) => {
+                    const dx = x - cx,
+                        dy = y - cy;
+                    let ang = Math.atan2(dy, dx);
+                    if (ang < 0) ang += TAU;
+                    const sec = Math.floor((ang / TAU) * params.sectors);
+                    const wedge = sec % 2 === 0 ? sec : sec - 1;
+                    const rbin = Math.floor(Math.hypot(dx, dy) / blockSize);
+                    return (
+                        fmix32(seed ^ (wedge * 1315423911) ^ rbin) % paletteLen
+                    );
+                }
+        ),
+        probe: offCentre(({ blockSize, cx, cy, params }) => (x, y) => {
             const dx = x - cx,
                 dy = y - cy;
             let ang = Math.atan2(dy, dx);
             if (ang < 0) ang += TAU;
-            const sec = Math.floor((ang / TAU) * sectors);
-            const wedge = sec % 2 === 0 ? sec : sec - 1;
-            const rbin = Math.floor(Math.hypot(dx, dy) / blockSize);
-            return fmix32(seed ^ (wedge * 1315423911) ^ rbin) % paletteLen;
+            const sec = Math.floor((ang / TAU) * params.sectors);
+            return {
+                wedge: sec % 2 === 0 ? sec : sec - 1,
+                ring: Math.floor(Math.hypot(dx, dy) / blockSize),
+            };
+        }),
+    },
+    {
+        name: "stripes",
+        category: "tiling",
+        blockwise: true,
+        tileable: true,
+        build: (ctx) => {
+            const { seed, blockSize, paletteLen } = ctx;
+            const [ax, ay] = gridAxes(ctx, blockSize, { trunc: true });
+            return (x, y) => {
+                const bx = ax.cell(x),
+                    by = ay.cell(y);
+                return mod(bx ^ (by + (seed & 3)), paletteLen);
+            };
         },
-
-        // 9 stripes
-        9: (x, y) => {
-            const bx = (x / blockSize) | 0,
-                by = (y / blockSize) | 0;
-            return mod(bx ^ (by + (seed & 3)), paletteLen);
+        probe: gridProbe(({ blockSize }) => blockSize, { trunc: true }),
+    },
+    {
+        name: "checker",
+        category: "tiling",
+        blockwise: true,
+        tileable: true,
+        build: (ctx) => {
+            const { key, blockSize, paletteLen } = ctx;
+            const [ax, ay] = gridAxes(ctx, blockSize, {
+                trunc: true,
+                multiple: 2,
+            });
+            return (x, y) => {
+                const bx = ax.cell(x),
+                    by = ay.cell(y);
+                const parity = (bx + by) & 1;
+                const h = hash2D(key, bx, by) >>> 0;
+                const v = parity ? h >>> 1 : h >>> 3; // unsigned shifts
+                return mod(v, paletteLen);
+            };
         },
-
-        // 10 checker hashed
-        10: (x, y) => {
-            const bx = (x / blockSize) | 0,
-                by = (y / blockSize) | 0;
-            const parity = (bx + by) & 1;
-            const h = hash2D(seed, bx, by) >>> 0;
-            const v = parity ? h >>> 1 : h >>> 3; // unsigned shifts
-            return mod(v, paletteLen);
+        probe: gridProbe(({ blockSize }) => blockSize, {
+            trunc: true,
+            multiple: 2,
+        }),
+    },
+    {
+        // Manhattan/L1 bands
+        name: "diamonds",
+        category: "radial",
+        params: CENTRE_PARAMS,
+        build: offCentre(
+            ({ seed, blockSize, paletteLen, cx, cy }) =>
+                (x, y) => {
+                    const d = Math.abs(x - cx) + Math.abs(y - cy);
+                    const band = Math.floor(d / blockSize);
+                    return mod(fmix32(seed + band * 0x45d9f3b), paletteLen);
+                }
+        ),
+        probe: offCentre(({ blockSize, cx, cy }) => (x, y) => ({
+            band: Math.floor((Math.abs(x - cx) + Math.abs(y - cy)) / blockSize),
+        })),
+    },
+    {
+        // Chebyshev rings
+        name: "squares",
+        category: "radial",
+        params: CENTRE_PARAMS,
+        build: offCentre(
+            ({ seed, blockSize, paletteLen, cx, cy }) =>
+                (x, y) => {
+                    const d = Math.max(Math.abs(x - cx), Math.abs(y - cy));
+                    const band = Math.floor(d / blockSize);
+                    return mod(fmix32(seed + band * 0x27d4eb2d), paletteLen);
+                }
+        ),
+        probe: offCentre(({ blockSize, cx, cy }) => (x, y) => ({
+            band: Math.floor(
+                Math.max(Math.abs(x - cx), Math.abs(y - cy)) / blockSize
+            ),
+        })),
+    },
+    {
+        // angle + k*radius bands; twist breathes over time
+        name: "spiral",
+        category: "radial",
+        animated: true,
+        params: {
+            twist: {
+                min: 0,
+                max: 4,
+                default: ({ seed }) => 1 + (seed & 7) / 8,
+                gene: [0.25, 3],
+            },
+            ...CENTRE_PARAMS,
         },
-
-        // 11 diamonds (Manhattan/L1 bands)
-        11: (x, y) => {
-            const d = Math.abs(x - cx) + Math.abs(y - cy);
-            const band = Math.floor(d / blockSize);
-            return mod(fmix32(seed + band * 0x45d9f3b), paletteLen);
+        build: offCentre(
+            ({ seed, blockSize, paletteLen, cx, cy, params }) =>
+                (x, y, t = 0) => {
+                    const dx = x - cx,
+                        dy = y - cy;
+                    const r = Math.hypot(dx, dy) / Math.max(1, blockSize);
+                    let a = Math.atan2(dy, dx);
+                    if (a < 0) a += TAU;
+                    const k = params.twist + 0.25 * Math.sin(TAU * t);
+                    const band = Math.floor((a + k * r) * 1.5);
+                    return mod(fmix32(seed ^ (band * 0x9e3779b9)), paletteLen);
+                }
+        ),
+    },
+    {
+        // wheel; one full turn per loop, direction from seed
+        name: "spokes",
+        category: "radial",
+        animated: true,
+        params: {
+            spokes: {
+                min: 2,
+                max: 64,
+                integer: true,
+                default: ({ seed }) => 8 + (seed & 7),
+                gene: [5, 24],
+            },
+            ...CENTRE_PARAMS,
         },
-
-        // 12 squares (Chebyshev rings)
-        12: (x, y) => {
-            const d = Math.max(Math.abs(x - cx), Math.abs(y - cy));
-            const band = Math.floor(d / blockSize);
-            return mod(fmix32(seed + band * 0x27d4eb2d), paletteLen);
+        build: offCentre(
+            ({ seed, paletteLen, cx, cy, params }) =>
+                (x, y, t = 0) => {
+                    const dx = x - cx,
+                        dy = y - cy;
+                    let a = Math.atan2(dy, dx);
+                    if (a < 0) a += TAU;
+                    a += (seed & 8 ? TAU : -TAU) * t;
+                    if (a < 0) a += TAU;
+                    else if (a >= TAU) a -= TAU;
+                    const sec = Math.floor((a / TAU) * params.spokes);
+                    return mod(fmix32(seed + sec * 0x632be5ab), paletteLen);
+                }
+        ),
+    },
+    {
+        // staggered
+        name: "bricks",
+        category: "tiling",
+        tileable: true,
+        build: (ctx) => {
+            const { key, blockSize, paletteLen, tileable } = ctx;
+            // an even row count keeps the stagger across the seam
+            const ax = gridAxis(tileable && ctx.W, blockSize * 2);
+            const ay = gridAxis(tileable && ctx.H, blockSize, { multiple: 2 });
+            return (x, y) => {
+                const row = ay.cell(y);
+                const x2 = x + (row & 1 ? ax.size / 2 : 0);
+                const bx = ax.cell(x2),
+                    by = row;
+                return mod(hash2D(key, bx, by), paletteLen);
+            };
         },
-
-        // 13 spiral (angle + k*radius bands)
-        13: (x, y) => {
-            const dx = x - cx,
-                dy = y - cy;
-            const r = Math.hypot(dx, dy) / Math.max(1, blockSize);
-            let a = Math.atan2(dy, dx);
-            if (a < 0) a += TAU;
-            const k = 1 + (seed & 7) / 8; // mild seed-driven twist
-            const band = Math.floor((a + k * r) * 1.5);
-            return mod(fmix32(seed ^ (band * 0x9e3779b9)), paletteLen);
+        probe: (ctx) => {
+            const ax = gridAxis(ctx.tileable && ctx.W, ctx.blockSize * 2);
+            const ay = gridAxis(ctx.tileable && ctx.H, ctx.blockSize, {
+                multiple: 2,
+            });
+            return (x, y) => {
+                const row = ay.cell(y);
+                const col = ax.cell(x + (row & 1 ? ax.size / 2 : 0));
+                return { brick: `${col},${row}` };
+            };
         },
-
-        // 14 spokes (wheel)
-        14: (x, y) => {
-            const dx = x - cx,
-                dy = y - cy;
-            let a = Math.atan2(dy, dx);
-            if (a < 0) a += TAU;
-            const spokes = 8 + (seed & 7); // 8..15
-            const sec = Math.floor((a / TAU) * spokes);
-            return mod(fmix32(seed + sec * 0x632be5ab), paletteLen);
+    },
+    {
+        // grid seeds; nearest; seeds orbit over time
+        name: "voronoi",
+        category: "noise",
+        animated: true,
+        tileable: true,
+        params: {
+            cell: {
+                min: 4,
+                max: 128,
+                integer: true,
+                default: ({ blockSize }) => Math.max(4, blockSize * 4),
+                gene: ({ blockSize }) => [blockSize * 2, blockSize * 6 + 8],
+            },
         },
-
-        // 15 bricks (staggered)
-        15: (x, y) => {
-            const bw = blockSize * 2,
-                bh = blockSize;
-            const row = Math.floor(y / bh);
-            const x2 = x + (row & 1 ? bw >> 1 : 0);
-            const bx = Math.floor(x2 / bw),
-                by = row;
-            return mod(hash2D(seed, bx, by), paletteLen);
+        build: (ctx) => {
+            const [pts, nearest] = voronoiSites(ctx);
+            return (x, y, t = 0) => pts[nearest(x, y, t) + 2] % ctx.paletteLen;
         },
-
-        // 16 voronoi (grid seeds; nearest)
-        16: (x, y) => {
-            const gx = Math.floor(x / cell),
-                gy = Math.floor(y / cell);
-            let bestD = 1e9,
-                bestI = 0;
-            for (let oy = -1; oy <= 1; oy++) {
-                for (let ox = -1; ox <= 1; ox++) {
-                    const cxg = gx + ox,
-                        cyg = gy + oy;
-                    const h = hash2D(seed, cxg, cyg);
-                    const jx = (h & 0xffff) / 0xffff; // 0..1
-                    const jy = ((h >>> 16) & 0xffff) / 0xffff; // 0..1
-                    const px = (cxg + jx) * cell;
-                    const py = (cyg + jy) * cell;
-                    const dx = x - px,
-                        dy = y - py;
-                    const d2 = dx * dx + dy * dy;
-                    if (d2 < bestD) {
-                        bestD = d2;
-                        bestI = h >>> 24;
-                    }
-                }
-            }
-            return bestI % paletteLen;
+        probe: (ctx) => {
+            const [pts, nearest] = voronoiSites(ctx);
+            return (x, y, t = 0) => {
+                const i = nearest(x, y, t);
+                return { cell: `${pts[i + 3]},${pts[i + 4]}` };
+            };
         },
+    },
+    {
+        // bilinear; quantize; lattice values cycle over time
+        name: "value-noise",
+        category: "noise",
+        animated: true,
+        tileable: true,
+        params: {
+            cell: {
+                min: 4,
+                max: 128,
+                integer: true,
+                default: ({ blockSize }) => Math.max(4, blockSize * 4),
+                gene: ({ blockSize }) => [blockSize * 2, blockSize * 6 + 8],
+            },
+        },
+        build: (ctx) => {
+            const { key, paletteLen } = ctx;
+            const [ax, ay] = gridAxes(ctx, ctx.params.cell);
+            return (x, y, t = 0) => {
+                const gx = ax.index(x),
+                    gy = ay.index(y);
+                const tx = ax.at(x) / ax.size,
+                    ty = ay.at(y) / ay.size;
+                const x0 = ax.wrap(gx + 0),
+                    x1 = ax.wrap(gx + 1),
+                    y0 = ay.wrap(gy + 0),
+                    y1 = ay.wrap(gy + 1);
 
-        // 17 value-noise (bilinear; quantize)
-        17: (x, y) => {
-            const gx = Math.floor(x / cell),
-                gy = Math.floor(y / cell);
-            const tx = (x % cell) / cell,
-                ty = (y % cell) / cell;
-
-            const h00 = h01(hash2D(seed, gx + 0, gy + 0));
-            const h10 = h01(hash2D(seed, gx + 1, gy + 0));
-            const h01v = h01(hash2D(seed, gx + 0, gy + 1));
-            const h11 = h01(hash2D(seed, gx + 1, gy + 1));
+                // triangle wave through each lattice value's range, starting at it
+                const at = (h) =>
+                    t ? 1 - Math.abs(1 - 2 * ((h / 2 + t) % 1)) : h;
+                const h00 = at(h01(hash2D(key, x0, y0)));
+                const h10 = at(h01(hash2D(key, x1, y0)));
+                const h01v = at(h01(hash2D(key, x0, y1)));
+                const h11 = at(h01(hash2D(key, x1, y1)));
 
-            const sx = smoothstep(tx),
-                sy = smoothstep(ty);
-            const ix0 = lerp(h00, h10, sx);
-            const ix1 = lerp(h01v, h11, sx);
-            const v = lerp(ix0, ix1, sy); // 0..1
+                const sx = smoothstep(tx),
+                    sy = smoothstep(ty);
+                const ix0 = lerp(h00, h10, sx);
+                const ix1 = lerp(h01v, h11, sx);
+                const v = lerp(ix0, ix1, sy); // 0..1
 
-            const bins = paletteLen;
-            const idx = Math.min(bins - 1, Math.floor(v * bins));
-            return idx;
+                const bins = paletteLen;
+                const idx = Math.min(bins - 1, Math.floor(v * bins));
+                return idx;
+            };
         },
-
-        // 18 weave (over/under grid)
-        18: (x, y) => {
-            const ax = Math.abs((x % weaveP) - weaveP / 2);
-            const ay = Math.abs((y % weaveP) - weaveP / 2);
-            const isStrandX = ax < weaveT,
-                isStrandY = ay < weaveT;
-            if (!(isStrandX || isStrandY)) {
-                return mod(
-                    hash2D(seed, (x / weaveP) | 0, (y / weaveP) | 0),
-                    paletteLen
-                );
-            }
-            // over/under by tile parity
-            const tile = (((x / weaveP) | 0) ^ ((y / weaveP) | 0)) & 1;
-            return tile ? 0 : 2; // pick two palette anchors for contrast
+        probe: gridProbe(({ params }) => params.cell),
+    },
+    {
+        // over/under grid
+        name: "weave",
+        category: "tiling",
+        tileable: true,
+        params: {
+            period: {
+                min: 3,
+                max: 64,
+                integer: true,
+                default: ({ blockSize }) => Math.max(3, blockSize * 2),
+                gene: ({ blockSize }) => [blockSize, blockSize * 3 + 4],
+            },
+            thickness: {
+                min: 1,
+                max: 32,
+                integer: true,
+                default: (ctx, { period }) =>
+                    Math.max(1, Math.floor(period / 5)),
+                gene: (ctx, { period }) => [1, period / 3],
+            },
         },
-
-        // 19 crosshatch (plus lattice)
-        19: (x, y) => {
-            const ax = Math.abs((x % hatchP) - hatchP / 2);
-            const ay = Math.abs((y % hatchP) - hatchP / 2);
-            const on = ax < hatchT || ay < hatchT;
-            if (!on)
-                return mod(
-                    hash2D(seed, (x / hatchP) | 0, (y / hatchP) | 0),
-                    paletteLen
-                );
-            return ((x / hatchP) | 0) & 1 ? 1 : 3;
+        build: (ctx) => {
+            const { key, paletteLen, anchor, params } = ctx;
+            const { period, thickness: weaveT } = params;
+            const [gx, gy] = gridAxes(ctx, period, {
+                trunc: true,
+                multiple: 2,
+            });
+            return (x, y) => {
+                const ax = Math.abs(gx.at(x) - gx.size / 2);
+                const ay = Math.abs(gy.at(y) - gy.size / 2);
+                const isStrandX = ax < weaveT,
+                    isStrandY = ay < weaveT;
+                if (!(isStrandX || isStrandY)) {
+                    return mod(hash2D(key, gx.cell(x), gy.cell(y)), paletteLen);
+                }
+                // over/under by tile parity
+                const tile = (gx.cell(x) ^ gy.cell(y)) & 1;
+                return tile ? anchor(0) : anchor(2); // two palette anchors for contrast
+            };
         },
-
-        // 20 rot45-checker
-        20: (x, y) => {
-            const a = Math.floor((x + y) / rcStep);
-            const b = Math.floor((x - y) / rcStep);
-            const v = (a ^ b) & 3;
-            return v % paletteLen;
+        probe: gridProbe(({ params }) => params.period, {
+            trunc: true,
+            multiple: 2,
+        }),
+    },
+    {
+        // plus lattice
+        name: "crosshatch",
+        category: "tiling",
+        tileable: true,
+        params: {
+            period: {
+                min: 4,
+                max: 64,
+                integer: true,
+                default: ({ blockSize }) => Math.max(4, blockSize * 3),
+                gene: ({ blockSize }) => [blockSize * 2, blockSize * 4 + 6],
+            },
+            thickness: {
+                min: 1,
+                max: 32,
+                integer: true,
+                default: (ctx, { period }) =>
+                    Math.max(1, Math.floor(period / 6)),
+                gene: (ctx, { period }) => [1, period / 4],
+            },
         },
-
-        // 21 kaleido8 (8-way)
-        21: (x, y) => {
-            // map to one octant via mirrors over x=0,y=0 and y=x
-            const ux = x - cx,
-                uy = y - cy;
-            let ax = Math.abs(ux),
-                ay = Math.abs(uy);
-            if (ay > ax) {
-                const t = ax;
-                ax = ay;
-                ay = t;
-            } // reflect across diag
-            const sx = Math.floor((ax + cx) / blockSize);
-            const sy = Math.floor((ay + cy) / blockSize);
-            return mod(hash2D(seed, sx, sy), paletteLen);
+        build: (ctx) => {
+            const { key, paletteLen, anchor, params } = ctx;
+            const { period, thickness: hatchT } = params;
+            const [gx, gy] = gridAxes(ctx, period, {
+                trunc: true,
+                multiple: 2,
+            });
+            return (x, y) => {
+                const ax = Math.abs(gx.at(x) - gx.size / 2);
+                const ay = Math.abs(gy.at(y) - gy.size / 2);
+                const on = ax < hatchT || ay < hatchT;
+                if (!on)
+                    return mod(hash2D(key, gx.cell(x), gy.cell(y)), paletteLen);
+                return gx.cell(x) & 1 ? anchor(1) : anchor(3);
+            };
         },
-
-        // 22 concentric-squares (Chebyshev bands with thick borders)
-        22: (x, y) => {
-            const d = Math.max(Math.abs(x - cx), Math.abs(y - cy));
-            const bandW = Math.max(2, blockSize); // thickness of each square ring
-            const k = Math.floor(d / bandW);
-            // emphasize borders: near ring edges -> alternate color
-            const edge = d % bandW;
-            const edgeBias = edge < 1 || edge > bandW - 2 ? 1 : 0;
-            return mod(k + edgeBias + (seed & 1), paletteLen);
+        probe: gridProbe(({ params }) => params.period, {
+            trunc: true,
+            multiple: 2,
+        }),
+    },
+    {
+        name: "rot45-checker",
+        category: "tiling",
+        params: {
+            step: {
+                min: 2,
+                max: 64,
+                integer: true,
+                default: ({ blockSize }) => Math.max(2, blockSize * 2),
+                gene: ({ blockSize }) => [blockSize, blockSize * 3 + 2],
+            },
         },
-
-        // 23 bullseye-bold (thick circular rings)
-        23: (x, y) => {
-            const r = Math.hypot(x - cx, y - cy);
-            const bandW = Math.max(2, (blockSize * 1.5) | 0);
-            const k = Math.floor(r / bandW);
-            const e = r % bandW;
-            const edge = e < 1 || e > bandW - 2 ? 1 : 0;
-            return mod(k + (edge << 1), paletteLen);
+        build:
+            ({ paletteLen, params: { step } }) =>
+            (x, y) => {
+                const a = Math.floor((x + y) / step);
+                const b = Math.floor((x - y) / step);
+                return mod(a ^ b, paletteLen);
+            },
+    },
+    {
+        // 8-way
+        name: "kaleido8",
+        category: "mirror",
+        build:
+            ({ key, blockSize, paletteLen, cx, cy }) =>
+            (x, y) => {
+                // map to one octant via mirrors over x=0,y=0 and y=x
+                const ux = x - cx,
+                    uy = y - cy;
+                let ax = Math.abs(ux),
+                    ay = Math.abs(uy);
+                if (ay > ax) {
+                    const t = ax;
+                    ax = ay;
+                    ay = t;
+                } // reflect across diag
+                const sx = Math.floor((ax + cx) / blockSize);
+                const sy = Math.floor((ay + cy) / blockSize);
+                return mod(hash2D(key, sx, sy), paletteLen);
+            },
+    },
+    {
+        // Chebyshev bands with thick borders
+        name: "concentric-squares",
+        category: "radial",
+        params: {
+            band: {
+                min: 2,
+                max: 64,
+                integer: true,
+                default: ({ blockSize }) => Math.max(2, blockSize),
+                gene: ({ blockSize }) => [blockSize / 2, blockSize * 2 + 2],
+            },
+            ...CENTRE_PARAMS,
         },
-
-        // 24 dots-grid (disc lattice; background hashed per cell)
-        24: (x, y) => {
-            const step = Math.max(4, blockSize * 3);
-            const bx = Math.floor(x / step),
-                by = Math.floor(y / step);
-            const cxp = bx * step + step / 2,
-                cyp = by * step + step / 2;
-            const rr = step * 0.28; // dot radius
-            const inside = (x - cxp) ** 2 + (y - cyp) ** 2 <= rr * rr;
-            if (inside) return seed & 2; // stable dot color (0 or 2)
-            return mod(hash2D(seed, bx, by), paletteLen);
+        build: offCentre(
+            ({ seed, paletteLen, cx, cy, params: { band: bandW } }) =>
+                (x, y) => {
+                    const d = Math.max(Math.abs(x - cx), Math.abs(y - cy));
+                    const k = Math.floor(d / bandW);
+                    // emphasize borders: near ring edges -> alternate color
+                    const edge = d % bandW;
+                    const edgeBias = edge < 1 || edge > bandW - 2 ? 1 : 0;
+                    return mod(k + edgeBias + (seed & 1), paletteLen);
+                }
+        ),
+    },
+    {
+        // thick circular rings
+        name: "bullseye-bold",
+        category: "radial",
+        params: {
+            band: {
+                min: 2,
+                max: 64,
+                integer: true,
+                default: ({ blockSize }) => Math.max(2, (blockSize * 1.5) | 0),
+                gene: ({ blockSize }) => [blockSize, blockSize * 3 + 2],
+            },
+            ...CENTRE_PARAMS,
         },
-
-        // 25 waves (sinus stripes)
-        25: (x, y) => {
-            const amp = Math.max(2, blockSize * 0.8);
-            const wl = Math.max(6, blockSize * 4);
-            const freq = (Math.PI * 2) / wl;
-            const phase = (seed & 1023) * 0.003;
-            const yy = y + amp * Math.sin(x * freq + phase);
-            const band = Math.floor(yy / Math.max(2, blockSize));
-            return mod(band, paletteLen);
+        build: offCentre(
+            ({ paletteLen, cx, cy, params: { band: bandW } }) =>
+                (x, y) => {
+                    const r = Math.hypot(x - cx, y - cy);
+                    const k = Math.floor(r / bandW);
+                    const e = r % bandW;
+                    const edge = e < 1 || e > bandW - 2 ? 1 : 0;
+                    return mod(k + (edge << 1), paletteLen);
+                }
+        ),
+    },
+    {
+        // disc lattice; background hashed per cell
+        name: "dots-grid",
+        category: "tiling",
+        tileable: true,
+        params: {
+            step: {
+                min: 4,
+                max: 64,
+                integer: true,
+                default: ({ blockSize }) => Math.max(4, blockSize * 3),
+                gene: ({ blockSize }) => [blockSize * 2, blockSize * 4 + 6],
+            },
+            radius: { min: 0.05, max: 0.5, default: 0.28, gene: [0.15, 0.45] },
         },
-
-        // 26 square-maze (grid walls + corridors)
-        26: (x, y) => {
-            const cell = Math.max(6, blockSize * 3);
-            const wall = Math.max(1, (cell / 6) | 0);
-            const gx = x % cell,
-                gy = y % cell;
-            const onWall = gx < wall || gy < wall;
-            if (onWall) return (1 + (seed & 1)) % paletteLen; // wall color
-            // corridor shading by checker in cell index
-            const tx = (x / cell) | 0,
-                ty = (y / cell) | 0;
-            return (tx ^ ty) & 1 ? 0 : 3;
+        build: (ctx) => {
+            const { seed, key, paletteLen, anchor, params } = ctx;
+            const [ax, ay] = gridAxes(ctx, params.step);
+            const rr = Math.min(ax.size, ay.size) * params.radius; // dot radius
+            return (x, y) => {
+                const bx = ax.index(x),
+                    by = ay.index(y);
+                const cxp = bx * ax.size + ax.size / 2,
+                    cyp = by * ay.size + ay.size / 2;
+                const inside = (x - cxp) ** 2 + (y - cyp) ** 2 <= rr * rr;
+                if (inside) return anchor(seed & 2); // stable dot color (0 or 2)
+                return mod(hash2D(key, ax.wrap(bx), ay.wrap(by)), paletteLen);
+            };
         },
-
-        // 27 iso-cubes (isometric 3-shade tiling)
-        27: (x, y) => {
-            const s = Math.max(6, blockSize * 3);
-            // rotate 45° into diamond grid
-            const u = Math.floor((x + y) / s);
-            const v = Math.floor((x - y) / s);
-            // three faces by (u+v) mod 3
-            const face = mod(u + v, 3);
-            // sprinkle hash to break ties between tiles
-            const h = hash2D(seed, u, v);
-            return face === 0 ? 1 : face === 1 ? 2 : 3 ^ (h & 1);
+        probe: gridProbe(({ params }) => params.step),
+    },
+    {
+        // sinus stripes; phase travels one wavelength per loop
+        name: "waves",
+        category: "tiling",
+        animated: true,
+        tileable: true,
+        params: {
+            amplitude: {
+                min: 0,
+                max: 64,
+                default: ({ blockSize }) => Math.max(2, blockSize * 0.8),
+                gene: ({ blockSize }) => [blockSize * 0.4, blockSize * 2 + 2],
+            },
+            wavelength: {
+                min: 2,
+                max: 256,
+                default: ({ blockSize }) => Math.max(6, blockSize * 4),
+                gene: ({ blockSize }) => [blockSize * 2 + 4, blockSize * 8 + 8],
+            },
+            phase: {
+                min: 0,
+                max: TAU,
+                default: ({ seed }) => (seed & 1023) * 0.003,
+                gene: [0, TAU],
+            },
         },
-
-        // 28 hex-tiles (axial coords; honeycomb)
-        28: (x, y) => {
-            // hex radius in pixels (tile scale)
-            const s = Math.max(6, blockSize * 3);
-
-            // pointy-top transforms (redblobgames formulas)
-            // pixel -> axial (fractional)
-            const qf = ((Math.sqrt(3) / 3) * x - (1 / 3) * y) / s;
-            const rf = ((2 / 3) * y) / s;
-
-            // axial -> cube, then round to nearest hex
-            let cx = qf;
-            let cz = rf;
-            let cy = -cx - cz;
-
-            let rx = Math.round(cx);
-            let ry = Math.round(cy);
-            let rz = Math.round(cz);
-
-            const xdiff = Math.abs(rx - cx);
-            const ydiff = Math.abs(ry - cy);
-            const zdiff = Math.abs(rz - cz);
-
-            if (xdiff > ydiff && xdiff > zdiff) {
-                rx = -ry - rz;
-            } else if (ydiff > zdiff) {
-                ry = -rx - rz;
-            } else {
-                rz = -rx - ry;
-            }
-
-            // back to axial (q, r) tile coords
-            const q = rx,
-                r = rz;
-
-            // color by tile
-            return mod(hash2D(seed, q, r), paletteLen);
+        build: (ctx) => {
+            const { blockSize, paletteLen, params, tileable } = ctx;
+            // whole wavelengths across the tile, whole bands down it
+            const wave = gridAxis(tileable && ctx.W, params.wavelength);
+            const bands = gridAxis(tileable && ctx.H, Math.max(2, blockSize));
+            return (x, y, t = 0) => {
+                const amp = params.amplitude;
+                const freq = (Math.PI * 2) / wave.size;
+                const phase = params.phase + TAU * t;
+                const yy = y + amp * Math.sin(x * freq + phase);
+                const band = bands.cell(yy);
+                return mod(band, paletteLen);
+            };
         },
-
-        // 29 triangles (alternating right triangles)
-        29: (x, y) => {
-            const s = Math.max(6, blockSize * 3);
-            const gx = Math.floor(x / s),
-                gy = Math.floor(y / s);
-            const lx = x % s,
-                ly = y % s;
-            const diag = lx + ly < s;
-            const base = (gx ^ gy) & 1 ? 1 : 2;
-            return diag ? base : base ^ 3;
+    },
+    {
+        // grid walls + corridors
+        name: "square-maze",
+        category: "tiling",
+        tileable: true,
+        params: {
+            cell: {
+                min: 6,
+                max: 64,
+                integer: true,
+                default: ({ blockSize }) => Math.max(6, blockSize * 3),
+                gene: ({ blockSize }) => [blockSize * 2, blockSize * 4 + 8],
+            },
+            wall: {
+                min: 1,
+                max: 16,
+                integer: true,
+                default: (ctx, { cell }) => Math.max(1, (cell / 6) | 0),
+                gene: (ctx, { cell }) => [1, cell / 4],
+            },
         },
-
-        // 30 chevron (V stripes from center)
-        30: (x, y) => {
-            const step = Math.max(2, blockSize);
-            const v = Math.floor((Math.abs(x - cx) + (y - cy)) / step);
-            return mod(v, paletteLen);
+        build: (ctx) => {
+            const { seed, paletteLen, anchor, params } = ctx;
+            const { wall } = params;
+            const [ax, ay] = gridAxes(ctx, params.cell, {
+                trunc: true,
+                multiple: 2,
+            });
+            return (x, y) => {
+                const gx = ax.at(x),
+                    gy = ay.at(y);
+                const onWall = gx < wall || gy < wall;
+                if (onWall) return (1 + (seed & 1)) % paletteLen; // wall color
+                // corridor shading by checker in cell index
+                const tx = ax.cell(x),
+                    ty = ay.cell(y);
+                return (tx ^ ty) & 1 ? anchor(0) : anchor(3);
+            };
         },
-
-        // 31 grid-rings (dots inside grid rings)
-        31: (x, y) => {
-            const cell = Math.max(8, blockSize * 4);
-            const bx = Math.floor(x / cell),
-                by = Math.floor(y / cell);
-            const cxp = bx * cell + cell / 2,
-                cyp = by * cell + cell / 2;
-            const r = Math.hypot(x - cxp, y - cyp);
-            const band = Math.max(2, cell / 6);
-            const k = Math.floor(r / band);
-            return mod(k + (hash2D(seed, bx, by) & 1), paletteLen);
+        probe: gridProbe(({ params }) => params.cell, {
+            trunc: true,
+            multiple: 2,
+        }),
+    },
+    {
+        // isometric 3-shade tiling
+        name: "iso-cubes",
+        category: "tiling",
+        tileable: true,
+        params: {
+            size: {
+                min: 6,
+                max: 64,
+                integer: true,
+                default: ({ blockSize }) => Math.max(6, blockSize * 3),
+                gene: ({ blockSize }) => [blockSize * 2, blockSize * 4 + 8],
+            },
         },
-    };
+        build: (ctx) => {
+            const { key, paletteLen, params, tileable } = ctx;
+            // tiled: u + v steps by 2 * ax.n across the tile, a multiple of
+            // 3 so the faces line up, and u - v by 2 * ay.n down it
+            const ax = gridAxis(tileable && ctx.W, params.size, {
+                multiple: 3,
+            });
+            const ay = gridAxis(tileable && ctx.H, params.size);
+            const s = ax.size,
+                k = ax.size / ay.size;
+            const tile = tileable
+                ? (u, v) =>
+                      hash2D(key, mod(u + v, 2 * ax.n), mod(u - v, 2 * ay.n))
+                : (u, v) => hash2D(key, u, v);
+            return (x, y) => {
+                // rotate 45° into diamond grid
+                const u = Math.floor((x + y * k) / s);
+                const v = Math.floor((x - y * k) / s);
+                // three faces by (u+v) mod 3
+                const face = mod(u + v, 3);
+                // sprinkle hash to break ties between tiles
+                const h = tile(u, v);
+                if (face === 0) return 1 % paletteLen;
+                if (face === 1) return 2 % paletteLen;
+                // darkest face; fall back to colour 0 when there is no 4th colour
+                return paletteLen > 3 ? paletteLen - 1 - (h & 1) : 0;
+            };
+        },
+    },
+    {
+        // axial coords; honeycomb
+        name: "hex-tiles",
+        category: "tiling",
+        tileable: true,
+        params: {
+            size: {
+                min: 6,
+                max: 64,
+                integer: true,
+                default: ({ blockSize }) => Math.max(6, blockSize * 3),
+                gene: ({ blockSize }) => [blockSize * 2, blockSize * 4 + 8],
+            },
+        },
+        build: (ctx) => {
+            const { key, paletteLen, params, tileable } = ctx;
+            const s = params.size;
+            // the lattice repeats every sqrt(3) s across and every 3 s (two
+            // rows) down; tiled, it is stretched to fit whole periods
+            const ax = gridAxis(tileable && ctx.W, Math.sqrt(3) * s);
+            const ay = gridAxis(tileable && ctx.H, 3 * s);
+            const kx = (Math.sqrt(3) * s) / ax.size,
+                ky = (3 * s) / ay.size;
+            // 3 s down moves (q, r) to (q - 1, r + 2)
+            const tile = tileable
+                ? (q, r) => {
+                      const rr = mod(r, 2 * ay.n);
+                      return hash2D(key, mod(q + (r - rr) / 2, ax.n), rr);
+                  }
+                : (q, r) => hash2D(key, q, r);
+            return (x, y) => {
+                const [q, r] = hexAxial(x * kx, y * ky, s);
+                // color by tile
+                return mod(tile(q, r), paletteLen);
+            };
+        },
+        probe: (ctx) => {
+            const s = ctx.params.size;
+            const ax = gridAxis(ctx.tileable && ctx.W, Math.sqrt(3) * s);
+            const ay = gridAxis(ctx.tileable && ctx.H, 3 * s);
+            const kx = (Math.sqrt(3) * s) / ax.size,
+                ky = (3 * s) / ay.size;
+            return (x, y) => {
+                const [q, r] = hexAxial(x * kx, y * ky, s);
+                return { q, r };
+            };
+        },
+    },
+    {
+        // alternating right triangles
+        name: "triangles",
+        category: "tiling",
+        tileable: true,
+        params: {
+            size: {
+                min: 6,
+                max: 64,
+                integer: true,
+                default: ({ blockSize }) => Math.max(6, blockSize * 3),
+                gene: ({ blockSize }) => [blockSize * 2, blockSize * 4 + 8],
+            },
+        },
+        build: (ctx) => {
+            const { paletteLen, params } = ctx;
+            const [ax, ay] = gridAxes(ctx, params.size, { multiple: 2 });
+            const k = ay.size / ax.size;
+            return (x, y) => {
+                const gx = ax.cell(x),
+                    gy = ay.cell(y);
+                const lx = ax.at(x),
+                    ly = ay.at(y);
+                const diag = lx * k + ly < ay.size;
+                const c1 = 1 % paletteLen,
+                    c2 = 2 % paletteLen;
+                const base = (gx ^ gy) & 1 ? c1 : c2;
+                return diag ? base : base === c1 ? c2 : c1;
+            };
+        },
+        probe: gridProbe(({ params }) => params.size, { multiple: 2 }),
+    },
+    {
+        // V stripes from center
+        name: "chevron",
+        category: "radial",
+        params: {
+            step: {
+                min: 2,
+                max: 64,
+                integer: true,
+                default: ({ blockSize }) => Math.max(2, blockSize),
+                gene: ({ blockSize }) => [blockSize / 2, blockSize * 2 + 2],
+            },
+            ...CENTRE_PARAMS,
+        },
+        build: offCentre(
+            ({ paletteLen, cx, cy, params: { step } }) =>
+                (x, y) => {
+                    const v = Math.floor((Math.abs(x - cx) + (y - cy)) / step);
+                    return mod(v, paletteLen);
+                }
+        ),
+    },
+    {
+        // dots inside grid rings
+        name: "grid-rings",
+        category: "tiling",
+        tileable: true,
+        params: {
+            cell: {
+                min: 8,
+                max: 128,
+                integer: true,
+                default: ({ blockSize }) => Math.max(8, blockSize * 4),
+                gene: ({ blockSize }) => [blockSize * 3, blockSize * 6 + 8],
+            },
+        },
+        build: (ctx) => {
+            const { key, paletteLen, params } = ctx;
+            const [ax, ay] = gridAxes(ctx, params.cell);
+            const band = Math.max(2, Math.min(ax.size, ay.size) / 6);
+            return (x, y) => {
+                const bx = ax.index(x),
+                    by = ay.index(y);
+                const cxp = bx * ax.size + ax.size / 2,
+                    cyp = by * ay.size + ay.size / 2;
+                const r = Math.hypot(x - cxp, y - cyp);
+                const k = Math.floor(r / band);
+                const h = hash2D(key, ax.wrap(bx), ay.wrap(by));
+                return mod(k + (h & 1), paletteLen);
+            };
+        },
+        probe: (ctx) => {
+            const [ax, ay] = gridAxes(ctx, ctx.params.cell);
+            const band = Math.max(2, Math.min(ax.size, ay.size) / 6);
+            return (x, y) => {
+                const bx = ax.index(x),
+                    by = ay.index(y);
+                const cxp = bx * ax.size + ax.size / 2,
+                    cyp = by * ay.size + ay.size / 2;
+                return {
+                    cell: `${ax.wrap(bx)},${ay.wrap(by)}`,
+                    ring: Math.floor(Math.hypot(x - cxp, y - cyp) / band),
+                };
+            };
+        },
+    },
+];
+
+/**
+ * A `-hashed` variant of a built-in mode: same category, flags, params and
+ * probe, with an indexer that draws from the key. The originals below read
+ * a bit or two of the 32-bit seed at most, so under a wide key whole ranges
+ * of seeds would still share one image; generators from v2 on pick these
+ * variants in their place (see generators.js).
+ *
+ * @param {string} name - The built-in mode's name.
+ * @param {Function} build - The variant's `build(ctx)`.
+ * @returns {Object} The variant's descriptor.
+ */
+function hashedVariant(name, build) {
+    const base = BUILTIN_MODES.find((m) => m.name === name);
+    return { ...base, name: `${name}-hashed`, build };
 }
+
+BUILTIN_MODES.push(
+    // every row gets its own offset
+    hashedVariant("stripes", (ctx) => {
+        const { key, blockSize, paletteLen } = ctx;
+        const [ax, ay] = gridAxes(ctx, blockSize, { trunc: true });
+        return (x, y) => {
+            const bx = ax.cell(x),
+                by = ay.cell(y);
+            return mod(bx ^ (by + (hash2D(key, 0, by) & 3)), paletteLen);
+        };
+    }),
+    // V bands coloured per band
+    hashedVariant(
+        "chevron",
+        offCentre(({ key, paletteLen, cx, cy, params: { step } }) => (x, y) => {
+            const v = Math.floor((Math.abs(x - cx) + (y - cy)) / step);
+            return mod(hash2D(key, v, 0), paletteLen);
+        })
+    ),
+    // Chebyshev bands coloured per band, borders kept
+    hashedVariant(
+        "concentric-squares",
+        offCentre(
+            ({ key, paletteLen, cx, cy, params: { band: bandW } }) =>
+                (x, y) => {
+                    const d = Math.max(Math.abs(x - cx), Math.abs(y - cy));
+                    const k = Math.floor(d / bandW);
+                    const edge = d % bandW;
+                    const edgeBias = edge < 1 || edge > bandW - 2 ? 1 : 0;
+                    return mod(hash2D(key, k, 0) + edgeBias, paletteLen);
+                }
+        )
+    ),
+    // thick rings coloured per ring, borders kept
+    hashedVariant(
+        "bullseye-bold",
+        offCentre(
+            ({ key, paletteLen, cx, cy, params: { band: bandW } }) =>
+                (x, y) => {
+                    const r = Math.hypot(x - cx, y - cy);
+                    const k = Math.floor(r / bandW);
+                    const e = r % bandW;
+                    const edge = e < 1 || e > bandW - 2 ? 1 : 0;
+                    return mod(hash2D(key, k, 0) + (edge << 1), paletteLen);
+                }
+        )
+    ),
+    // diagonal checker with a hashed shift per cell
+    hashedVariant(
+        "rot45-checker",
+        ({ key, paletteLen, params: { step } }) =>
+            (x, y) => {
+                const a = Math.floor((x + y) / step);
+                const b = Math.floor((x - y) / step);
+                return mod((a ^ b) + (hash2D(key, a, b) & 1), paletteLen);
+            }
+    ),
+    // a real maze: each cell keeps its corner and one of its two walls
+    hashedVariant("square-maze", (ctx) => {
+        const { seed, key, paletteLen, anchor, params } = ctx;
+        const { wall } = params;
+        const [ax, ay] = gridAxes(ctx, params.cell, {
+            trunc: true,
+            multiple: 2,
+        });
+        return (x, y) => {
+            const gx = ax.at(x),
+                gy = ay.at(y);
+            const tx = ax.cell(x),
+                ty = ay.cell(y);
+            const left = hash2D(key, tx, ty) & 1;
+            const onWall =
+                (gx < wall && gy < wall) || (left ? gx < wall : gy < wall);
+            if (onWall) return (1 + (seed & 1)) % paletteLen;
+            return (tx ^ ty) & 1 ? anchor(0) : anchor(3);
+        };
+    }),
+    // sine bands coloured per band
+    hashedVariant("waves", (ctx) => {
+        const { key, blockSize, paletteLen, params, tileable } = ctx;
+        const wave = gridAxis(tileable && ctx.W, params.wavelength);
+        const bands = gridAxis(tileable && ctx.H, Math.max(2, blockSize));
+        const freq = (Math.PI * 2) / wave.size;
+        return (x, y, t = 0) => {
+            const phase = params.phase + TAU * t;
+            const yy = y + params.amplitude * Math.sin(x * freq + phase);
+            return mod(hash2D(key, bands.cell(yy), 0), paletteLen);
+        };
+    }),
+    // every cube face shaded by its own hash
+    hashedVariant("iso-cubes", (ctx) => {
+        const { key, paletteLen, params, tileable } = ctx;
+        const ax = gridAxis(tileable && ctx.W, params.size, {
+            multiple: 3,
+        });
+        const ay = gridAxis(tileable && ctx.H, params.size);
+        const s = ax.size,
+            k = ax.size / ay.size;
+        const tile = tileable
+            ? (u, v) => hash2D(key, mod(u + v, 2 * ax.n), mod(u - v, 2 * ay.n))
+            : (u, v) => hash2D(key, u, v);
+        return (x, y) => {
+            const u = Math.floor((x + y * k) / s);
+            const v = Math.floor((x - y * k) / s);
+            const face = mod(u + v, 3);
+            const h = tile(u, v);
+            // the two lit faces trade colours, the dark one varies as before
+            const swap = (h >>> 1) & 1;
+            if (face < 2) return (1 + (face ^ swap)) % paletteLen;
+            return paletteLen > 3 ? paletteLen - 1 - (h & 1) : 0;
+        };
+    }),
+    // the cell's hash flips its diagonal and swaps its colours
+    hashedVariant("triangles", (ctx) => {
+        const { key, paletteLen, params } = ctx;
+        const [ax, ay] = gridAxes(ctx, params.size, { multiple: 2 });
+        const k = ay.size / ax.size;
+        const c1 = 1 % paletteLen,
+            c2 = 2 % paletteLen;
+        return (x, y) => {
+            const gx = ax.cell(x),
+                gy = ay.cell(y);
+            const h = hash2D(key, gx, gy);
+            const lx = h & 1 ? ax.size - ax.at(x) : ax.at(x);
+            const diag = lx * k + ay.at(y) < ay.size;
+            const base = (gx ^ gy ^ (h >>> 1)) & 1 ? c1 : c2;
+            return diag ? base : base === c1 ? c2 : c1;
+        };
+    })
+);
@@ -0,0 +1,179 @@
+import { zlibDeflate } from "./deflate.js";
+
+/**
+ * Small, dependency-free PDF (1.4) writer: one page of vector drawing,
+ * text in the standard fonts and palette-indexed images, enough for the
+ * poster export (see poster.js).
+ */
+
+// Font resource name -> standard font (no embedding needed)
+export const PDF_FONTS = {
+    F1: "Helvetica",
+    F2: "Helvetica-Bold",
+    F3: "Courier",
+};
+
+/**
+ * Serialize a string as a PDF literal string. Characters outside Latin-1
+ * (WinAnsi, as the fonts are set up) become "?".
+ *
+ * @param {string} s - The text.
+ * @returns {string} e.g. `(Cyber \(v3\))`.
+ */
+export function pdfString(s) {
+    const latin1 = String(s).replace(/[^\x20-\x7e\xa0-\xff]/g, "?");
+    return `(${latin1.replace(/[\\()]/g, (c) => `\\${c}`)})`;
+}
+
+/**
+ * Format a number for a content stream: at most 3 decimals, no exponent.
+ *
+ * @param {number} v - The number.
+ * @returns {string} e.g. `12.5`.
+ */
+export function pdfNumber(v) {
+    return String(Math.round(v * 1000) / 1000);
+}
+
+/**
+ * Serialize a name for a dictionary key, escaping what PDF names cannot
+ * hold literally.
+ */
+function pdfName(s) {
+    return `/${s.replace(
+        /[^!-~]|[#()<>[\]{}/%]/g,
+        (c) => `#${c.charCodeAt(0).toString(16).padStart(2, "0")}`
+    )}`;
+}
+
+/** Bytes of a string of Latin-1 characters (see pdfString). */
+const latin1 = (s) => Uint8Array.from(s, (c) => c.charCodeAt(0));
+
+/**
+ * Pack palette indices into image rows of `bits` bits per pixel, each row
+ * starting on a byte boundary.
+ */
+function packIndices(indices, width, height, bits) {
+    const stride = Math.ceil((width * bits) / 8);
+    const out = new Uint8Array(stride * height);
+    const perByte = 8 / bits;
+    for (let y = 0; y < height; y++) {
+        const row = y * width;
+        for (let x = 0; x < width; x++) {
+            const shift = 8 - bits * ((x % perByte) + 1);
+            out[y * stride + ((x / perByte) | 0)] |= indices[row + x] << shift;
+        }
+    }
+    return out;
+}
+
+/**
+ * Encode a one-page PDF.
+ *
+ * @param {Object} page
+ * @param {number[]} page.mediaBox - `[x0, y0, x1, y1]` in points.
+ * @param {Object<string, number[]>} [page.boxes] - Further page boxes,
+ *     e.g. `{TrimBox: [...], BleedBox: [...]}`.
+ * @param {string} page.content - Content stream operators; fonts are
+ *     PDF_FONTS, images the keys of `images`.
+ * @param {Object<string, {width: number, height: number,
+ *     indices: Uint8Array, palette: string[]}>} [page.images] - Resource
+ *     name -> image as palette indices (up to 256 `#RRGGBB` colours).
+ * @param {Object<string, string>} [info] - Document info entries, e.g.
+ *     `{Title: "..."}`.
+ * @returns {Uint8Array} The PDF file bytes.
+ */
+export function encodePDF(
+    { mediaBox, boxes = {}, content, images = {} },
+    info = {}
+) {
+    const objects = []; // bodies, object i + 1 at objects[i]
+    const add = (body) => objects.push(body) && objects.length;
+    const stream = (dict, bytes) => [
+        latin1(`<< ${dict} /Filter /FlateDecode /Length `),
+        bytes,
+    ];
+
+    const fontRefs = Object.entries(PDF_FONTS).map(
+        ([name, base]) =>
+            `/${name} ${add(
+                `<< /Type /Font /Subtype /Type1 /BaseFont /${base} /Encoding /WinAnsiEncoding >>`
+            )} 0 R`
+    );
+    const imageRefs = Object.entries(images).map(([name, img]) => {
+        const n = img.palette.length;
+        const bits = n <= 2 ? 1 : n <= 4 ? 2 : n <= 16 ? 4 : 8;
+        const lookup = img.palette.map((c) => c.slice(1, 7)).join("");
+        const data = zlibDeflate(
+            packIndices(img.indices, img.width, img.height, bits)
+        );
+        const dict =
+            `/Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} ` +
+            `/ColorSpace [/Indexed /DeviceRGB ${
+                n - 1
+            } <${lookup}>] /BitsPerComponent ${bits}`;
+        return `/${name} ${add(stream(dict, data))} 0 R`;
+    });
+    const contents = add(stream("", zlibDeflate(latin1(content))));
+    const box = (b) => `[${b.map(pdfNumber).join(" ")}]`;
+    const pageBoxes = Object.entries(boxes)
+        .map(([k, b]) => ` /${k} ${box(b)}`)
+        .join("");
+    // the page tree comes next, so the page can point at it
+    const pagesRef = objects.length + 2;
+    const pageRef = add(
+        `<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox ${box(
+            mediaBox
+        )}${pageBoxes} ` +
+            `/Resources << /Font << ${fontRefs.join(
+                " "
+            )} >> /XObject << ${imageRefs.join(" ")} >> >> ` +
+            `/Contents ${contents} 0 R >>`
+    );
+    add(`<< /Type /Pages /Kids [${pageRef} 0 R] /Count 1 >>`);
+    const catalog = add(`<< /Type /Catalog /Pages ${pagesRef} 0 R >>`);
+    const infoRef = add(
+        `<< ${Object.entries(info)
+            .map(([k, v]) => `${pdfName(k)} ${pdfString(v)}`)
+            .join(" ")} >>`
+    );
+
+    // header (with binary comment), objects, cross-reference table, trailer
+    const parts = [latin1("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n")];
+    let offset = parts[0].length;
+    const offsets = objects.map((body, i) => {
+        const at = offset;
+        const chunks = Array.isArray(body)
+            ? [
+                  latin1(`${i + 1} 0 obj\n`),
+                  body[0],
+                  latin1(`${body[1].length} >>\nstream\n`),
+                  body[1],
+                  latin1("\nendstream\nendobj\n"),
+              ]
+            : [latin1(`${i + 1} 0 obj\n${body}\nendobj\n`)];
+        for (const c of chunks) {
+            parts.push(c);
+            offset += c.length;
+        }
+        return at;
+    });
+    const xref =
+        `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+        offsets
+            .map((o) => `${String(o).padStart(10, "0")} 00000 n \n`)
+            .join("") +
+        `trailer\n<< /Size ${
+            objects.length + 1
+        } /Root ${catalog} 0 R /Info ${infoRef} 0 R >>\n` +
+        `startxref\n${offset}\n%%EOF\n`;
+    parts.push(latin1(xref));
+
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let o = 0;
+    for (const p of parts) {
+        out.set(p, o);
+        o += p.length;
+    }
+    return out;
+}
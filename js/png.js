@@ -0,0 +1,269 @@
+import { crc32, zlibDeflate } from "./deflate.js";
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/**
+ * Build one PNG chunk: length, type, data and CRC over type + data.
+ *
+ * @param {string} type - Four-letter chunk type, e.g. "IHDR".
+ * @param {Uint8Array} data - Chunk payload.
+ * @returns {Uint8Array} The encoded chunk.
+ */
+export function pngChunk(type, data) {
+    const out = new Uint8Array(data.length + 12);
+    const dv = new DataView(out.buffer);
+    dv.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+    out.set(data, 8);
+    dv.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+    return out;
+}
+
+/**
+ * Concatenate byte arrays.
+ *
+ * @param {Uint8Array[]} parts - The arrays to join.
+ * @returns {Uint8Array} A single array holding all parts in order.
+ */
+export function concatBytes(parts) {
+    const total = parts.reduce((n, p) => n + p.length, 0);
+    const out = new Uint8Array(total);
+    let o = 0;
+    for (const p of parts) {
+        out.set(p, o);
+        o += p.length;
+    }
+    return out;
+}
+
+/**
+ * Build a text chunk: tEXt when the value is printable ASCII, else iTXt
+ * (uncompressed UTF-8).
+ *
+ * @param {string} keyword - 1-79 printable Latin-1 characters.
+ * @param {string} value - The text.
+ * @returns {Uint8Array} The encoded chunk.
+ */
+function textChunk(keyword, value) {
+    if (!/^[\x20-\x7e\xa1-\xff]{1,79}$/.test(keyword))
+        throw new TypeError(`invalid PNG text keyword: ${keyword}`);
+    const key = Uint8Array.from(keyword, (c) => c.charCodeAt(0));
+    if (/^[\x20-\x7e\n]*$/.test(value)) {
+        const text = Uint8Array.from(value, (c) => c.charCodeAt(0));
+        return pngChunk("tEXt", concatBytes([key, new Uint8Array(1), text]));
+    }
+    // keyword, NUL, compression flag and method, empty language tag and
+    // translated keyword (NUL each), then the text
+    const header = new Uint8Array(5);
+    return pngChunk(
+        "iTXt",
+        concatBytes([key, header, new TextEncoder().encode(value)])
+    );
+}
+
+/**
+ * Text chunks for a `{keyword: value}` map, in key order.
+ */
+function textChunks(text) {
+    return Object.entries(text).map(([k, v]) => textChunk(k, String(v)));
+}
+
+/**
+ * Add text chunks to an encoded PNG (or APNG), right after its IHDR, e.g.
+ * for files a canvas encoded.
+ *
+ * @param {Uint8Array} png - The PNG file bytes.
+ * @param {Object<string, *>} text - Keyword -> value.
+ * @returns {Uint8Array} A new PNG with the chunks added.
+ * @throws {TypeError} If the bytes are not a PNG file.
+ */
+export function addPNGText(png, text) {
+    if (!isPNG(png)) throw new TypeError("not a PNG file");
+    const ihdrEnd = PNG_SIGNATURE.length + 25; // IHDR data is always 13 bytes
+    return concatBytes([
+        png.subarray(0, ihdrEnd),
+        ...textChunks(text),
+        png.subarray(ihdrEnd),
+    ]);
+}
+
+/**
+ * Read the text chunks of a PNG file: tEXt, and iTXt unless compressed
+ * (zTXt and compressed iTXt are skipped).
+ *
+ * @param {Uint8Array} png - The PNG file bytes.
+ * @returns {Object<string, string>} Keyword -> value; the first chunk wins
+ *     when a keyword repeats.
+ * @throws {TypeError} If the bytes are not a PNG file.
+ */
+export function readPNGText(png) {
+    if (!isPNG(png)) throw new TypeError("not a PNG file");
+    const dv = new DataView(png.buffer, png.byteOffset, png.byteLength);
+    const latin1 = (bytes) =>
+        Array.from(bytes, (b) => String.fromCharCode(b)).join("");
+    const text = {};
+    let o = PNG_SIGNATURE.length;
+    while (o + 12 <= png.length) {
+        const len = dv.getUint32(o);
+        const type = latin1(png.subarray(o + 4, o + 8));
+        const data = png.subarray(o + 8, o + 8 + len);
+        o += len + 12;
+        if (type === "IEND") break;
+        if (type !== "tEXt" && type !== "iTXt") continue;
+        const nul = data.indexOf(0);
+        if (nul < 1) continue;
+        const keyword = latin1(data.subarray(0, nul));
+        let value;
+        if (type === "tEXt") {
+            value = latin1(data.subarray(nul + 1));
+        } else {
+            if (data[nul + 1] !== 0) continue; // compressed
+            // skip the language tag and translated keyword
+            const lang = data.indexOf(0, nul + 3);
+            const start = data.indexOf(0, lang + 1) + 1;
+            if (lang < 0 || start === 0) continue;
+            value = new TextDecoder().decode(data.subarray(start));
+        }
+        if (!Object.hasOwn(text, keyword)) text[keyword] = value;
+    }
+    return text;
+}
+
+/**
+ * Check for the PNG signature.
+ */
+function isPNG(bytes) {
+    return (
+        bytes.length > PNG_SIGNATURE.length &&
+        PNG_SIGNATURE.every((b, i) => bytes[i] === b)
+    );
+}
+
+/**
+ * Check whether every pixel of every buffer is fully opaque.
+ */
+function isOpaque(buffers) {
+    for (const rgba of buffers)
+        for (let i = 3; i < rgba.length; i += 4)
+            if (rgba[i] !== 255) return false;
+    return true;
+}
+
+/**
+ * Build the IHDR chunk: 8-bit truecolour, with or without alpha.
+ */
+function ihdrChunk(width, height, opaque) {
+    const ihdr = new Uint8Array(13);
+    const dv = new DataView(ihdr.buffer);
+    dv.setUint32(0, width);
+    dv.setUint32(4, height);
+    ihdr[8] = 8; // bit depth
+    ihdr[9] = opaque ? 2 : 6; // colour type: truecolour / truecolour + alpha
+    ihdr[10] = 0; // compression
+    ihdr[11] = 0; // filter
+    ihdr[12] = 0; // interlace
+    return pngChunk("IHDR", ihdr);
+}
+
+/**
+ * Filter and compress RGBA pixels into zlib image data for IDAT/fdAT.
+ */
+function imageData(rgba, width, height, opaque) {
+    const bpp = opaque ? 3 : 4;
+    const stride = width * bpp + 1; // leading filter byte per row
+
+    // scanlines with filter type 0 (none); LZ77 picks up the row repeats
+    const raw = new Uint8Array(stride * height);
+    for (let y = 0; y < height; y++) {
+        let o = y * stride + 1;
+        let i = y * width * 4;
+        for (let x = 0; x < width; x++, i += 4) {
+            raw[o++] = rgba[i];
+            raw[o++] = rgba[i + 1];
+            raw[o++] = rgba[i + 2];
+            if (!opaque) raw[o++] = rgba[i + 3];
+        }
+    }
+    return zlibDeflate(raw);
+}
+
+/**
+ * Encode an RGBA buffer as a PNG file.
+ * Fully opaque images are written as RGB to keep files small.
+ *
+ * @param {Uint8Array|Uint8ClampedArray} rgba - Pixel data, 4 bytes per pixel.
+ * @param {number} width - Image width in pixels.
+ * @param {number} height - Image height in pixels.
+ * @param {Object} [options]
+ * @param {Object<string, *>} [options.text] - Keyword -> value, written as
+ *     tEXt/iTXt chunks (see readPNGText).
+ * @returns {Uint8Array} The PNG file bytes.
+ */
+export function encodePNG(rgba, width, height, { text = {} } = {}) {
+    const opaque = isOpaque([rgba]);
+    return concatBytes([
+        new Uint8Array(PNG_SIGNATURE),
+        ihdrChunk(width, height, opaque),
+        ...textChunks(text),
+        pngChunk("IDAT", imageData(rgba, width, height, opaque)),
+        pngChunk("IEND", new Uint8Array(0)),
+    ]);
+}
+
+/**
+ * Encode RGBA frames as a looping animated PNG (APNG). The first frame is
+ * also the default image, so viewers without APNG support show the still.
+ *
+ * @param {(Uint8Array|Uint8ClampedArray)[]} frames - RGBA pixels per frame.
+ * @param {number} width - Frame width in pixels.
+ * @param {number} height - Frame height in pixels.
+ * @param {Object} [options]
+ * @param {number} [options.fps=12] - Playback rate.
+ * @param {Object<string, *>} [options.text] - Keyword -> value, written as
+ *     tEXt/iTXt chunks.
+ * @returns {Uint8Array} The APNG file bytes.
+ */
+export function encodeAPNG(
+    frames,
+    width,
+    height,
+    { fps = 12, text = {} } = {}
+) {
+    const opaque = isOpaque(frames);
+    const parts = [
+        new Uint8Array(PNG_SIGNATURE),
+        ihdrChunk(width, height, opaque),
+        ...textChunks(text),
+    ];
+
+    const actl = new Uint8Array(8);
+    new DataView(actl.buffer).setUint32(0, frames.length); // num_plays 0 = loop
+    parts.push(pngChunk("acTL", actl));
+
+    let seq = 0;
+    frames.forEach((rgba, f) => {
+        const fctl = new Uint8Array(26);
+        const dv = new DataView(fctl.buffer);
+        dv.setUint32(0, seq++);
+        dv.setUint32(4, width);
+        dv.setUint32(8, height);
+        // x/y offsets stay 0
+        dv.setUint16(20, 1); // delay numerator
+        dv.setUint16(22, fps); // delay denominator: 1/fps s
+        // dispose_op 0 (none), blend_op 0 (source)
+        parts.push(pngChunk("fcTL", fctl));
+
+        const data = imageData(rgba, width, height, opaque);
+        if (f === 0) {
+            parts.push(pngChunk("IDAT", data));
+        } else {
+            const fdat = new Uint8Array(data.length + 4);
+            new DataView(fdat.buffer).setUint32(0, seq++);
+            fdat.set(data, 4);
+            parts.push(pngChunk("fdAT", fdat));
+        }
+    });
+
+    parts.push(pngChunk("IEND", new Uint8Array(0)));
+    return concatBytes(parts);
+}
@@ -0,0 +1,339 @@
+import {
+    PAPER_SIZES,
+    POSTER_DPI_MIN,
+    POSTER_DPI_MAX,
+    POSTER_BLEED_MAX,
+    EXPORT_MAX,
+} from "./constants.js";
+import { encodePDF, pdfString, pdfNumber as n } from "./pdf.js";
+import { exportMetadata } from "./render.js";
+import { paletteName } from "./palette.js";
+
+/**
+ * Print-ready poster export: the art rendered natively for the chosen DPI
+ * on a paper size, with bleed, optional crop marks, the ruler ticks of the
+ * on-screen calibration frame and a caption (seed, mode, block, palette
+ * swatches). Lengths are in PDF points (1/72 in) unless noted.
+ */
+
+const MM = 72 / 25.4;
+const CROP_GAP = 2 * MM; // crop marks start this far outside the bleed
+const CROP_LEN = 6 * MM;
+const SLUG = CROP_GAP + CROP_LEN + 2 * MM; // paper outside the bleed for marks
+
+// Caption type sizes and spacing, in multiples of the base font size
+const TITLE = 1.5;
+const DETAILS = 0.8;
+const LEADING = 1.35;
+const SWATCH = 1.4;
+const SWATCH_LABEL = 0.7;
+const COURIER_ADVANCE = 0.6; // Courier glyph width per point of size
+const SWATCH_SLOT = SWATCH + 0.4 + 7 * COURIER_ADVANCE * SWATCH_LABEL + 1;
+
+/**
+ * Ruler tick spacing in logical units: every 16 units, a quarter of that
+ * while a step would be `maxStep` long or more. Shared with the on-screen
+ * calibration frame.
+ *
+ * @param {number} perUnit - Length of one logical unit (any unit).
+ * @param {number} maxStep - Longest step in the same unit.
+ * @returns {number} 16, 4 or 1.
+ */
+export function rulerEvery(perUnit, maxStep) {
+    let every = 16;
+    while (every > 1 && every * perUnit >= maxStep) every /= 4;
+    return every;
+}
+
+/**
+ * Lay out a poster for a render: page boxes, where the art and caption go,
+ * and the native render scale that reaches the DPI.
+ *
+ * @param {Object} state - renderTapestry result at the canvas size.
+ * @param {Object} [options]
+ * @param {string} [options.paper="A3"] - A PAPER_SIZES key.
+ * @param {boolean} [options.landscape=false] - Turn the paper sideways.
+ * @param {number} [options.dpi=150] - Target print resolution,
+ *     POSTER_DPI_MIN..POSTER_DPI_MAX.
+ * @param {number} [options.bleed=3] - Bleed in mm, 0..POSTER_BLEED_MAX;
+ *     the background runs this far past the trim edge.
+ * @param {boolean} [options.cropMarks=false] - Add crop marks outside the
+ *     bleed (the page grows to hold them).
+ * @returns {Object} The layout for encodePoster: `scale` is the
+ *     renderTapestry scale to render the art at and `printDpi` the
+ *     resolution it prints at (below `dpi` only when EXPORT_MAX caps the
+ *     scale).
+ */
+export function posterLayout(
+    state,
+    {
+        paper = "A3",
+        landscape = false,
+        dpi = 150,
+        bleed = 3,
+        cropMarks = false,
+    } = {}
+) {
+    if (!Object.hasOwn(PAPER_SIZES, paper))
+        throw new RangeError(
+            `paper must be one of ${Object.keys(PAPER_SIZES).join(", ")}`
+        );
+    if (!Number.isInteger(dpi) || dpi < POSTER_DPI_MIN || dpi > POSTER_DPI_MAX)
+        throw new RangeError(
+            `dpi must be an integer in ${POSTER_DPI_MIN}..${POSTER_DPI_MAX}`
+        );
+    if (!(bleed >= 0 && bleed <= POSTER_BLEED_MAX))
+        throw new RangeError(`bleed must be 0..${POSTER_BLEED_MAX} mm`);
+
+    const [pw, ph] = PAPER_SIZES[paper].map((mm) => mm * MM);
+    const [trimW, trimH] = landscape ? [ph, pw] : [pw, ph];
+    const bleedPt = bleed * MM;
+    const outer = bleedPt + (cropMarks ? SLUG : 0);
+    const short = Math.min(trimW, trimH);
+    const font = short / 60;
+    const margin = short * 0.08;
+
+    // caption under the art, as wide as the margins allow
+    const captionW = trimW - 2 * margin;
+    const seedChars = Math.max(
+        8,
+        Math.floor(captionW / (COURIER_ADVANCE * font))
+    );
+    const seedLines = Math.max(1, Math.ceil(state.seedHex.length / seedChars));
+    const perRow = Math.max(
+        1,
+        Math.floor((captionW + font) / (SWATCH_SLOT * font))
+    );
+    const rows = Math.ceil(state.basePalette.length / perRow);
+    const captionH =
+        font * LEADING * (TITLE + seedLines + DETAILS) +
+        font * 0.6 +
+        rows * font * (SWATCH + 0.5);
+    const gap = font * 2.5; // room for the ruler ticks
+
+    // the art keeps its aspect ratio in what is left; art and caption are
+    // centred on the page together
+    const boxH = trimH - 2 * margin - captionH - gap;
+    const aspect = state.width / state.height;
+    const artW = Math.min(captionW, boxH * aspect);
+    const artH = artW / aspect;
+    const artX = outer + (trimW - artW) / 2;
+    const artTop = outer + margin + (boxH - artH) / 2;
+
+    const maxScale = Math.floor(
+        EXPORT_MAX / Math.max(state.width, state.height)
+    );
+    const scale = Math.max(
+        1,
+        Math.min(maxScale, Math.ceil(((artW / 72) * dpi) / state.width))
+    );
+
+    return {
+        paper,
+        landscape,
+        dpi,
+        bleed,
+        cropMarks,
+        scale,
+        printDpi: Math.floor((state.width * scale * 72) / artW),
+        media: [trimW + 2 * outer, trimH + 2 * outer],
+        trim: [outer, outer, outer + trimW, outer + trimH],
+        bleedBox: [
+            outer - bleedPt,
+            outer - bleedPt,
+            outer + trimW + bleedPt,
+            outer + trimH + bleedPt,
+        ],
+        art: { x: artX, top: artTop, width: artW, height: artH },
+        caption: {
+            x: outer + margin,
+            top: artTop + artH + gap,
+            seedChars,
+            perRow,
+        },
+        font,
+    };
+}
+
+/** `#RRGGBB` -> [r, g, b] in 0..1. */
+const channels = (hex) =>
+    [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16) / 255);
+
+const luma = (hex) => {
+    const [r, g, b] = channels(hex);
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+/**
+ * Encode the poster as a PDF.
+ *
+ * @param {Object} result - renderTapestry result at `layout.scale` (see
+ *     posterLayout), rendered with one sample per pixel.
+ * @param {Object} layout - From posterLayout for the same render.
+ * @param {Object} [options]
+ * @param {{raw: string, format: string}|null} [options.input=null] - The
+ *     seed as typed, recorded with the settings (see exportMetadata).
+ * @returns {Uint8Array} The PDF file bytes. Its document info carries the
+ *     same settings as PNG exports.
+ */
+export function encodePoster(result, layout, { input = null } = {}) {
+    const { scale, font, art, caption } = layout;
+    const state = {
+        ...result,
+        width: result.width / scale,
+        height: result.height / scale,
+    };
+    if (!Number.isInteger(state.width) || !Number.isInteger(state.height))
+        throw new RangeError(
+            `render the art at scale ${scale} for this layout`
+        );
+
+    // PDF y runs up from the bottom of the page
+    const pageH = layout.media[1];
+    const y = (top) => pageH - top;
+    const ops = [];
+    const fill = (hex) => ops.push(`${channels(hex).map(n).join(" ")} rg`);
+    const stroke = (hex) => ops.push(`${channels(hex).map(n).join(" ")} RG`);
+    const line = (x0, t0, x1, t1) =>
+        ops.push(`${n(x0)} ${n(y(t0))} m ${n(x1)} ${n(y(t1))} l S`);
+    const text = (f, size, x, baseline, s) =>
+        ops.push(
+            `BT /${f} ${n(size)} Tf ${n(x)} ${n(y(baseline))} Td ${pdfString(
+                s
+            )} Tj ET`
+        );
+
+    // background to the bleed edge in the darkest colour, ink the lightest
+    const byLuma = [...state.basePalette].sort((a, b) => luma(a) - luma(b));
+    const paper = byLuma[0];
+    const ink = byLuma[byLuma.length - 1];
+    const [bx0, by0, bx1, by1] = layout.bleedBox;
+    fill(paper);
+    ops.push(`${n(bx0)} ${n(by0)} ${n(bx1 - bx0)} ${n(by1 - by0)} re f`);
+
+    // crop marks at the trim corners, in registration black on the slug
+    if (layout.cropMarks) {
+        const [tx0, ty0, tx1, ty1] = layout.trim;
+        const from = tx0 - bx0 + CROP_GAP;
+        ops.push("0 0 0 RG 0.25 w");
+        for (const x of [tx0, tx1])
+            for (const yy of [ty0, ty1]) {
+                const dx = x === tx0 ? -1 : 1;
+                const dy = yy === ty0 ? -1 : 1;
+                ops.push(
+                    `${n(x)} ${n(yy + dy * from)} m ${n(x)} ${n(
+                        yy + dy * (from + CROP_LEN)
+                    )} l S`,
+                    `${n(x + dx * from)} ${n(yy)} m ${n(
+                        x + dx * (from + CROP_LEN)
+                    )} ${n(yy)} l S`
+                );
+            }
+    }
+
+    // the art, pixels left sharp
+    ops.push(
+        `q ${n(art.width)} 0 0 ${n(art.height)} ${n(art.x)} ${n(
+            y(art.top + art.height)
+        )} cm /Im1 Do Q`
+    );
+
+    // ruler ticks outside the art, spaced like the calibration frame's
+    // (128 CSS px there is 96 pt here)
+    const perUnit = (art.width / state.width) * (result.unit / scale);
+    const every = rulerEvery(perUnit, 96);
+    const step = every * perUnit;
+    const [shortLen, longLen] = [font * 0.5, font * 0.85];
+    const right = art.x + art.width;
+    const bottom = art.top + art.height;
+    stroke(ink);
+    ops.push(`${n(Math.max(0.25, font / 20))} w`);
+    for (let i = 0, x = art.x; x <= right + 0.01; i++, x = art.x + i * step) {
+        const len = i % 4 === 0 ? longLen : shortLen;
+        line(x, art.top - len, x, art.top);
+        line(x, bottom, x, bottom + len);
+    }
+    for (
+        let j = 0, t = art.top;
+        t <= bottom + 0.01;
+        j++, t = art.top + j * step
+    ) {
+        const len = j % 4 === 0 ? longLen : shortLen;
+        line(art.x - len, t, art.x, t);
+        line(right, t, right + len, t);
+    }
+
+    // caption: mode, seed, settings, palette swatches
+    fill(ink);
+    let top = caption.top;
+    const title = state.modeName.replace("⊕", " + ").replace("/", " / ");
+    text("F2", font * TITLE, caption.x, (top += font * TITLE), title);
+    top += font * (LEADING - 1) * TITLE;
+    const seed = state.seedHex || "(empty seed)";
+    for (let i = 0; i < seed.length; i += caption.seedChars) {
+        text(
+            "F3",
+            font,
+            caption.x,
+            (top += font),
+            seed.slice(i, i + caption.seedChars)
+        );
+        top += font * (LEADING - 1);
+    }
+    const details = [
+        `block ${state.blockSize}`,
+        `rotation ${state.rotation}`,
+        `palette ${paletteName(state.basePalette) ?? "custom"}`,
+        `generator v${state.version}`,
+        `${state.width}×${state.height} px`,
+        ...(state.tileable ? ["tileable"] : []),
+        `${layout.printDpi} dpi on ${layout.paper}`,
+    ];
+    text(
+        "F1",
+        font * DETAILS,
+        caption.x,
+        (top += font * DETAILS),
+        details.join("  ·  ")
+    );
+    top += font * (LEADING - 1) * DETAILS + font * 0.6;
+
+    const size = font * SWATCH;
+    state.basePalette.forEach((hex, i) => {
+        const col = i % caption.perRow;
+        const row = Math.floor(i / caption.perRow);
+        const x = caption.x + col * SWATCH_SLOT * font;
+        const t = top + row * font * (SWATCH + 0.5);
+        fill(hex);
+        ops.push(`${n(x)} ${n(y(t + size))} ${n(size)} ${n(size)} re B`);
+        fill(ink);
+        text(
+            "F3",
+            font * SWATCH_LABEL,
+            x + size + font * 0.4,
+            t + size / 2 + font * SWATCH_LABEL * 0.35,
+            hex.toUpperCase()
+        );
+    });
+
+    const canvas = { width: result.width, height: result.height };
+    return encodePDF(
+        {
+            mediaBox: [0, 0, ...layout.media],
+            boxes: { BleedBox: layout.bleedBox, TrimBox: layout.trim },
+            content: ops.join("\n"),
+            images: {
+                Im1: {
+                    ...canvas,
+                    indices: result.indices,
+                    palette: result.palette,
+                },
+            },
+        },
+        {
+            Title: `Cyber Tapestry ${title} ${state.seedHex}`.trim(),
+            Creator: "Cyber Tapestry",
+            ...exportMetadata(state, { scale, samples: 1, input }),
+        }
+    );
+}
@@ -0,0 +1,702 @@
+import {
+    PALETTE_BASE,
+    CANVAS_W,
+    CANVAS_H,
+    LOGICAL_SIZE,
+    DIM_MIN,
+    DIM_MAX,
+    EXPORT_MAX,
+    SAMPLES_MAX,
+    PALETTE_MIN,
+    PALETTE_MAX,
+    ANIM_FRAMES,
+    ANIM_FPS,
+    ANIM_MAX_FRAMES,
+    ANIM_MAX_FPS,
+    MASK_MODES,
+} from "./constants.js";
+import { normalizeHex, fmix32 } from "./utils.js";
+import { GENERATORS, LEGACY_VERSION, getGenerator } from "./generators.js";
+import { parsePalette, packPalette } from "./palette.js";
+import {
+    getMode,
+    modeContext,
+    resolveModeParams,
+    parseParams,
+    paramsParam,
+} from "./modes.js";
+import {
+    parseComposite,
+    resolveComposite,
+    compositeName,
+    compositeParam,
+} from "./composite.js";
+
+// Keyword prefix of the PNG text chunks exports carry (see exportMetadata)
+const META_PREFIX = "CyberTapestry:";
+
+/**
+ * Validate explicit overrides, dropping anything missing or unknown.
+ * Values may be strings (URL params, CLI flags) or numbers.
+ *
+ * @param {{version?: *, mode?: *, block?: *, rot?: *, palette?: *,
+ *     width?: *, height?: *, composite?: *, tileable?: *, params?: *}} raw -
+ *     Candidate override values; `mode` may be any registered mode, `block`
+ *     is checked against the given version, `tileable` is on for `true`,
+ *     `"1"` or `"true"`, `params` is a `key=value` list (see parseParams).
+ * @returns {{version: number|null, mode: string|null, block: number|null,
+ *     rot: number|null, palette: string[]|null, width: number|null,
+ *     height: number|null, composite: Object|null, tileable: boolean,
+ *     params: Object<string, number>|null}}
+ *     Valid overrides; `null` means "derive from the seed" (for the version:
+ *     LEGACY_VERSION, for the palette: PALETTE_BASE, for the size:
+ *     CANVAS_W x CANVAS_H, for the composite: a single mode; see
+ *     parseComposite).
+ */
+export function parseOverrides({
+    version,
+    mode,
+    block,
+    rot,
+    palette,
+    width,
+    height,
+    composite,
+    tileable,
+    params,
+} = {}) {
+    const num = (v) => (v == null || v === "" ? NaN : Number(v));
+    const dim = (v) => {
+        const d = num(v);
+        return Number.isInteger(d) && d >= DIM_MIN && d <= DIM_MAX ? d : null;
+    };
+    const gen = getGenerator(num(version));
+    const { blocks } = gen ?? GENERATORS[LEGACY_VERSION];
+    const b = num(block);
+    const r = num(rot);
+    const colors = parsePalette(palette);
+    const paletteLen = (colors ?? PALETTE_BASE).length;
+    return {
+        version: gen && gen.version,
+        mode: getMode(mode) ? mode : null,
+        block: blocks.includes(b) ? b : null,
+        rot: Number.isInteger(r) && r >= 0 && r < paletteLen ? r : null,
+        palette: colors,
+        width: dim(width),
+        height: dim(height),
+        composite: parseComposite(composite),
+        tileable: tileable === true || tileable === "1" || tileable === "true",
+        params: parseParams(params),
+    };
+}
+
+/**
+ * Whether overrides fix the modes a render uses: a composite naming all
+ * three layers, or (without a composite) a mode. Explicit params only make sense then; a
+ * seed-derived mode may not declare them.
+ *
+ * @param {{mode?: *, composite?: *}} overrides - Raw or from parseOverrides.
+ * @returns {boolean} True if every mode rendered is named.
+ */
+export function pinsModes({ mode, composite } = {}) {
+    // a composite takes precedence over the mode, as in renderTapestry
+    const layers = parseComposite(composite);
+    if (layers) return Object.values(layers).every((name) => name !== null);
+    return mode != null && mode !== "";
+}
+
+/**
+ * Render a tapestry without touching the DOM, so it runs in Node as well.
+ * The seed is normalized first; mode, block size and palette rotation are
+ * derived from it unless overridden.
+ *
+ * @param {string} seedHex - The seed input (any string; non-hex is dropped).
+ * @param {Object} [options] - Explicit overrides; `null`/missing = seed-derived.
+ * @param {number|null} [options.version] - Generator version (see
+ *     generators.js); defaults to LEGACY_VERSION, like a link without `v`,
+ *     so callers keep their art when a new version ships.
+ * @param {string|null} [options.mode] - Registered mode name (see modes.js).
+ * @param {number|null} [options.block] - Block size of that generator.
+ * @param {number|null} [options.rot] - Palette rotation, 0..palette length-1.
+ * @param {string|string[]|null} [options.palette] - Preset name or 2..16
+ *     colours (see parsePalette); defaults to PALETTE_BASE.
+ * @param {number|null} [options.width] - Output width in pixels.
+ * @param {number|null} [options.height] - Output height in pixels.
+ * @param {number} [options.scale=1] - Render natively at scale times the
+ *     width and height (up to EXPORT_MAX px a side): same layout, finer
+ *     pixels, unlike upscaleNearest.
+ * @param {number} [options.samples=1] - Supersample each pixel on an
+ *     N x N grid (1..SAMPLES_MAX) and average the colours, for smooth
+ *     edges; `indices` then holds each pixel's most common sample.
+ * @param {number} [options.time=0] - Loop phase in [0, 1) for animated modes;
+ *     0 is the still image.
+ * @param {*} [options.composite] - Layer two modes through a mask mode
+ *     instead of rendering one mode (see parseComposite); takes precedence
+ *     over `mode`.
+ * @param {*} [options.tileable=false] - Make the canvas repeat
+ *     seamlessly. Only modes marked tileable can be used; a seed whose own
+ *     mode is not tileable picks one of the generator's tileable modes
+ *     instead, and naming any other mode is a RangeError.
+ * @param {(done: number) => void} [options.onProgress] - Called with the
+ *     finished fraction (0..1] after each band of rows.
+ * @param {Object<string, *>|null} [options.params] - Mode param values,
+ *     replacing the seed-derived values of every rendered mode (each
+ *     composite layer) that declares them; out-of-range values and params
+ *     no rendered mode declares are a RangeError.
+ * @returns {{version: number, seedHex: string, seed: number,
+ *     key: number|Uint32Array, mode: string,
+ *     modeName: string, params: Object<string, number>,
+ *     paramOverrides: Object<string, number>|null,
+ *     layers: Object|null, blockSize: number, rotation: number,
+ *     basePalette: string[], palette: string[], width: number,
+ *     height: number, unit: number, samples: number, tileable: boolean,
+ *     indices: Uint8Array, data: Uint8ClampedArray}} The resolved state and pixels; `palette` is
+ *     `basePalette` after rotation, `indices` holds the `palette` index of
+ *     every pixel and `unit` is output pixels per logical unit (block sizes
+ *     are in logical units). `params` are the resolved params of `mode`,
+ *     `paramOverrides` the explicit ones given (null when none).
+ *     For composites, `layers` holds the inside/mask/outside mode names,
+ *     `modeName` reads like `voronoi⊕rings/weave` and `mode` is the inside
+ *     mode. `seed` and `key` are what the generator derived from the
+ *     seed (see Generator.derive).
+ */
+export function renderTapestry(seedHex, options = {}) {
+    const {
+        version,
+        mode: modeIn,
+        block,
+        rot,
+        palette: paletteIn,
+        width,
+        height,
+        time = 0,
+        composite,
+        params: paramsIn,
+        onProgress,
+        scale = 1,
+        samples = 1,
+    } = options;
+    const given = (v) => v != null && v !== "";
+    const valid = parseOverrides(options);
+    const { tileable } = valid;
+    if (given(version) && valid.version === null)
+        throw new RangeError(
+            `version must be one of ${Object.keys(GENERATORS).join(", ")}`
+        );
+    const gen = GENERATORS[valid.version ?? LEGACY_VERSION];
+    if (given(paletteIn) && valid.palette === null)
+        throw new RangeError(
+            `palette must be a preset name or ${PALETTE_MIN}..${PALETTE_MAX} hex colours`
+        );
+    const basePalette = valid.palette ?? PALETTE_BASE;
+    if (given(modeIn) && valid.mode === null)
+        throw new RangeError(`unknown mode: ${modeIn}`);
+    if (given(block) && valid.block === null)
+        throw new RangeError(`block must be one of ${gen.blocks.join(", ")}`);
+    if (given(rot) && valid.rot === null)
+        throw new RangeError(`rot must be 0..${basePalette.length - 1}`);
+    if (
+        (given(width) && valid.width === null) ||
+        (given(height) && valid.height === null)
+    )
+        throw new RangeError(
+            `width and height must be integers in ${DIM_MIN}..${DIM_MAX}`
+        );
+    if (given(composite) && composite !== false && valid.composite === null)
+        throw new RangeError(
+            "composite must be auto or inside,mask,outside mode names"
+        );
+    if (!(time >= 0 && time < 1))
+        throw new RangeError("time must be in [0, 1)");
+    const W = (valid.width ?? CANVAS_W) * scale;
+    const H = (valid.height ?? CANVAS_H) * scale;
+    if (!Number.isInteger(scale) || scale < 1 || Math.max(W, H) > EXPORT_MAX)
+        throw new RangeError(
+            `scale must be an integer >= 1 giving at most ${EXPORT_MAX} px a side`
+        );
+    if (!Number.isInteger(samples) || samples < 1 || samples > SAMPLES_MAX)
+        throw new RangeError(`samples must be an integer in 1..${SAMPLES_MAX}`);
+
+    const hex = normalizeHex(seedHex);
+    const { key, seed } = gen.derive(hex);
+
+    // Deterministic block size and mode; tileable renders only pick from
+    // (and only accept) tileable modes
+    const tiles = (m) => getMode(m).tileable;
+    const modes = tileable ? gen.modes.filter(tiles) : gen.modes;
+    const blockSize = valid.block ?? gen.pickBlock(key);
+    const layers =
+        valid.composite &&
+        resolveComposite(
+            valid.composite,
+            seed,
+            modes,
+            tileable ? MASK_MODES.filter(tiles) : MASK_MODES
+        );
+    let mode = layers
+        ? layers.inside
+        : valid.mode !== null
+        ? valid.mode
+        : gen.pickMode(key);
+    if (tileable && !layers && valid.mode === null && !tiles(mode))
+        mode = modes[fmix32(seed + 0x711e) % modes.length];
+    const used = layers ? Object.values(layers) : [mode];
+    if (tileable && !used.every(tiles))
+        throw new RangeError(`${used.find((m) => !tiles(m))} is not tileable`);
+    const overrides = paramsIn ?? {};
+    for (const key of Object.keys(overrides))
+        if (!used.some((m) => Object.hasOwn(getMode(m).params, key)))
+            throw new RangeError(`unknown param ${key} for ${used.join(", ")}`);
+
+    // Deterministic palette rotation
+    const n = basePalette.length;
+    const rotation = valid.rot ?? gen.pickRotation(key, n);
+    const palette = basePalette.map((_, i) => basePalette[(i + rotation) % n]);
+
+    const data = new Uint8ClampedArray(W * H * 4);
+    const indices = new Uint8Array(W * H);
+
+    // Logical layout: the shorter side spans LOGICAL_SIZE units and pixel
+    // centres map onto it symmetrically, so mirrors and centres stay exact.
+    const unit = Math.min(W, H) / LOGICAL_SIZE;
+    const toLogical = pixelToLogical(unit);
+    const xs = Float64Array.from({ length: W }, (_, x) => toLogical(x));
+
+    // Build the color indexers of the modes in use
+    const ctx = modeContext(
+        seed,
+        blockSize,
+        n,
+        W / unit,
+        H / unit,
+        tileable,
+        key
+    );
+    const params = {};
+    const indexerFor = (name) => {
+        const m = getMode(name);
+        params[name] ??= resolveModeParams(
+            m,
+            ctx,
+            overrides,
+            gen.genome?.(key, name)
+        );
+        return m.build({ ...ctx, params: params[name] });
+    };
+    let colorIndexAt = indexerFor(mode);
+    if (layers) {
+        // even mask indices show the inside layer, odd ones the outside
+        const maskAt = indexerFor(layers.mask);
+        const outsideAt = indexerFor(layers.outside);
+        const insideAt = colorIndexAt;
+        colorIndexAt = (x, y, t) =>
+            (((maskAt(x, y, t) % n) + n) % n) % 2 === 0
+                ? insideAt(x, y, t)
+                : outsideAt(x, y, t);
+    }
+
+    const band = Math.max(1, Math.ceil(H / 64));
+    const progress = (y) => {
+        if (onProgress && ((y + 1) % band === 0 || y === H - 1))
+            onProgress((y + 1) / H);
+    };
+    if (samples > 1) {
+        supersample(colorIndexAt, time, palette, samples, toLogical, {
+            W,
+            H,
+            data,
+            indices,
+            progress,
+        });
+    } else {
+        // Blockwise modes are constant over each block cell, so a row (or run
+        // of columns) in the same cell as the previous one reuses its indices.
+        // (Tiling stretches the cells, so not when tileable.)
+        const blockwise = !layers && !tileable && getMode(mode).blockwise;
+        const cellOf = (v) => (v / blockSize) | 0;
+        const cellX = blockwise ? Int32Array.from(xs, cellOf) : null;
+
+        const rgba = packPalette(palette);
+        const pixels = new Uint32Array(data.buffer);
+        let prevCellY = NaN;
+        for (let y = 0; y < H; y++) {
+            const ly = toLogical(y);
+            const row = y * W;
+            if (blockwise && cellOf(ly) === prevCellY) {
+                indices.copyWithin(row, row - W, row);
+            } else {
+                for (let x = 0; x < W; x++) {
+                    if (blockwise && x && cellX[x] === cellX[x - 1]) {
+                        indices[row + x] = indices[row + x - 1];
+                        continue;
+                    }
+                    const cidx = colorIndexAt(xs[x], ly, time);
+                    indices[row + x] = ((cidx % n) + n) % n; // normalize
+                }
+                prevCellY = blockwise ? cellOf(ly) : NaN;
+            }
+            for (let x = 0; x < W; x++)
+                pixels[row + x] = rgba[indices[row + x]];
+            progress(y);
+        }
+    }
+
+    return {
+        version: gen.version,
+        seedHex: hex,
+        seed,
+        key,
+        mode,
+        modeName: layers ? compositeName(layers) : mode,
+        params: params[mode],
+        paramOverrides: parseParams(overrides),
+        layers,
+        blockSize,
+        rotation,
+        basePalette,
+        palette,
+        width: W,
+        height: H,
+        unit,
+        samples,
+        tileable,
+        time,
+        indices,
+        data,
+    };
+}
+
+/**
+ * Pixel coordinate -> logical coordinate (of the pixel centre) at `unit`
+ * pixels per logical unit; see the logical layout in renderTapestry.
+ */
+const pixelToLogical = (unit) => (p) => (p + 0.5) / unit - 0.5;
+
+/**
+ * Fill a render's pixels by averaging an N x N grid of samples per pixel
+ * (in sRGB, like canvas scaling); each pixel's index is its most common
+ * sample's, the first to lead on ties.
+ *
+ * @param {Function} colorIndexAt - (x, y, t) => palette index, logical units.
+ * @param {number} time - Loop phase.
+ * @param {string[]} palette - Colours as `#RRGGBB`.
+ * @param {number} samples - Samples per pixel side.
+ * @param {(p: number) => number} toLogical - Pixel coordinate (centre at
+ *     p + 0.5) -> logical coordinate.
+ * @param {{W: number, H: number, data: Uint8ClampedArray,
+ *     indices: Uint8Array, progress: Function}} out - Output buffers and the
+ *     per-row progress callback.
+ */
+function supersample(colorIndexAt, time, palette, samples, toLogical, out) {
+    const { W, H, data, indices, progress } = out;
+    const n = palette.length;
+    const rgb = palette.map((c) => parseInt(c.slice(1, 7), 16));
+    const R = Uint8Array.from(rgb, (v) => v >>> 16);
+    const G = Uint8Array.from(rgb, (v) => (v >>> 8) & 0xff);
+    const B = Uint8Array.from(rgb, (v) => v & 0xff);
+    const ss = samples * samples;
+    // sub-pixel offsets from the pixel centre
+    const offs = Array.from(
+        { length: samples },
+        (_, i) => (i + 0.5) / samples - 0.5
+    );
+    const xs = new Float64Array(W * samples);
+    for (let x = 0; x < W; x++)
+        for (let i = 0; i < samples; i++)
+            xs[x * samples + i] = toLogical(x + offs[i]);
+    const counts = new Uint32Array(n);
+
+    for (let y = 0; y < H; y++) {
+        const ys = offs.map((o) => toLogical(y + o));
+        for (let x = 0; x < W; x++) {
+            let r = 0,
+                g = 0,
+                b = 0,
+                best = 0;
+            counts.fill(0);
+            for (const ly of ys) {
+                for (let i = x * samples; i < (x + 1) * samples; i++) {
+                    let c = colorIndexAt(xs[i], ly, time);
+                    c = ((c % n) + n) % n;
+                    r += R[c];
+                    g += G[c];
+                    b += B[c];
+                    if (++counts[c] > counts[best]) best = c;
+                }
+            }
+            const p = y * W + x;
+            indices[p] = best;
+            data[p * 4] = r / ss;
+            data[p * 4 + 1] = g / ss;
+            data[p * 4 + 2] = b / ss;
+            data[p * 4 + 3] = 255;
+        }
+        progress(y);
+    }
+}
+
+/**
+ * Explain a render pixel by pixel, for inspecting why each pixel got its
+ * colour: its palette index and colour, and the mode's own cell it falls
+ * in (see ModeDescriptor.probe in modes.js).
+ *
+ * @param {Object} state - A renderTapestry result.
+ * @param {Object<string, *>|null} [params] - The `params` option the
+ *     render was given; defaults to the ones it recorded.
+ * @returns {(px: number, py: number) => ({x: number, y: number,
+ *     index: number, color: string, layer: string|null,
+ *     cell: Object<string, *>}|null)} Probe of the pixel at (px, py), null
+ *     outside the canvas. For composites, `layer` is `inside` or `outside`
+ *     (which side of the mask shows there) and `cell` is that layer's.
+ */
+export function probeTapestry(state, params = state.paramOverrides) {
+    const { seed, blockSize, palette, width: W, height: H, unit } = state;
+    const { layers, indices, time = 0 } = state;
+    const n = palette.length;
+    const ctx = modeContext(
+        seed,
+        blockSize,
+        n,
+        W / unit,
+        H / unit,
+        state.tileable,
+        state.key
+    );
+    const toLogical = pixelToLogical(unit);
+    const genome = getGenerator(state.version)?.genome;
+    const withParams = (m) => ({
+        ...ctx,
+        params: resolveModeParams(
+            m,
+            ctx,
+            params ?? {},
+            genome?.(state.key, m.name)
+        ),
+    });
+    const blockCell = (x, y) => ({
+        block: `${(x / blockSize) | 0},${(y / blockSize) | 0}`,
+    });
+    const probeFor = (name) => {
+        const m = getMode(name);
+        return m.probe ? m.probe(withParams(m)) : blockCell;
+    };
+
+    let layerAt = () => null;
+    let cellAt = probeFor(state.mode);
+    if (layers) {
+        const mask = getMode(layers.mask);
+        const maskAt = mask.build(withParams(mask));
+        const insideAt = cellAt;
+        const outsideAt = probeFor(layers.outside);
+        layerAt = (x, y) =>
+            (((maskAt(x, y, time) % n) + n) % n) % 2 === 0
+                ? "inside"
+                : "outside";
+        cellAt = (x, y, t) =>
+            layerAt(x, y) === "inside" ? insideAt(x, y, t) : outsideAt(x, y, t);
+    }
+
+    return (px, py) => {
+        if (!(px >= 0 && px < W && py >= 0 && py < H)) return null;
+        const x = Math.floor(px),
+            y = Math.floor(py);
+        const index = indices[y * W + x];
+        const lx = toLogical(x),
+            ly = toLogical(y);
+        return {
+            x,
+            y,
+            index,
+            color: palette[index],
+            layer: layerAt(lx, ly),
+            cell: cellAt(lx, ly, time),
+        };
+    };
+}
+
+/**
+ * Validate animation settings, falling back to the defaults for anything
+ * missing or out of range.
+ *
+ * @param {{frames?: *, fps?: *}} raw - Candidate values (strings or numbers).
+ * @returns {{frames: number, fps: number}} Valid frame count and rate.
+ */
+export function parseAnimation({ frames, fps } = {}) {
+    const int = (v, lo, hi, dflt) => {
+        const n = v == null || v === "" ? NaN : Number(v);
+        return Number.isInteger(n) && n >= lo && n <= hi ? n : dflt;
+    };
+    return {
+        frames: int(frames, 1, ANIM_MAX_FRAMES, ANIM_FRAMES),
+        fps: int(fps, 1, ANIM_MAX_FPS, ANIM_FPS),
+    };
+}
+
+/**
+ * Check whether a render result moves when animated: its mode, or for a
+ * composite any of its layers, is an animated mode.
+ *
+ * @param {{modeName: string, layers: Object|null}} result - Render result.
+ * @returns {boolean} True if frames past t = 0 differ from the still.
+ */
+export function isAnimated({ modeName, layers }) {
+    const modes = layers ? Object.values(layers) : [modeName];
+    return modes.some((m) => getMode(m)?.animated);
+}
+
+/**
+ * Render every frame of a seamless animation loop: frame f is rendered at
+ * time f / frames, so frame 0 is the still image.
+ *
+ * @param {string} seedHex - The seed input.
+ * @param {Object} [options] - Same options as renderTapestry (minus time).
+ * @param {number} [frames=ANIM_FRAMES] - Number of frames in the loop.
+ * @returns {Object[]} One renderTapestry result per frame.
+ */
+export function renderAnimation(seedHex, options = {}, frames = ANIM_FRAMES) {
+    if (!Number.isInteger(frames) || frames < 1 || frames > ANIM_MAX_FRAMES)
+        throw new RangeError(`frames must be in 1..${ANIM_MAX_FRAMES}`);
+    return Array.from({ length: frames }, (_, f) =>
+        renderTapestry(seedHex, { ...options, time: f / frames })
+    );
+}
+
+/**
+ * Upscale a pixel buffer by an integer factor with nearest-neighbour
+ * sampling, keeping the pixel-art look. Works on RGBA data (4 bytes per
+ * pixel) and palette index buffers (1 byte per pixel).
+ *
+ * @param {Uint8ClampedArray|Uint8Array} data - Source pixels.
+ * @param {number} width - Source width.
+ * @param {number} height - Source height.
+ * @param {number} scale - Integer scale factor (>= 1).
+ * @returns {Uint8ClampedArray|Uint8Array} The upscaled pixels, same type.
+ */
+export function upscaleNearest(data, width, height, scale) {
+    if (scale === 1) return data;
+    const w = width * scale;
+    const bpp = data.length / (width * height);
+    const out = new data.constructor(w * height * scale * bpp);
+    const View = bpp === 4 ? Uint32Array : Uint8Array;
+    const src = new View(data.buffer, data.byteOffset, width * height);
+    const dst = new View(out.buffer);
+    for (let y = 0; y < height * scale; y++) {
+        const sy = (y / scale) | 0;
+        for (let x = 0; x < w; x++) {
+            dst[y * w + x] = src[sy * width + ((x / scale) | 0)];
+        }
+    }
+    return out;
+}
+
+/**
+ * Build the export filename for a rendered tapestry.
+ *
+ * @param {{seedHex: string, modeName: string}} state - Render result.
+ * @param {number} w - Exported width in pixels.
+ * @param {number} h - Exported height in pixels.
+ * @param {string} [ext="png"] - File extension.
+ * @returns {string} e.g. `entropy-deadbeef-rings-512x512.png`, or
+ *     `entropy-deadbeef-voronoi+rings+weave-512x512.png` for a composite.
+ */
+export function exportFileName(state, w, h, ext = "png") {
+    const seedPart = state.seedHex || "seed";
+    const modePart = (state.modeName || "mode").replace(/[⊕/]/g, "+");
+    return `entropy-${seedPart}-${modePart}-${w}x${h}.${ext}`;
+}
+
+/**
+ * The settings that reproduce an export, as PNG text chunks (see
+ * encodePNG): generator version, seed, mode (or composite layers),
+ * explicit mode params, block size, palette rotation, palette, canvas size
+ * and export scale, each under a `CyberTapestry:` keyword.
+ *
+ * @param {Object} state - renderTapestry result at the canvas size
+ *     (before any export scaling).
+ * @param {Object} [options]
+ * @param {number} [options.scale=1] - Export scale.
+ * @param {number|null} [options.samples=null] - Samples per pixel side of
+ *     a native (smooth) export; null for upscaled pixel art.
+ * @param {{frames: number, fps: number}|null} [options.animation=null] -
+ *     Loop settings of an animated export.
+ * @param {{raw: string, format: string}|null} [options.input=null] - The
+ *     seed as typed and its format, for seeds entered as something other
+ *     than hex.
+ * @returns {Object<string, string>} Keyword -> value.
+ */
+export function exportMetadata(
+    state,
+    { scale = 1, samples = null, animation = null, input = null } = {}
+) {
+    const meta = {
+        version: state.version,
+        seed: state.seedHex,
+        ...(state.layers
+            ? { composite: compositeParam(state.layers) }
+            : { mode: state.mode }),
+        ...(state.paramOverrides && {
+            params: paramsParam(state.paramOverrides),
+        }),
+        block: state.blockSize,
+        rotation: state.rotation,
+        palette: state.basePalette.join(","),
+        width: state.width,
+        height: state.height,
+        ...(state.tileable && { tileable: 1 }),
+        scale,
+        ...(samples !== null && { samples }),
+        ...animation,
+        ...(input && { input: input.raw, format: input.format }),
+    };
+    return {
+        Software: "Cyber Tapestry",
+        ...Object.fromEntries(
+            Object.entries(meta).map(([k, v]) => [META_PREFIX + k, String(v)])
+        ),
+    };
+}
+
+/**
+ * Read back the settings exportMetadata wrote (see readPNGText).
+ *
+ * @param {Object<string, string>} text - PNG text chunks.
+ * @returns {{seedHex: string, input: {raw: string, format: string}|null,
+ *     overrides: Object, scale: number, samples: number|null,
+ *     animation: {frames: number, fps: number}|null}|null} The settings,
+ *     `overrides` as parseOverrides returns them; null when the text holds
+ *     no tapestry seed.
+ */
+export function parseExportMetadata(text) {
+    const get = (k) => text[META_PREFIX + k];
+    if (get("seed") === undefined) return null;
+    const scale = Number(get("scale"));
+    const samples = Number(get("samples"));
+    return {
+        seedHex: normalizeHex(get("seed")),
+        input:
+            get("input") === undefined
+                ? null
+                : { raw: get("input"), format: get("format") },
+        overrides: parseOverrides({
+            version: get("version"),
+            mode: get("mode"),
+            block: get("block"),
+            rot: get("rotation"),
+            palette: get("palette"),
+            width: get("width"),
+            height: get("height"),
+            composite: get("composite"),
+            tileable: get("tileable"),
+            params: get("params"),
+        }),
+        scale: Number.isInteger(scale) && scale >= 1 ? scale : 1,
+        samples:
+            Number.isInteger(samples) && samples >= 1 && samples <= SAMPLES_MAX
+                ? samples
+                : null,
+        animation:
+            get("frames") === undefined
+                ? null
+                : parseAnimation({ frames: get("frames"), fps: get("fps") }),
+    };
+}
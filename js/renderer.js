@@ -0,0 +1,171 @@
+import { renderTapestry } from "./render.js";
+import { parseComposite } from "./composite.js";
+import { BUILTIN_MODES } from "./patterns.js";
+
+/**
+ * Off-main-thread rendering: renderTapestry in a Web Worker (worker.js),
+ * with progress and cancellation.
+ *
+ * Jobs run one at a time in submission order. Cancelling a job that is
+ * still queued just drops it; cancelling the running one terminates the
+ * worker (a render is one synchronous loop and cannot be interrupted
+ * otherwise) and the next job starts a fresh one.
+ *
+ * Where workers are unavailable (Node, pages opened from file://) jobs run
+ * on the calling thread instead, as do jobs using modes registered on this
+ * thread with registerMode(): the worker only knows the built-ins.
+ */
+
+const BUILTIN = new Set(BUILTIN_MODES.map((m) => m.name));
+
+const ERRORS = { RangeError, TypeError };
+
+const cancelled = () => new DOMException("render cancelled", "AbortError");
+
+/**
+ * Check whether every mode named in the options is known to the worker.
+ */
+function workerCanRender({ mode, composite }) {
+    const names = [mode, ...Object.values(parseComposite(composite) ?? {})];
+    return names.every((m) => m == null || m === "" || BUILTIN.has(m));
+}
+
+/**
+ * Create a renderer backed by its own worker (started on first use).
+ *
+ * @returns {{render: Function, terminate: Function}} `render(seedHex,
+ *     options, {onProgress, signal})` resolves to `{result, bitmap}`: the
+ *     renderTapestry result and, when rendered in a worker with
+ *     OffscreenCanvas support, an ImageBitmap of it (else null). It rejects
+ *     with an `AbortError` DOMException when `signal` aborts first, and with
+ *     renderTapestry's own errors for bad options. `terminate()` stops the
+ *     worker and cancels every pending job.
+ */
+export function createRenderer() {
+    const queue = [];
+    let worker = null;
+    let broken = typeof Worker !== "function";
+    let running = null;
+    let nextId = 0;
+
+    const renderHere = (job) => {
+        try {
+            const result = renderTapestry(job.seedHex, {
+                ...job.options,
+                onProgress: job.onProgress,
+            });
+            job.resolve({ result, bitmap: null });
+        } catch (err) {
+            job.reject(err);
+        }
+    };
+
+    const stopWorker = () => {
+        worker?.terminate();
+        worker = null;
+    };
+
+    const startWorker = () => {
+        try {
+            worker = new Worker(new URL("./worker.js", import.meta.url), {
+                type: "module",
+            });
+        } catch {
+            broken = true;
+            return null;
+        }
+        worker.addEventListener("message", ({ data }) => {
+            const job = running;
+            if (!job || data.id !== job.id) return;
+            if (data.progress !== undefined) {
+                job.onProgress?.(data.progress);
+                return;
+            }
+            running = null;
+            if (data.error) {
+                const E = ERRORS[data.error.name] ?? Error;
+                job.reject(new E(data.error.message));
+            } else {
+                job.resolve({ result: data.result, bitmap: data.bitmap });
+            }
+            pump();
+        });
+        // the worker failed to load: fall back to this thread for good
+        worker.addEventListener("error", (e) => {
+            e.preventDefault?.();
+            broken = true;
+            stopWorker();
+            const job = running;
+            running = null;
+            if (job) queue.unshift(job);
+            pump();
+        });
+        return worker;
+    };
+
+    function pump() {
+        if (running || !queue.length) return;
+        const job = queue.shift();
+        if (broken || !workerCanRender(job.options)) {
+            renderHere(job);
+            // later jobs wait for the next turn, like worker jobs would
+            queueMicrotask(pump);
+            return;
+        }
+        if (!worker && !startWorker()) {
+            queue.unshift(job);
+            return pump();
+        }
+        running = job;
+        worker.postMessage({
+            id: job.id,
+            seedHex: job.seedHex,
+            options: job.options,
+        });
+    }
+
+    function render(seedHex, options = {}, { onProgress, signal } = {}) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) return reject(cancelled());
+            const onAbort = () => {
+                if (running === job) {
+                    running = null;
+                    stopWorker();
+                } else {
+                    const i = queue.indexOf(job);
+                    if (i < 0) return; // already finished
+                    queue.splice(i, 1);
+                }
+                job.reject(cancelled());
+                pump();
+            };
+            // a signal can outlive many jobs (a batch): drop the listener
+            // once this one settles
+            const settle = (fn) => (value) => {
+                signal?.removeEventListener("abort", onAbort);
+                fn(value);
+            };
+            const job = {
+                id: ++nextId,
+                seedHex,
+                options,
+                onProgress,
+                resolve: settle(resolve),
+                reject: settle(reject),
+            };
+            signal?.addEventListener("abort", onAbort, { once: true });
+            queue.push(job);
+            queueMicrotask(pump);
+        });
+    }
+
+    function terminate() {
+        stopWorker();
+        const jobs = running ? [running, ...queue] : queue.slice();
+        running = null;
+        queue.length = 0;
+        for (const job of jobs) job.reject(cancelled());
+    }
+
+    return { render, terminate };
+}
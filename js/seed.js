@@ -0,0 +1,123 @@
+import { SEED_FORMATS } from "./constants.js";
+import { normalizeHex } from "./utils.js";
+
+const HEX_RE = /^(0x)?[0-9a-f\s]+$/i;
+const UUID_RE =
+    /^(urn:uuid:)?\{?[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\}?$/i;
+const COLON_HEX_RE = /^[0-9a-f]{2}(:[0-9a-f]{2})+$/i;
+const SSH_RE =
+    /^(SHA256:[A-Za-z0-9+/]{43}=?|MD5:[0-9a-f]{2}(:[0-9a-f]{2}){15})$/i;
+const BASE64_RE = /^[A-Za-z0-9+/_-]+={0,2}$/;
+
+/**
+ * Convert bytes to lowercase hex.
+ */
+function bytesToHex(bytes) {
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Decode base64 or base64url (padding optional) to hex.
+ *
+ * @param {string} s - The encoded string.
+ * @returns {string|null} Hex of the decoded bytes, or null if invalid.
+ */
+function base64ToHex(s) {
+    let b64 = s.replace(/-/g, "+").replace(/_/g, "/").replace(/=+$/, "");
+    if (b64.length % 4 === 1 || !/^[A-Za-z0-9+/]+$/.test(b64)) return null;
+    b64 += "=".repeat((4 - (b64.length % 4)) % 4);
+    try {
+        return bytesToHex(Uint8Array.from(atob(b64), (c) => c.charCodeAt(0)));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * SHA-256 of a string's UTF-8 bytes, as hex. Uses SubtleCrypto; Node 18
+ * only exposes it through node:crypto.
+ */
+async function sha256Hex(text) {
+    const subtle =
+        globalThis.crypto?.subtle ??
+        (await import("node:crypto")).webcrypto.subtle;
+    const digest = await subtle.digest(
+        "SHA-256",
+        new TextEncoder().encode(text)
+    );
+    return bytesToHex(new Uint8Array(digest));
+}
+
+/**
+ * Guess the format of a seed input. Hex wins whenever the input is pure hex
+ * (so existing seeds keep rendering the same); base64 is only assumed for
+ * long strings that look encoded: a whole number of 4-character groups,
+ * either `=`-padded or mixing upper case, lower case and digits, in one
+ * alphabet (not `+`/`/` together with `-`/`_`). Anything else, e.g.
+ * `user_name` or `owner/repo` slugs, is text.
+ *
+ * @param {string} input - The raw seed input.
+ * @returns {string} One of SEED_FORMATS other than "auto".
+ */
+export function detectSeedFormat(input) {
+    const s = String(input ?? "").trim();
+    if (s === "" || HEX_RE.test(s)) return "hex";
+    if (UUID_RE.test(s)) return "uuid";
+    if (SSH_RE.test(s)) return "ssh";
+    if (COLON_HEX_RE.test(s)) return "colon-hex";
+    const encoded =
+        s.length % 4 === 0 &&
+        (s.endsWith("=") ||
+            (/[a-z]/.test(s) && /[A-Z]/.test(s) && /[0-9]/.test(s)));
+    const mixedAlphabets = /[+/]/.test(s) && /[_-]/.test(s);
+    if (
+        s.length >= 16 &&
+        BASE64_RE.test(s) &&
+        encoded &&
+        !mixedAlphabets &&
+        base64ToHex(s)
+    )
+        return "base64";
+    return "text";
+}
+
+/**
+ * Turn a seed input into the hex string the generator works on.
+ * - `hex`: non-hex characters are dropped (normalizeHex).
+ * - `text`: SHA-256 of the UTF-8 text, so every string gets a full seed.
+ * - `base64`: the decoded bytes (standard or url-safe alphabet).
+ * - `uuid`: the 32 hex digits, without dashes, braces or `urn:uuid:`.
+ * - `ssh`: the digest bytes of a `SHA256:...` or `MD5:aa:bb:...` key
+ *   fingerprint.
+ * - `colon-hex`: the hex bytes of `aa:bb:cc...`.
+ * Surrounding whitespace is ignored in every format.
+ *
+ * @param {string} input - The raw seed input.
+ * @param {string} [format="auto"] - One of SEED_FORMATS.
+ * @returns {Promise<{format: string, hex: string}>} The format used (never
+ *     "auto") and the normalized hex seed.
+ */
+export async function resolveSeed(input, format = "auto") {
+    if (!SEED_FORMATS.includes(format))
+        throw new RangeError(`seed format must be one of ${SEED_FORMATS}`);
+    const s = String(input ?? "").trim();
+    const fmt = format === "auto" ? detectSeedFormat(s) : format;
+    const fail = () => {
+        throw new RangeError(`not a valid ${fmt} seed: ${s}`);
+    };
+
+    let hex;
+    if (fmt === "hex") hex = s;
+    else if (fmt === "text") hex = await sha256Hex(s);
+    else if (fmt === "base64") hex = base64ToHex(s) ?? fail();
+    else if (fmt === "uuid")
+        hex = UUID_RE.test(s) ? s.replace(/^urn:uuid:|[{}-]/gi, "") : fail();
+    else if (fmt === "ssh")
+        hex = !SSH_RE.test(s)
+            ? fail()
+            : /^MD5:/i.test(s)
+            ? s.slice(4).replace(/:/g, "")
+            : base64ToHex(s.slice(7));
+    else hex = COLON_HEX_RE.test(s) ? s.replace(/:/g, "") : fail();
+    return { format: fmt, hex: normalizeHex(hex) };
+}
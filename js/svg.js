@@ -0,0 +1,376 @@
+import { TAU } from "./utils.js";
+import { getMode, modeContext } from "./modes.js";
+
+/**
+ * Vector (SVG) export of a rendered tapestry.
+ *
+ * Geometric modes are rebuilt from real shapes (circles, polygons, arcs) and
+ * coloured by sampling the mode's own indexer inside each shape, so colours
+ * always agree with the raster. Everything else is traced from the palette
+ * index buffer into merged rectangles.
+ *
+ * Coordinates: the indexers are evaluated at integer pixel positions, i.e. at
+ * pixel centres, so indexer point (x, y) sits at (x + 0.5, y + 0.5) in the SVG.
+ */
+
+const f = (v) => +v.toFixed(3);
+
+const escapeXml = (s) =>
+    String(s).replace(
+        /[<>&"']/g,
+        (c) =>
+            ({
+                "<": "&lt;",
+                ">": "&gt;",
+                "&": "&amp;",
+                '"': "&quot;",
+                "'": "&apos;",
+            }[c])
+    );
+
+/**
+ * Find the most frequent value in an index grid.
+ */
+function dominant(grid, n) {
+    const counts = new Uint32Array(n);
+    for (let i = 0; i < grid.length; i++) counts[grid[i]]++;
+    let best = 0;
+    for (let i = 1; i < n; i++) if (counts[i] > counts[best]) best = i;
+    return best;
+}
+
+/**
+ * Greedily cover a grid of palette indices with maximal same-colour
+ * rectangles, skipping the background index.
+ *
+ * @param {Uint8Array} grid - Palette index per cell, row-major.
+ * @param {number} cols - Grid width in cells.
+ * @param {number} rows - Grid height in cells.
+ * @param {number} bg - Index painted by the background rect.
+ * @returns {{x: number, y: number, w: number, h: number, c: number}[]}
+ *     Rectangles in cell units.
+ */
+function mergeRects(grid, cols, rows, bg) {
+    const done = new Uint8Array(grid.length);
+    const out = [];
+    for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < cols; x++) {
+            const i = y * cols + x;
+            const c = grid[i];
+            if (done[i] || c === bg) continue;
+            let w = 1;
+            while (x + w < cols && !done[i + w] && grid[i + w] === c) w++;
+            let h = 1;
+            grow: while (y + h < rows) {
+                const row = (y + h) * cols + x;
+                for (let k = 0; k < w; k++)
+                    if (done[row + k] || grid[row + k] !== c) break grow;
+                h++;
+            }
+            for (let yy = y; yy < y + h; yy++)
+                done.fill(1, yy * cols + x, yy * cols + x + w);
+            out.push({ x, y, w, h, c });
+        }
+    }
+    return out;
+}
+
+/**
+ * Collects shapes per palette index so each colour becomes one <g fill>.
+ * Shapes in a later layer (see flush) paint over earlier ones.
+ */
+function shapeSink(palette) {
+    const layers = [];
+    let groups = palette.map(() => []);
+    let bg = null;
+    return {
+        background(c) {
+            bg = c;
+        },
+        add(c, el) {
+            groups[c].push(el);
+        },
+        flush() {
+            layers.push(groups);
+            groups = palette.map(() => []);
+        },
+        toString(W, H) {
+            this.flush();
+            let s =
+                bg === null
+                    ? ""
+                    : `<rect width="${W}" height="${H}" fill="${palette[bg]}"/>`;
+            for (const layer of layers)
+                layer.forEach((els, c) => {
+                    if (els.length)
+                        s += `<g fill="${palette[c]}">${els.join("")}</g>`;
+                });
+            return s;
+        },
+    };
+}
+
+/**
+ * Trace the raster into merged rects (block-grid and all non-geometric modes).
+ */
+function rectShapes(result, sink) {
+    const { indices, width: W, height: H, palette } = result;
+    const bg = dominant(indices, palette.length);
+    sink.background(bg);
+    for (const r of mergeRects(indices, W, H, bg))
+        sink.add(
+            r.c,
+            `<rect x="${r.x}" y="${r.y}" width="${r.w}" height="${r.h}"/>`
+        );
+}
+
+/**
+ * Concentric bands: paints discs from the outside in, one per colour change.
+ * `bounds` are the band edges in pixels from the centre.
+ */
+function radialShapes(ctx, bounds, sink) {
+    const { colorAt, cx, cy, rMax } = ctx;
+    const edges = [...new Set(bounds.filter((r) => r > 0 && r < rMax))].sort(
+        (a, b) => a - b
+    );
+    edges.push(rMax);
+    // band i spans [edges[i-1] (or 0), edges[i])
+    const bands = edges.map((r1, i) => {
+        const r0 = i ? edges[i - 1] : 0;
+        return { r1, c: colorAt(cx + (r0 + r1) / 2, cy) };
+    });
+    let outer = bands[bands.length - 1].c;
+    sink.background(outer);
+    for (let i = bands.length - 2; i >= 0; i--) {
+        if (bands[i].c === outer) continue;
+        outer = bands[i].c;
+        sink.add(
+            outer,
+            `<circle cx="${f(cx + 0.5)}" cy="${f(cy + 0.5)}" r="${f(
+                bands[i].r1
+            )}"/>`
+        );
+        sink.flush(); // inner discs must paint over outer ones
+    }
+}
+
+/**
+ * Annular sector path between radii r0..r1 and angles a0..a1 (< half turn).
+ */
+function sectorPath(cx, cy, r0, r1, a0, a1) {
+    const pt = (r, a) =>
+        `${f(cx + r * Math.cos(a))} ${f(cy + r * Math.sin(a))}`;
+    const outer = `M${pt(r1, a0)}A${f(r1)} ${f(r1)} 0 0 1 ${pt(r1, a1)}`;
+    if (r0 <= 0) return `<path d="${outer}L${f(cx)} ${f(cy)}Z"/>`;
+    return `<path d="${outer}L${pt(r0, a1)}A${f(r0)} ${f(r0)} 0 0 0 ${pt(
+        r0,
+        a0
+    )}Z"/>`;
+}
+
+const GEOMETRIC = {
+    rings(ctx, sink) {
+        const b = ctx.blockSize;
+        const bounds = [];
+        for (let r = b; r < ctx.rMax; r += b) bounds.push(r);
+        radialShapes(ctx, bounds, sink);
+    },
+
+    "bullseye-bold"(ctx, sink) {
+        const bandW = ctx.params.band;
+        const bounds = [];
+        for (let r = 0; r < ctx.rMax; r += bandW)
+            bounds.push(r, r + 1, r + bandW - 2, r + bandW);
+        radialShapes(ctx, bounds, sink);
+    },
+
+    sectors(ctx, sink) {
+        // sectors paired into wedges (the last one single if the count is
+        // odd), cut radially every block
+        const { colorAt, cx, cy, rMax, blockSize: b } = ctx;
+        const n = ctx.params.sectors;
+        for (let w = 0; w < n; w += 2) {
+            const a0 = (w / n) * TAU,
+                a1 = (Math.min(w + 2, n) / n) * TAU;
+            const am = (a0 + a1) / 2;
+            const sample = (r) =>
+                colorAt(cx + r * Math.cos(am), cy + r * Math.sin(am));
+            let r0 = 0,
+                c = sample(b / 2);
+            for (let r = b; ; r += b) {
+                const end = r >= rMax;
+                const next = end ? -1 : sample(r + b / 2);
+                if (end || next !== c) {
+                    sink.add(
+                        c,
+                        sectorPath(
+                            cx + 0.5,
+                            cy + 0.5,
+                            r0,
+                            end ? rMax : r,
+                            a0,
+                            a1
+                        )
+                    );
+                    if (end) break;
+                    r0 = r;
+                    c = next;
+                }
+            }
+        }
+    },
+
+    "dots-grid"(ctx, sink) {
+        const { colorAt, W, H } = ctx;
+        const { step, radius } = ctx.params;
+        const cols = Math.ceil(W / step),
+            rows = Math.ceil(H / step);
+        // background per cell, sampled at the cell corner (never in the dot)
+        const grid = new Uint8Array(cols * rows);
+        for (let by = 0; by < rows; by++)
+            for (let bx = 0; bx < cols; bx++)
+                grid[by * cols + bx] = colorAt(bx * step, by * step);
+        const bg = dominant(grid, ctx.paletteLen);
+        sink.background(bg);
+        for (const r of mergeRects(grid, cols, rows, bg))
+            sink.add(
+                r.c,
+                `<rect x="${r.x * step}" y="${r.y * step}" width="${
+                    r.w * step
+                }" height="${r.h * step}"/>`
+            );
+        sink.flush();
+        const rr = f(step * radius);
+        for (let by = 0; by < rows; by++) {
+            for (let bx = 0; bx < cols; bx++) {
+                const px = bx * step + step / 2,
+                    py = by * step + step / 2;
+                sink.add(
+                    colorAt(px, py),
+                    `<circle cx="${f(px + 0.5)}" cy="${f(
+                        py + 0.5
+                    )}" r="${rr}"/>`
+                );
+            }
+        }
+    },
+
+    "hex-tiles"(ctx, sink) {
+        // pointy-top hexes of radius s; centre of axial (q, r) is
+        // (s*sqrt3*(q + r/2), s*1.5*r)
+        const { colorAt, W, H } = ctx;
+        const s = ctx.params.size;
+        const sq3 = Math.sqrt(3);
+        const corners = [0, 1, 2, 3, 4, 5].map((i) => {
+            const a = (Math.PI / 180) * (60 * i - 30);
+            return [s * Math.cos(a), s * Math.sin(a)];
+        });
+        const rMaxRow = Math.ceil(H / (1.5 * s)) + 1;
+        for (let r = -1; r <= rMaxRow; r++) {
+            const qMin = Math.floor(-s / (s * sq3) - r / 2) - 1;
+            const qMax = Math.ceil((W + s) / (s * sq3) - r / 2) + 1;
+            for (let q = qMin; q <= qMax; q++) {
+                const hx = s * sq3 * (q + r / 2),
+                    hy = s * 1.5 * r;
+                if (hx < -s || hx > W + s || hy < -s || hy > H + s) continue;
+                const pts = corners
+                    .map(
+                        ([dx, dy]) => `${f(hx + dx + 0.5)},${f(hy + dy + 0.5)}`
+                    )
+                    .join(" ");
+                sink.add(colorAt(hx, hy), `<polygon points="${pts}"/>`);
+            }
+        }
+    },
+};
+
+/**
+ * Check whether a mode is exported as true geometry rather than rects.
+ *
+ * @param {string} modeName - Registered mode name.
+ * @returns {boolean} True for circle/polygon/path based modes.
+ */
+export function isGeometricMode(modeName) {
+    return Object.hasOwn(GEOMETRIC, modeName);
+}
+
+/**
+ * Export a render result as an SVG document.
+ *
+ * @param {Object} result - The object returned by renderTapestry().
+ * @param {Object} [options]
+ * @param {number} [options.scale=4] - Displayed size multiplier for the
+ *     width/height attributes; the drawing itself is resolution independent.
+ * @returns {string} The SVG markup.
+ */
+export function renderSVG(result, { scale = 4 } = {}) {
+    const { width, height, unit, palette, modeName } = result;
+    const sink = shapeSink(palette);
+
+    // geometry is drawn in logical units, traced rects in output pixels;
+    // tiling stretches the grids the geometry assumes, so trace those
+    const shapes = result.tileable ? null : GEOMETRIC[modeName];
+    const W = shapes ? width / unit : width;
+    const H = shapes ? height / unit : height;
+    if (shapes) {
+        const n = palette.length;
+        const indexAt = getMode(result.mode).build({
+            ...modeContext(
+                result.seed,
+                result.blockSize,
+                n,
+                W,
+                H,
+                false,
+                result.key
+            ),
+            params: result.params,
+        });
+        // radial modes may be moved off the centre by offsetX/offsetY
+        const { offsetX = 0, offsetY = 0 } = result.params;
+        const ctx = {
+            colorAt: (x, y) => ((indexAt(x, y) % n) + n) % n,
+            cx: (W - 1) / 2 + offsetX,
+            cy: (H - 1) / 2 + offsetY,
+            rMax: Math.hypot(W, H) / 2 + Math.hypot(offsetX, offsetY) + 1,
+            W,
+            H,
+            blockSize: result.blockSize,
+            paletteLen: n,
+            params: result.params,
+        };
+        shapes(ctx, sink);
+    } else {
+        rectShapes(result, sink);
+    }
+
+    const meta = {
+        version: result.version,
+        seed: result.seedHex,
+        mode: modeName,
+        block: result.blockSize,
+        rotation: result.rotation,
+        palette: result.basePalette.join(","),
+        width,
+        height,
+        ...(result.tileable && { tileable: true }),
+    };
+    const attrs = Object.entries(meta)
+        .map(([k, v]) => `${k}="${escapeXml(v)}"`)
+        .join(" ");
+
+    return (
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${f(W)} ${f(
+            H
+        )}" ` +
+        `width="${width * scale}" height="${height * scale}"` +
+        (shapes ? "" : ` shape-rendering="crispEdges"`) +
+        ">" +
+        `<title>Cyber Tapestry ${escapeXml(
+            result.seedHex || "(empty)"
+        )}</title>` +
+        `<metadata><ct:tapestry xmlns:ct="https://knightchaser.github.io/CyberTapestry" ${attrs}/></metadata>` +
+        sink.toString(f(W), f(H)) +
+        "</svg>\n"
+    );
+}
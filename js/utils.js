@@ -93,6 +93,103 @@ export function hexToSeed32(hex) {
     return h >>> 0;
 }
 
+/**
+ * Convert a hex string to a 128-bit key with MurmurHash3 (x86, 128-bit).
+ * Unlike hexToSeed32, every digit and the length count: `abc`, `0abc` and
+ * `abc0` are three different keys.
+ *
+ * @param {string} hex - The hex string to hash (normalized).
+ * @returns {Uint32Array} The key, four 32-bit words.
+ */
+export function hexToKey128(hex) {
+    const padded = hex.length % 2 ? hex + "0" : hex;
+    const bytes = new Uint8Array(padded.length / 2);
+    for (let i = 0; i < bytes.length; i++)
+        bytes[i] = parseInt(padded.slice(2 * i, 2 * i + 2), 16);
+    return murmur3x128(bytes, hex.length);
+}
+
+const rotl32 = (x, r) => (x << r) | (x >>> (32 - r));
+
+/**
+ * MurmurHash3_x86_128 of a byte array.
+ *
+ * @param {Uint8Array} bytes - The data.
+ * @param {number} [seed=0] - 32-bit hash seed.
+ * @returns {Uint32Array} The hash as words h1..h4.
+ */
+function murmur3x128(bytes, seed = 0) {
+    // per-lane constants: k multipliers and rotations, h rotations and adds
+    const C = [0x239b961b, 0xab0e9789, 0x38b34ae5, 0xa1e38b93];
+    const R = [15, 16, 17, 18];
+    const HR = [19, 17, 15, 13];
+    const ADD = [0x561ccd1b, 0x0bcaa747, 0x96cd1c35, 0x32ac3b17];
+    const h = Uint32Array.of(seed, seed, seed, seed);
+    const len = bytes.length;
+    const mixK = (k, i) =>
+        Math.imul(rotl32(Math.imul(k, C[i]), R[i]), C[(i + 1) & 3]);
+    const word = (p) =>
+        bytes[p] |
+        (bytes[p + 1] << 8) |
+        (bytes[p + 2] << 16) |
+        (bytes[p + 3] << 24);
+
+    const blocks = len & ~15;
+    for (let p = 0; p < blocks; p += 16) {
+        for (let i = 0; i < 4; i++) {
+            h[i] ^= mixK(word(p + 4 * i), i);
+            h[i] = rotl32(h[i], HR[i]) + h[(i + 1) & 3];
+            h[i] = Math.imul(h[i], 5) + ADD[i];
+        }
+    }
+
+    // tail: up to 15 bytes, little-endian into k1..k4
+    const k = new Uint32Array(4);
+    for (let p = blocks; p < len; p++)
+        k[(p - blocks) >> 2] |= bytes[p] << (((p - blocks) & 3) * 8);
+    for (let i = 0; i < 4; i++) if (len - blocks > 4 * i) h[i] ^= mixK(k[i], i);
+
+    // finalization
+    for (let i = 0; i < 4; i++) h[i] ^= len;
+    h[0] += h[1] + h[2] + h[3];
+    h[1] += h[0];
+    h[2] += h[0];
+    h[3] += h[0];
+    for (let i = 0; i < 4; i++) h[i] = fmix32(h[i]);
+    h[0] += h[1] + h[2] + h[3];
+    h[1] += h[0];
+    h[2] += h[0];
+    h[3] += h[0];
+    return h;
+}
+
+/**
+ * Seeded PRNG stream over a 128-bit key (xoshiro128**): the same key and
+ * salt always give the same sequence of 32-bit words, and different salts
+ * give independent streams of one key.
+ *
+ * @param {ArrayLike<number>} key - Four 32-bit words (see hexToKey128).
+ * @param {number} [salt=0] - Stream number.
+ * @returns {() => number} Draws the next 32-bit unsigned word.
+ */
+export function keyStream(key, salt = 0) {
+    const s = Uint32Array.from({ length: 4 }, (_, i) =>
+        fmix32((key[i] ^ Math.imul(salt + 1, 0x9e3779b9)) + i * 0x632be5ab)
+    );
+    if (!(s[0] | s[1] | s[2] | s[3])) s[0] = 1; // the all-zero state is stuck
+    return () => {
+        const out = Math.imul(rotl32(Math.imul(s[1], 5), 7), 9) >>> 0;
+        const t = s[1] << 9;
+        s[2] ^= s[0];
+        s[3] ^= s[1];
+        s[1] ^= s[2];
+        s[0] ^= s[3];
+        s[2] ^= t;
+        s[3] = rotl32(s[3], 11);
+        return out;
+    };
+}
+
 /**
  * Apply Murmur3-style finalization mix to a 32-bit integer.
  * Improves the distribution of hash values.
@@ -113,15 +210,25 @@ export function fmix32(a) {
  * Generate a 2D hash value from a seed and x,y coordinates.
  * Uses a combination of multiplication and XOR operations for good distribution.
  *
- * @param {number} seed - The initial seed value.
+ * @param {number|ArrayLike<number>} seed - The initial seed value: a 32-bit
+ *     seed, or a 128-bit key (see hexToKey128), every word of which changes
+ *     the hash at every (x, y).
  * @param {number} x - The x coordinate.
  * @param {number} y - The y coordinate.
  * @returns {number} 32-bit unsigned integer hash value.
  */
 export function hash2D(seed, x, y) {
-    let n = (seed + Math.imul((x | 0) + 0x9e3779b9, 0x85ebca6b)) >>> 0;
+    const wide = typeof seed !== "number";
+    let n =
+        ((wide ? seed[0] : seed) +
+            Math.imul((x | 0) + 0x9e3779b9, 0x85ebca6b)) >>>
+        0;
     n ^= Math.imul((y | 0) + 0x9e3779b9, 0xc2b2ae35);
-    return fmix32(n);
+    if (!wide) return fmix32(n);
+    // fmix32 is a bijection, so each word reaches the output
+    n = fmix32(fmix32(n) + seed[1]);
+    n = fmix32(n ^ seed[2]);
+    return fmix32(n + seed[3]);
 }
 
 /**
@@ -132,7 +239,8 @@ export function hash2D(seed, x, y) {
  * @returns {string} Random hexadecimal string of the specified length.
  */
 export function randomHex(len = 32) {
-    if (window.crypto?.getRandomValues) {
+    const crypto = globalThis.crypto;
+    if (crypto?.getRandomValues) {
         const bytes = new Uint8Array(Math.ceil(len / 2));
         crypto.getRandomValues(bytes);
         return Array.from(bytes, (b) => b.toString(16).padStart(2, "0"))
@@ -0,0 +1,43 @@
+import { renderTapestry } from "./render.js";
+
+/**
+ * Render worker, driven by createRenderer() in renderer.js.
+ *
+ * Each message `{id, seedHex, options}` is one renderTapestry call. The
+ * worker posts `{id, progress}` as bands of rows finish, then `{id, result,
+ * bitmap}` with the pixel buffers transferred (and, where OffscreenCanvas
+ * exists, the pixels already uploaded into an ImageBitmap ready for
+ * drawImage), or `{id, error}` if the options were rejected.
+ */
+
+/**
+ * Upload a render into an ImageBitmap, or null without OffscreenCanvas.
+ */
+function toBitmap({ data, width, height }) {
+    if (typeof OffscreenCanvas !== "function") return null;
+    const canvas = new OffscreenCanvas(width, height);
+    canvas
+        .getContext("2d")
+        .putImageData(new ImageData(data, width, height), 0, 0);
+    return canvas.transferToImageBitmap();
+}
+
+self.addEventListener("message", ({ data: { id, seedHex, options } }) => {
+    let result;
+    try {
+        result = renderTapestry(seedHex, {
+            ...options,
+            onProgress: (progress) => self.postMessage({ id, progress }),
+        });
+    } catch (err) {
+        self.postMessage({
+            id,
+            error: { name: err.name, message: err.message },
+        });
+        return;
+    }
+    const bitmap = toBitmap(result);
+    const transfer = [result.data.buffer, result.indices.buffer];
+    if (bitmap) transfer.push(bitmap);
+    self.postMessage({ id, result, bitmap }, transfer);
+});
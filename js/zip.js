@@ -0,0 +1,99 @@
+import { crc32, deflateRaw } from "./deflate.js";
+import { concatBytes } from "./png.js";
+
+/**
+ * Small, dependency-free ZIP writer for the batch export: files are stored
+ * or deflated (see deflate.js), names are UTF-8, no ZIP64 (archives stay
+ * under 4 GiB).
+ */
+
+/**
+ * MS-DOS date and time fields of a local time (2-second resolution).
+ */
+function dosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time:
+            (date.getHours() << 11) |
+            (date.getMinutes() << 5) |
+            (date.getSeconds() >> 1),
+        day:
+            ((year - 1980) << 9) |
+            ((date.getMonth() + 1) << 5) |
+            date.getDate(),
+    };
+}
+
+/**
+ * Encode a ZIP archive.
+ *
+ * @param {{name: string, data: Uint8Array|string, compress?: boolean}[]}
+ *     files - Archive members in order; strings are written as UTF-8.
+ *     `compress` deflates the data (kept only when that makes it
+ *     smaller); leave it off for already-compressed data such as PNGs.
+ * @param {Object} [options]
+ * @param {Date} [options.date=new Date()] - Modification time of every file.
+ * @returns {Uint8Array} The archive bytes.
+ * @throws {RangeError} For duplicate names.
+ */
+export function encodeZip(files, { date = new Date() } = {}) {
+    const enc = new TextEncoder();
+    const { time, day } = dosDateTime(date);
+    const local = [];
+    const central = [];
+    const seen = new Set();
+    let offset = 0;
+
+    for (const file of files) {
+        if (seen.has(file.name))
+            throw new RangeError(`duplicate file name: ${file.name}`);
+        seen.add(file.name);
+        const name = enc.encode(file.name);
+        const data =
+            typeof file.data === "string" ? enc.encode(file.data) : file.data;
+        const packed = file.compress ? deflateRaw(data) : null;
+        const deflated = packed !== null && packed.length < data.length;
+        const body = deflated ? packed : data;
+        const crc = crc32(data);
+
+        // fields shared by the local and the central header, from
+        // "version needed" to the name length
+        const common = new Uint8Array(26);
+        const c = new DataView(common.buffer);
+        c.setUint16(0, 20, true); // version needed: 2.0 (deflate)
+        c.setUint16(2, 0x0800, true); // flags: UTF-8 names
+        c.setUint16(4, deflated ? 8 : 0, true);
+        c.setUint16(6, time, true);
+        c.setUint16(8, day, true);
+        c.setUint32(10, crc, true);
+        c.setUint32(14, body.length, true);
+        c.setUint32(18, data.length, true);
+        c.setUint16(22, name.length, true);
+        // extra field length (24) stays 0
+
+        const head = new Uint8Array(4);
+        new DataView(head.buffer).setUint32(0, 0x04034b50, true);
+        local.push(head, common, name, body);
+
+        const entry = new Uint8Array(46);
+        const e = new DataView(entry.buffer);
+        e.setUint32(0, 0x02014b50, true);
+        e.setUint16(4, 20, true); // version made by
+        entry.set(common, 6);
+        // comment length, disk number, attributes stay 0
+        e.setUint32(42, offset, true);
+        central.push(entry, name);
+
+        offset += 30 + name.length + body.length;
+    }
+
+    const dir = concatBytes(central);
+    const end = new Uint8Array(22);
+    const d = new DataView(end.buffer);
+    d.setUint32(0, 0x06054b50, true);
+    d.setUint16(8, files.length, true);
+    d.setUint16(10, files.length, true);
+    d.setUint32(12, dir.length, true);
+    d.setUint32(16, offset, true);
+    return concatBytes([...local, dir, end]);
+}
@@ -0,0 +1,125 @@
+/**
+ * Service worker: keeps the app working offline and installable.
+ *
+ * Everything the page needs is cached on install under a versioned name;
+ * the app is then served from that cache, so a page, its modules and the
+ * render worker always come from the same release. A new release installs
+ * next to the old one, waits until the page asks for it (see
+ * registerServiceWorker in js/app.js) and drops the old cache on
+ * activation.
+ */
+
+// Bump on every release that changes any file below
+const CACHE_VERSION = 2;
+const CACHE_PREFIX = "cybertapestry-";
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+// Paths relative to this file, i.e. the app root
+const PRECACHE = [
+    "./",
+    "index.html",
+    "css/styles.css",
+    "js/app.js",
+    "js/avatar.js",
+    "js/batch.js",
+    "js/collections.js",
+    "js/composite.js",
+    "js/constants.js",
+    "js/deflate.js",
+    "js/element.js",
+    "js/explore.js",
+    "js/gallery.js",
+    "js/generators.js",
+    "js/gif.js",
+    "js/index.js",
+    "js/modes.js",
+    "js/palette.js",
+    "js/patterns.js",
+    "js/pdf.js",
+    "js/png.js",
+    "js/poster.js",
+    "js/render.js",
+    "js/renderer.js",
+    "js/seed.js",
+    "js/svg.js",
+    "js/utils.js",
+    "js/worker.js",
+    "js/zip.js",
+    "images/site.webmanifest",
+    "images/android-chrome-192x192.png",
+    "images/android-chrome-512x512.png",
+    "images/apple-touch-icon.png",
+    "images/favicon-16x16.png",
+    "images/favicon-32x32.png",
+    "images/favicon.ico",
+];
+
+self.addEventListener("install", (event) => {
+    // bypass the HTTP cache so a new release never precaches stale files
+    event.waitUntil(
+        caches
+            .open(CACHE_NAME)
+            .then((cache) =>
+                cache.addAll(
+                    PRECACHE.map(
+                        (path) => new Request(path, { cache: "reload" })
+                    )
+                )
+            )
+    );
+});
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil(
+        caches
+            .keys()
+            .then((names) =>
+                Promise.all(
+                    names
+                        .filter(
+                            (name) =>
+                                name.startsWith(CACHE_PREFIX) &&
+                                name !== CACHE_NAME
+                        )
+                        .map((name) => caches.delete(name))
+                )
+            )
+    );
+});
+
+// The page posts this when the user accepts an update
+self.addEventListener("message", (event) => {
+    if (event.data === "skipWaiting") self.skipWaiting();
+});
+
+/**
+ * Answer a request from the cache, else from the network. Links carry
+ * their state in the query (`?seed=...`), which the cached files ignore;
+ * any page of the app falls back to the cached index.html.
+ *
+ * @param {Request} request - A same-origin GET.
+ * @returns {Promise<Response>} The response.
+ */
+async function respond(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    try {
+        return await fetch(request);
+    } catch (err) {
+        if (request.mode !== "navigate") throw err;
+        const page = await cache.match("index.html");
+        if (!page) throw err;
+        return page;
+    }
+}
+
+self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    if (
+        request.method !== "GET" ||
+        new URL(request.url).origin !== self.location.origin
+    )
+        return;
+    event.respondWith(respond(request));
+});
@@ -0,0 +1,13 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateAvatar } from "../js/avatar.js";
+import { LATEST_VERSION, LEGACY_VERSION } from "../js/generators.js";
+
+test("avatars without a version render the legacy generator", async () => {
+    for (const input of ["alice@example.com", "deadbeef"]) {
+        const png = (version) =>
+            generateAvatar(input, { size: 48, format: "png", version });
+        assert.deepEqual(await png(undefined), await png(LEGACY_VERSION));
+        assert.notDeepEqual(await png(undefined), await png(LATEST_VERSION));
+    }
+});
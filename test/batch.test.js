@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseBatch, batchOverrides, batchFileName } from "../js/batch.js";
+import { parseOverrides, renderTapestry } from "../js/render.js";
+
+test("rows naming their own mode drop the panel's params", () => {
+    const base = parseOverrides({
+        version: 3,
+        mode: "spokes",
+        params: "spokes=12",
+    });
+    const [own, panel] = parseBatch("seed,mode\naa,rings\nbb,").map((row) =>
+        batchOverrides(row, base)
+    );
+    assert.equal(own.params, null);
+    assert.deepEqual(panel.params, { spokes: 12 });
+    assert.equal(renderTapestry("aa", own).mode, "rings");
+    assert.equal(renderTapestry("bb", panel).params.spokes, 12);
+});
+
+test("plain lists give one auto-format seed per line", () => {
+    const rows = parseBatch("deadbeef\r\n\n  # a comment\nmy-org/api  \n\n");
+    assert.deepEqual(rows, [
+        { line: 1, seed: "deadbeef", format: "auto", file: null, cells: {} },
+        { line: 4, seed: "my-org/api", format: "auto", file: null, cells: {} },
+    ]);
+    assert.deepEqual(parseBatch(" \n# only comments\n"), []);
+});
+
+test("CSV rows keep quoted fields, per-row files and override cells", () => {
+    const csv = [
+        "Seed,Filename,Format,mode,palette",
+        '"hello, world",greeting.png,text,rings,',
+        "",
+        '"say ""hi""",,text,,"0b132b,1c2541"',
+        "# skipped",
+        "deadbeef,  spaced name.png  ,hex,,midnight",
+    ].join("\n");
+    assert.deepEqual(parseBatch(csv), [
+        {
+            line: 2,
+            seed: "hello, world",
+            format: "text",
+            file: "greeting.png",
+            cells: { mode: "rings" },
+        },
+        {
+            line: 4,
+            seed: 'say "hi"',
+            format: "text",
+            file: null,
+            cells: { palette: "0b132b,1c2541" },
+        },
+        {
+            line: 6,
+            seed: "deadbeef",
+            format: "hex",
+            file: "spaced name.png",
+            cells: { palette: "midnight" },
+        },
+    ]);
+});
+
+test("bad columns, formats and cells name the culprit", () => {
+    assert.throws(
+        () => parseBatch("seed,colour\naa,red"),
+        /unknown column colour/
+    );
+    assert.throws(
+        () => parseBatch("seed,fmt\naa,morse"),
+        /line 2: unknown seed format morse/
+    );
+    const [row] = parseBatch("seed,block\naa,3");
+    assert.throws(
+        () => batchOverrides(row, parseOverrides()),
+        /line 2: invalid block: 3/
+    );
+});
+
+test("batch file names are made safe and numbered when taken", () => {
+    const taken = new Set();
+    const names = [
+        batchFileName("art", "x.png", taken),
+        batchFileName("art.PNG", "x.png", taken),
+        batchFileName("art", "x.png", taken),
+        batchFileName("../a/b:c*?.png", "x.png", taken),
+        batchFileName(null, "entropy-aa-rings-512x512.png", taken),
+        batchFileName(null, "entropy-aa-rings-512x512.png", taken),
+    ];
+    assert.deepEqual(names, [
+        "art.png",
+        "art.PNG",
+        "art-2.png",
+        "-a-b-c-.png",
+        "entropy-aa-rings-512x512.png",
+        "entropy-aa-rings-512x512-2.png",
+    ]);
+    assert.equal(taken.size, names.length);
+});
@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const CLI = fileURLToPath(new URL("../bin/cybertapestry.js", import.meta.url));
+const run = (...args) =>
+    spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8" });
+
+test("help flags print the usage and exit 0", () => {
+    for (const flag of ["--help", "-h", "help"]) {
+        const { status, stdout } = run(flag);
+        assert.equal(status, 0, flag);
+        assert.match(stdout, /^Usage: cybertapestry render/);
+    }
+});
+
+test("an unknown command exits 1", () => {
+    const { status, stderr } = run("paint");
+    assert.equal(status, 1);
+    assert.match(stderr, /unknown command: paint/);
+});
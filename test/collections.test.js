@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    parseCollections,
+    serializeCollections,
+    mergeCollections,
+} from "../js/collections.js";
+
+const fav = (seedHex, extra = {}) => ({
+    link: `?seed=${seedHex}&v=3`,
+    seedHex,
+    mode: "rings",
+    block: 8,
+    note: "",
+    added: "2024-05-01T12:00:00.000Z",
+    ...extra,
+});
+
+test("merging joins same-named collections and skips known links", () => {
+    const mine = [
+        { name: "Favourites", entries: [fav("aa"), fav("bb")] },
+        { name: "Walls", entries: [fav("cc")] },
+    ];
+    const shared = [
+        {
+            name: "Favourites",
+            entries: [fav("bb", { note: "theirs" }), fav("dd")],
+        },
+        { name: "Icons", entries: [fav("ee"), fav("ee")] },
+    ];
+    const before = structuredClone(mine);
+    const { collections, added } = mergeCollections(mine, shared);
+    assert.equal(added, 2);
+    assert.deepEqual(
+        collections.map((c) => [c.name, c.entries.map((e) => e.seedHex)]),
+        [
+            ["Favourites", ["aa", "bb", "dd"]],
+            ["Walls", ["cc"]],
+            ["Icons", ["ee"]],
+        ]
+    );
+    // the kept entry is ours, and the inputs are left as they were
+    assert.equal(collections[0].entries[1].note, "");
+    assert.deepEqual(mine, before);
+    assert.equal(mergeCollections(collections, shared).added, 0);
+});
+
+test("collections survive a JSON round trip", () => {
+    const collections = [
+        { name: "Favourites", entries: [fav("aa", { note: "ünï ⊕" })] },
+        { name: "Empty", entries: [] },
+    ];
+    assert.deepEqual(
+        parseCollections(serializeCollections(collections)),
+        collections
+    );
+});
+
+test("files that are not collections are refused", () => {
+    const file = (data) =>
+        JSON.stringify({
+            format: "cybertapestry-collections",
+            version: 1,
+            ...data,
+        });
+    assert.throws(() => parseCollections("{"), /not a JSON file/);
+    assert.throws(() => parseCollections("{}"), /not a Cyber Tapestry/);
+    assert.throws(
+        () => parseCollections(file({ version: 99, collections: [] })),
+        /newer/
+    );
+    assert.throws(
+        () =>
+            parseCollections(
+                file({ collections: [{ name: " ", entries: [] }] })
+            ),
+        /has no name/
+    );
+    assert.throws(
+        () =>
+            parseCollections(
+                file({
+                    collections: [
+                        { name: "A", entries: [{ link: "seed=aa" }] },
+                    ],
+                })
+            ),
+        /A: entries need link/
+    );
+});
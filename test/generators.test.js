@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { GENERATORS, LEGACY_VERSION } from "../js/generators.js";
+import { renderTapestry } from "../js/render.js";
+
+test("v2 and v3 only pick hashed variants of the v1 modes", () => {
+    for (const v of [2, 3]) {
+        assert.equal(GENERATORS[v].modes.length, GENERATORS[1].modes.length);
+        for (const name of ["stripes", "triangles", "chevron", "square-maze"])
+            assert.ok(GENERATORS[v].modes.includes(`${name}-hashed`));
+    }
+});
+
+test("wide-key generators give distinct seeds distinct images", () => {
+    for (const version of [2, 3]) {
+        const images = new Set();
+        for (let i = 0; i < 400; i++) {
+            const seed = createHash("sha256").update(`seed ${i}`).digest("hex");
+            const { data } = renderTapestry(seed, { version });
+            images.add(createHash("sha256").update(data).digest("hex"));
+        }
+        assert.equal(images.size, 400, `v${version}`);
+    }
+});
+
+test("the library and the CLI default to the legacy generator", () => {
+    const { version, mode } = renderTapestry("deadbeef");
+    assert.equal(version, LEGACY_VERSION);
+    assert.equal(mode, "squares");
+    const cli = fileURLToPath(
+        new URL("../bin/cybertapestry.js", import.meta.url)
+    );
+    const dir = mkdtempSync(join(tmpdir(), "cybertapestry-"));
+    const render = (file, ...args) => {
+        const out = join(dir, file);
+        execFileSync(process.execPath, [
+            cli,
+            "render",
+            "deadbeef",
+            ...args,
+            "-o",
+            out,
+        ]);
+        return readFileSync(out);
+    };
+    try {
+        assert.deepEqual(
+            render("default.png"),
+            render("legacy.png", "-g", String(LEGACY_VERSION))
+        );
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,156 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { encodeGIF } from "../js/gif.js";
+import { renderTapestry } from "../js/render.js";
+
+/**
+ * Expand GIF LZW data (the sub-blocks already joined) to palette indices.
+ */
+function unLZW(data, minCodeSize, count) {
+    const clear = 1 << minCodeSize;
+    const eoi = clear + 1;
+    const out = [];
+    let dict, codeSize, prev;
+    const reset = () => {
+        dict = Array.from({ length: clear + 2 }, (_, i) => [i]);
+        codeSize = minCodeSize + 1;
+        prev = null;
+    };
+    reset();
+    let acc = 0,
+        nbits = 0;
+    for (let i = 0; ; ) {
+        while (nbits < codeSize) {
+            assert.ok(i < data.length, "LZW data ends before EOI");
+            acc |= data[i++] << nbits;
+            nbits += 8;
+        }
+        const code = acc & ((1 << codeSize) - 1);
+        acc >>>= codeSize;
+        nbits -= codeSize;
+        if (code === clear) {
+            reset();
+            continue;
+        }
+        if (code === eoi) break;
+        let entry;
+        if (code < dict.length) entry = dict[code];
+        else {
+            assert.equal(code, dict.length, "LZW code out of range");
+            entry = [...prev, prev[0]];
+        }
+        out.push(...entry);
+        if (prev !== null && dict.length < 4096) dict.push([...prev, entry[0]]);
+        if (dict.length === 1 << codeSize && codeSize < 12) codeSize++;
+        prev = entry;
+    }
+    assert.equal(out.length, count);
+    return Uint8Array.from(out);
+}
+
+/**
+ * Walk a GIF89a file: header, global colour table, extensions and frames.
+ */
+function decodeGIF(gif) {
+    let o = 0;
+    const u8 = () => gif[o++];
+    const u16 = () => gif[o++] | (gif[o++] << 8);
+    const ascii = (n) => String.fromCharCode(...gif.subarray(o, (o += n)));
+    const subBlocks = () => {
+        const parts = [];
+        for (let n; (n = u8()); ) parts.push(...gif.subarray(o, (o += n)));
+        return Uint8Array.from(parts);
+    };
+    assert.equal(ascii(6), "GIF89a");
+    const width = u16(),
+        height = u16();
+    const flags = u8();
+    assert.ok(flags & 0x80, "global colour table");
+    o += 2;
+    const size = 1 << ((flags & 7) + 1);
+    const palette = [];
+    for (let i = 0; i < size; i++) {
+        const [r, g, b] = gif.subarray(o, (o += 3));
+        palette.push(
+            "#" + [r, g, b].map((c) => c.toString(16).padStart(2, "0")).join("")
+        );
+    }
+    const gif89 = { width, height, palette, loops: null, frames: [] };
+    let delay = null;
+    for (;;) {
+        const intro = u8();
+        if (intro === 0x3b) break;
+        if (intro === 0x21) {
+            const label = u8();
+            const block = subBlocks();
+            if (label === 0xff) {
+                assert.equal(
+                    String.fromCharCode(...block.subarray(0, 11)),
+                    "NETSCAPE2.0"
+                );
+                gif89.loops = block[12] | (block[13] << 8);
+            } else if (label === 0xf9) delay = block[1] | (block[2] << 8);
+            continue;
+        }
+        assert.equal(intro, 0x2c, "image descriptor");
+        assert.deepEqual([u16(), u16(), u16(), u16()], [0, 0, width, height]);
+        assert.equal(u8() & 0x80, 0, "no local colour table");
+        const minCodeSize = u8();
+        const indices = unLZW(subBlocks(), minCodeSize, width * height);
+        gif89.frames.push({ delay, indices });
+    }
+    assert.equal(o, gif.length, "nothing after the trailer");
+    return gif89;
+}
+
+test("GIF frames decode back to their palette indices", () => {
+    const { palette, indices, width, height } = renderTapestry("deadbeef", {
+        version: 3,
+        mode: "voronoi",
+        width: 96,
+        height: 80,
+    });
+    // noisy frames fill the 4096-code table, forcing resets
+    const noisy = indices.map(
+        (_, i) => (Math.imul(i, 2654435761) >>> 28) % palette.length
+    );
+    const frames = [indices, noisy, new Uint8Array(width * height)];
+    const gif = decodeGIF(
+        encodeGIF(frames, width, height, palette, { fps: 20 })
+    );
+    assert.equal(gif.width, width);
+    assert.equal(gif.height, height);
+    assert.equal(gif.loops, 0);
+    assert.deepEqual(
+        gif.palette.slice(0, palette.length),
+        palette.map((c) => c.toLowerCase())
+    );
+    assert.deepEqual(
+        gif.frames.map((f) => f.delay),
+        [5, 5, 5]
+    );
+    gif.frames.forEach((f, i) =>
+        assert.deepEqual(f.indices, new Uint8Array(frames[i]))
+    );
+});
+
+test("tiny palettes and single pixels still make valid GIFs", () => {
+    const gif = decodeGIF(
+        encodeGIF([Uint8Array.of(1), Uint8Array.of(0)], 1, 1, [
+            "#ffffff",
+            "#000000",
+        ])
+    );
+    // the colour table has at least 4 entries, padded with black
+    assert.deepEqual(gif.palette, ["#ffffff", "#000000", "#000000", "#000000"]);
+    assert.deepEqual(
+        gif.frames.map((f) => [...f.indices]),
+        [[1], [0]]
+    );
+    // 12 fps rounds to 8/100 s; very high rates are held at 2/100 s
+    assert.equal(gif.frames[0].delay, 8);
+    const fast = decodeGIF(
+        encodeGIF([Uint8Array.of(0)], 1, 1, ["#000000"], { fps: 100 })
+    );
+    assert.equal(fast.frames[0].delay, 2);
+});
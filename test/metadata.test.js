@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+    renderTapestry,
+    exportMetadata,
+    parseExportMetadata,
+} from "../js/render.js";
+import { encodePNG, readPNGText } from "../js/png.js";
+
+const CLI = fileURLToPath(new URL("../bin/cybertapestry.js", import.meta.url));
+const cli = (...args) =>
+    execFileSync(process.execPath, [CLI, ...args], { encoding: "utf8" });
+
+test("the render command info prints recreates the export", () => {
+    const dir = mkdtempSync(join(tmpdir(), "cybertapestry-"));
+    try {
+        const first = join(dir, "first.png");
+        const again = join(dir, "again.png");
+        cli(
+            "render",
+            "deadbeef",
+            "--mode",
+            "spokes",
+            "--param",
+            "spokes=12",
+            "--param",
+            "offsetX=-5",
+            "-o",
+            first
+        );
+        const command = cli("info", first).split("\n")[1].trim();
+        assert.match(command, /--param spokes=12 --param offsetX=-5/);
+        const args = command.replace(/^cybertapestry /, "").split(" ");
+        cli(...args, "-o", again);
+        assert.deepEqual(readFileSync(again), readFileSync(first));
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test("params survive a PNG export and re-render byte-identically", () => {
+    const options = {
+        version: 3,
+        composite: "voronoi,rings,weave",
+        params: { cell: "20", offsetY: 7 },
+    };
+    const png = (state) =>
+        encodePNG(state.data, state.width, state.height, {
+            text: exportMetadata(state),
+        });
+    const first = png(renderTapestry("c0ffee", options));
+    const meta = parseExportMetadata(readPNGText(first));
+    assert.deepEqual(meta.overrides.params, { cell: 20, offsetY: 7 });
+    assert.deepEqual(png(renderTapestry(meta.seedHex, meta.overrides)), first);
+});
+
+test("renders without explicit params write no params chunk", () => {
+    const text = exportMetadata(renderTapestry("c0ffee"));
+    assert.equal(text["CyberTapestry:params"], undefined);
+    assert.equal(parseExportMetadata(text).overrides.params, null);
+});
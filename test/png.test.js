@@ -0,0 +1,225 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { inflateSync, inflateRawSync } from "node:zlib";
+import { crc32, adler32, deflateRaw, zlibDeflate } from "../js/deflate.js";
+import { encodePNG, encodeAPNG, addPNGText, readPNGText } from "../js/png.js";
+import { renderTapestry } from "../js/render.js";
+
+/**
+ * Split a PNG into its chunks, checking the signature and every CRC.
+ */
+function chunks(png) {
+    assert.deepEqual(
+        [...png.subarray(0, 8)],
+        [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]
+    );
+    const dv = new DataView(png.buffer, png.byteOffset, png.byteLength);
+    const out = [];
+    for (let o = 8; o < png.length; ) {
+        const len = dv.getUint32(o);
+        const type = String.fromCharCode(...png.subarray(o + 4, o + 8));
+        const data = png.subarray(o + 8, o + 8 + len);
+        assert.equal(
+            dv.getUint32(o + 8 + len),
+            crc32(png.subarray(o + 4, o + 8 + len)),
+            `${type} CRC`
+        );
+        out.push({ type, data });
+        o += len + 12;
+    }
+    return out;
+}
+
+/**
+ * Inflate image data the encoder wrote (8-bit RGB or RGBA, filter 0) to
+ * RGBA.
+ */
+function pixels(zdata, width, height, bpp) {
+    const raw = inflateSync(zdata);
+    assert.equal(raw.length, (width * bpp + 1) * height);
+    const rgba = new Uint8Array(width * height * 4);
+    for (let y = 0, o = 0; y < height; y++) {
+        assert.equal(raw[o++], 0, "filter type");
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            for (let c = 0; c < bpp; c++) rgba[i + c] = raw[o++];
+            if (bpp === 3) rgba[i + 3] = 255;
+        }
+    }
+    return rgba;
+}
+
+/**
+ * Decode the default image of a PNG the encoder wrote.
+ */
+function decodePNG(png) {
+    const parts = chunks(png);
+    assert.equal(parts[0].type, "IHDR");
+    assert.equal(parts.at(-1).type, "IEND");
+    const ihdr = new DataView(parts[0].data.buffer, parts[0].data.byteOffset);
+    const width = ihdr.getUint32(0),
+        height = ihdr.getUint32(4);
+    const bpp = parts[0].data[9] === 2 ? 3 : 4;
+    const idat = Buffer.concat(
+        parts.filter((c) => c.type === "IDAT").map((c) => c.data)
+    );
+    return { width, height, bpp, rgba: pixels(idat, width, height, bpp) };
+}
+
+/**
+ * Pseudo-random bytes from a fixed seed, for incompressible input.
+ */
+function noise(n, seed = 1) {
+    const out = new Uint8Array(n);
+    let s = seed;
+    for (let i = 0; i < n; i++) {
+        s = (Math.imul(s, 1103515245) + 12345) >>> 0;
+        out[i] = s >>> 24;
+    }
+    return out;
+}
+
+test("checksums match the reference values", () => {
+    const digits = new TextEncoder().encode("123456789");
+    assert.equal(crc32(digits), 0xcbf43926);
+    assert.equal(
+        crc32(digits.subarray(4), crc32(digits.subarray(0, 4))),
+        0xcbf43926
+    );
+    assert.equal(adler32(digits), 0x091e01de);
+    assert.equal(adler32(new Uint8Array(0)), 1);
+});
+
+test("deflate streams inflate back to their input", () => {
+    const twice = (bytes) => Uint8Array.from([...bytes, ...bytes]);
+    const inputs = [
+        new Uint8Array(0),
+        Uint8Array.of(42),
+        Uint8Array.of(1, 2),
+        new Uint8Array(1000).fill(9), // matches of the maximum length 258
+        new Uint8Array(70000).map((_, i) => (i * 7) % 251), // short distances
+        noise(50000), // literals only
+        twice(noise(30000)), // a repeat near the 32 KiB window's edge
+        twice(noise(40000)), // a repeat beyond it
+    ];
+    for (const input of inputs) {
+        assert.deepEqual(
+            new Uint8Array(inflateRawSync(deflateRaw(input))),
+            input
+        );
+        assert.deepEqual(
+            new Uint8Array(inflateSync(zlibDeflate(input))),
+            input
+        );
+    }
+});
+
+test("PNG pixels survive a zlib round trip", () => {
+    const art = renderTapestry("deadbeef", {
+        version: 3,
+        width: 67,
+        height: 41,
+    });
+    const alpha = noise(5 * 3 * 4, 7);
+    const images = [
+        { rgba: art.data, width: art.width, height: art.height },
+        { rgba: alpha, width: 5, height: 3 },
+        { rgba: new Uint8Array([10, 20, 30, 255]), width: 1, height: 1 },
+    ];
+    for (const { rgba, width, height } of images) {
+        const out = decodePNG(encodePNG(rgba, width, height));
+        assert.equal(out.width, width);
+        assert.equal(out.height, height);
+        assert.deepEqual(out.rgba, new Uint8Array(rgba));
+    }
+    // opaque images are written as RGB, others keep their alpha
+    assert.equal(
+        chunks(encodePNG(art.data, art.width, art.height))[0].data[9],
+        2
+    );
+    assert.equal(chunks(encodePNG(alpha, 5, 3))[0].data[9], 6);
+});
+
+test("text chunks round-trip, as tEXt or iTXt", () => {
+    const text = {
+        Title: "plain ascii",
+        "CyberTapestry:seed": "héllo ⊕ wörld",
+    };
+    const png = encodePNG(new Uint8Array(16).fill(255), 2, 2, { text });
+    assert.deepEqual(
+        chunks(png).map((c) => c.type),
+        ["IHDR", "tEXt", "iTXt", "IDAT", "IEND"]
+    );
+    assert.deepEqual(readPNGText(png), text);
+
+    // added chunks go right after IHDR, so they win over older ones
+    const added = addPNGText(png, { Title: "replaced", Extra: "x" });
+    assert.deepEqual(readPNGText(added), {
+        Title: "replaced",
+        Extra: "x",
+        "CyberTapestry:seed": text["CyberTapestry:seed"],
+    });
+    assert.deepEqual(decodePNG(added).rgba, new Uint8Array(16).fill(255));
+    assert.throws(() => readPNGText(Uint8Array.of(1, 2, 3)), TypeError);
+    assert.throws(
+        () => encodePNG(new Uint8Array(4), 1, 1, { text: { "": "x" } }),
+        TypeError
+    );
+});
+
+test("APNG frames are numbered in sequence and decode to their pixels", () => {
+    const frames = [0, 0.25, 0.5].map(
+        (time) =>
+            renderTapestry("deadbeef", {
+                version: 3,
+                mode: "waves",
+                width: 24,
+                height: 16,
+                time,
+            }).data
+    );
+    assert.notDeepEqual(frames[0], frames[1]);
+    const apng = encodeAPNG(frames, 24, 16, { fps: 10, text: { a: "b" } });
+    const parts = chunks(apng);
+    assert.deepEqual(
+        parts.map((c) => c.type),
+        [
+            "IHDR",
+            "tEXt",
+            "acTL",
+            "fcTL",
+            "IDAT",
+            "fcTL",
+            "fdAT",
+            "fcTL",
+            "fdAT",
+            "IEND",
+        ]
+    );
+    assert.deepEqual(readPNGText(apng), { a: "b" });
+    const u32 = (bytes, at) =>
+        new DataView(bytes.buffer, bytes.byteOffset).getUint32(at);
+    const u16 = (bytes, at) =>
+        new DataView(bytes.buffer, bytes.byteOffset).getUint16(at);
+    const actl = parts.find((c) => c.type === "acTL").data;
+    assert.deepEqual([u32(actl, 0), u32(actl, 4)], [3, 0]); // 3 frames, loop
+    // fcTL and fdAT share one sequence, starting at 0
+    const seq = parts
+        .filter((c) => c.type === "fcTL" || c.type === "fdAT")
+        .map((c) => u32(c.data, 0));
+    assert.deepEqual(seq, [0, 1, 2, 3, 4]);
+    for (const { data } of parts.filter((c) => c.type === "fcTL")) {
+        assert.deepEqual([u32(data, 4), u32(data, 8)], [24, 16]);
+        assert.deepEqual([u16(data, 20), u16(data, 22)], [1, 10]);
+    }
+    // the first frame is the default image; later ones follow in fdAT
+    assert.deepEqual(decodePNG(apng).rgba, new Uint8Array(frames[0]));
+    const later = parts.filter((c) => c.type === "fdAT");
+    const { bpp } = decodePNG(apng);
+    later.forEach(({ data }, i) =>
+        assert.deepEqual(
+            pixels(data.subarray(4), 24, 16, bpp),
+            new Uint8Array(frames[i + 1])
+        )
+    );
+});
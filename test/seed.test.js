@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectSeedFormat, resolveSeed } from "../js/seed.js";
+
+test("repo slugs and usernames are text", () => {
+    for (const s of [
+        "KnightChaser/CyberTapestry",
+        "my-org/frontend-app",
+        "user_name_longer_one",
+        "octocat/hello-world",
+        "some-project-name-2024",
+        "first.last@example.com",
+    ])
+        assert.equal(detectSeedFormat(s), "text", s);
+});
+
+test("base64 and base64url are detected", () => {
+    for (const s of [
+        "3q2+7wABAgMEBQYHCAkKCw==",
+        "3q2-7wABAgMEBQYHCAkKCw==",
+        "U29tZVJhbmRvbUJ5dGVzMTIz",
+        "ab+/cd/+EFgh1JKL",
+        "ab-_cd_-EFghIJK1",
+    ])
+        assert.equal(detectSeedFormat(s), "base64", s);
+});
+
+test("base64 needs a whole number of groups and one alphabet", () => {
+    // 43 characters, unpadded
+    assert.equal(
+        detectSeedFormat("Ab3dEf7hIj1lMn0pQr5tUv9xYz2bCd4fGh6jKl8nOp1"),
+        "text"
+    );
+    assert.equal(detectSeedFormat("Ab3d+Ef7_hIj1lMn"), "text");
+    assert.equal(detectSeedFormat("Ab3d/Ef7-hIj1lMn0pQ="), "text");
+});
+
+test("the other formats are unchanged", () => {
+    assert.equal(detectSeedFormat("deadbeef"), "hex");
+    assert.equal(detectSeedFormat("0x DEAD BEEF"), "hex");
+    assert.equal(
+        detectSeedFormat("123e4567-e89b-12d3-a456-426614174000"),
+        "uuid"
+    );
+    assert.equal(
+        detectSeedFormat("SHA256:nThbg6kXUpJWGl7E1IGOCspRomTxdCARLviKw6E5SY8"),
+        "ssh"
+    );
+    assert.equal(detectSeedFormat("de:ad:be:ef"), "colon-hex");
+    assert.equal(detectSeedFormat("alice"), "text");
+});
+
+test("slugs are hashed as text", async () => {
+    const slug = "KnightChaser/CyberTapestry";
+    assert.deepEqual(await resolveSeed(slug), await resolveSeed(slug, "text"));
+});
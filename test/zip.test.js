@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { inflateRawSync } from "node:zlib";
+import { crc32 } from "../js/deflate.js";
+import { encodeZip } from "../js/zip.js";
+
+/**
+ * Read a ZIP archive through its central directory, checking each entry
+ * against its local header and CRC.
+ */
+function readZip(zip) {
+    const dv = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+    const eocd = zip.length - 22;
+    assert.equal(dv.getUint32(eocd, true), 0x06054b50, "end of directory");
+    const count = dv.getUint16(eocd + 10, true);
+    assert.equal(dv.getUint16(eocd + 8, true), count);
+    const dirSize = dv.getUint32(eocd + 12, true);
+    const dirStart = dv.getUint32(eocd + 16, true);
+    assert.equal(dirStart + dirSize, eocd, "directory right before its end");
+
+    const dec = new TextDecoder();
+    const entries = [];
+    let o = dirStart;
+    for (let n = 0; n < count; n++) {
+        assert.equal(dv.getUint32(o, true), 0x02014b50, "central header");
+        const method = dv.getUint16(o + 10, true);
+        const crc = dv.getUint32(o + 16, true);
+        const packed = dv.getUint32(o + 20, true);
+        const size = dv.getUint32(o + 24, true);
+        const nameLen = dv.getUint16(o + 28, true);
+        const at = dv.getUint32(o + 42, true);
+        const name = dec.decode(zip.subarray(o + 46, o + 46 + nameLen));
+        assert.equal(dv.getUint16(o + 8, true) & 0x0800, 0x0800, "UTF-8 flag");
+
+        // the local header repeats the central one's fields
+        assert.equal(dv.getUint32(at, true), 0x04034b50, "local header");
+        assert.deepEqual(
+            zip.subarray(at + 4, at + 30),
+            zip.subarray(o + 6, o + 32)
+        );
+        const start = at + 30 + nameLen;
+        const body = zip.subarray(start, start + packed);
+        const data = method === 8 ? new Uint8Array(inflateRawSync(body)) : body;
+        assert.ok(method === 0 || method === 8, `method ${method}`);
+        assert.equal(data.length, size);
+        assert.equal(crc32(data), crc, `${name} CRC`);
+        entries.push({
+            name,
+            method,
+            data,
+            time: dv.getUint16(o + 12, true),
+            day: dv.getUint16(o + 14, true),
+        });
+        o += 46 + nameLen;
+    }
+    assert.equal(o, eocd);
+    return entries;
+}
+
+test("archives list every file with matching headers and CRCs", () => {
+    const text = "seed,file\n".repeat(200);
+    const png = Uint8Array.of(0x89, 0x50, 0x4e, 0x47, 1, 2, 3);
+    const date = new Date(2024, 1, 29, 13, 45, 31);
+    const zip = encodeZip(
+        [
+            { name: "manifest.csv", data: text, compress: true },
+            { name: "art/ünïcode ⊕.png", data: png },
+            { name: "tiny.txt", data: "x", compress: true },
+            { name: "empty", data: new Uint8Array(0) },
+        ],
+        { date }
+    );
+    const entries = readZip(zip);
+    const enc = new TextEncoder();
+    assert.deepEqual(
+        entries.map((e) => [e.name, e.method]),
+        [
+            ["manifest.csv", 8], // repetitive text is deflated
+            ["art/ünïcode ⊕.png", 0],
+            ["tiny.txt", 0], // deflating would not make it smaller
+            ["empty", 0],
+        ]
+    );
+    assert.deepEqual(entries[0].data, enc.encode(text));
+    assert.deepEqual(entries[1].data, png);
+    assert.deepEqual(entries[2].data, enc.encode("x"));
+    // MS-DOS time and date, 2-second resolution
+    assert.equal(entries[0].time, (13 << 11) | (45 << 5) | 15);
+    assert.equal(entries[0].day, ((2024 - 1980) << 9) | (2 << 5) | 29);
+});
+
+test("an empty archive is just the end of the directory", () => {
+    assert.deepEqual(readZip(encodeZip([])), []);
+    assert.equal(encodeZip([]).length, 22);
+});
+
+test("duplicate names are refused", () => {
+    assert.throws(
+        () =>
+            encodeZip([
+                { name: "a.png", data: "" },
+                { name: "a.png", data: "" },
+            ]),
+        RangeError
+    );
+});